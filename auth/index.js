@@ -0,0 +1,37 @@
+// auth/index.js
+import dotenv from "dotenv";
+import { createFirebaseProvider } from "./providers/firebase.js";
+import { createLocalProvider } from "./providers/local.js";
+
+dotenv.config();
+
+const providers = {
+  firebase: createFirebaseProvider,
+  local: createLocalProvider
+};
+
+let provider;
+
+// Selected with AUTH_PROVIDER (firebase | local), defaults to firebase
+export const getAuthProvider = () => {
+  if (!provider) {
+    const name = process.env.AUTH_PROVIDER || "firebase";
+    if (!providers[name]) {
+      throw new Error(`Unknown AUTH_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(", ")}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Every provider exposes the same req.user shape
+export const toRequestUser = (claims, providerName) => ({
+  uid: claims.uid || claims.sub,
+  email: claims.email || null,
+  name: claims.name || null,
+  picture: claims.picture || null,
+  emailVerified: claims.email_verified === true,
+  superAdmin: claims.superAdmin === true,
+  provider: providerName,
+  claims
+});
@@ -0,0 +1,28 @@
+// auth/providers/firebase.js
+// Firebase Admin is imported lazily so the server can boot without Firebase credentials
+// when another provider is configured.
+let firebaseAuth;
+
+const getFirebaseAuth = async () => {
+  if (!firebaseAuth) {
+    const { auth } = await import("../../api/firebaseadmin.js");
+    firebaseAuth = auth;
+  }
+  return firebaseAuth;
+};
+
+export const createFirebaseProvider = () => ({
+  name: "firebase",
+
+  async verifyIdToken(idToken) {
+    const auth = await getFirebaseAuth();
+    return auth.verifyIdToken(idToken);
+  },
+
+  async verifySessionCookie(sessionCookie) {
+    const auth = await getFirebaseAuth();
+    return auth.verifySessionCookie(sessionCookie, true);
+  },
+
+  getFirebaseAuth
+});
@@ -0,0 +1,72 @@
+// auth/providers/local.js
+// Verifies HS256 JWTs signed with LOCAL_AUTH_SECRET, for development and CI without Firebase.
+import crypto from "crypto";
+
+const ISSUER = "webapps-middleware-local";
+const DEFAULT_EXPIRES_IN = 60 * 60 * 24; // seconds
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const getSecret = () => {
+  const secret = process.env.LOCAL_AUTH_SECRET;
+  if (!secret) {
+    throw new Error("LOCAL_AUTH_SECRET must be set to use the local auth provider");
+  }
+  return secret;
+};
+
+const sign = (input, secret) => crypto.createHmac("sha256", secret).update(input).digest("base64url");
+
+export const signLocalToken = ({ uid, email, name, superAdmin, ...claims }, { expiresIn = DEFAULT_EXPIRES_IN } = {}) => {
+  if (!uid) throw new Error("uid is required");
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: "HS256", typ: "JWT" });
+  const payload = encode({
+    ...claims,
+    sub: uid,
+    email: email || null,
+    name: name || null,
+    superAdmin: superAdmin === true,
+    iss: ISSUER,
+    iat: now,
+    exp: now + expiresIn
+  });
+
+  return `${header}.${payload}.${sign(`${header}.${payload}`, getSecret())}`;
+};
+
+export const verifyLocalToken = (token) => {
+  const parts = (token || "").split(".");
+  if (parts.length !== 3) throw new Error("Malformed token");
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`, getSecret()));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error("Invalid token signature");
+  }
+
+  const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+  if (alg !== "HS256") throw new Error(`Unsupported token algorithm: ${alg}`);
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  if (claims.iss !== ISSUER) throw new Error("Invalid token issuer");
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) throw new Error("Token expired");
+
+  return { ...claims, uid: claims.sub };
+};
+
+export const createLocalProvider = () => ({
+  name: "local",
+
+  async verifyIdToken(idToken) {
+    return verifyLocalToken(idToken);
+  },
+
+  // The session cookie is the signed token itself
+  async verifySessionCookie(sessionCookie) {
+    return verifyLocalToken(sessionCookie);
+  }
+});
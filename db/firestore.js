@@ -1,10 +1,286 @@
+// db/firestore.js
+// Firestore storage backend. Child collections map onto real subcollections,
+// e.g. gyms live under organizations/{orgId}/gyms.
+import { AggregateField, FieldPath } from "firebase-admin/firestore";
 import { db } from "../api/firebaseadmin.js";
+import { aggregateRecords, compareRecords, decodeCursor, encodeCursor, matchesContains, matchesWhere, toPage } from "./query.js";
 
-export const createUserProfile = async (uid, data) => {
-  await db.collection("users").doc(uid).set(data, { merge: true });
+// Firestore rejects "in" / "not-in" / "array-contains-any" filters with more values than this
+const FIRESTORE_IN_LIMIT = 30;
+
+// Firestore has no substring search, so text searches read the ordered query in batches and
+// filter in process, reading at most FIRESTORE_SCAN_LIMIT documents per page
+const FIRESTORE_SCAN_BATCH = 200;
+const FIRESTORE_SCAN_LIMIT = parseInt(process.env.FIRESTORE_SCAN_LIMIT) || 5000;
+
+const toRecord = (doc) => doc.exists ? { id: doc.id, ...doc.data() } : null;
+
+// The "id" field maps onto the document ID
+const fieldPath = (field) => field === "id" ? FieldPath.documentId() : field;
+
+const buildQuery = (base, { where = [], orderBy = [], limit, startAfter } = {}) => {
+  let query = base;
+  for (const [field, op, value] of where) {
+    query = query.where(fieldPath(field), op, value);
+  }
+  for (const [field, direction = "asc"] of orderBy) {
+    query = query.orderBy(fieldPath(field), direction);
+  }
+  if (startAfter) {
+    query = query.startAfter(...startAfter);
+  }
+  if (limit) {
+    query = query.limit(limit);
+  }
+  return query;
+};
+
+// Splits an oversized "in" filter into several queries
+const splitWhere = (where = []) => {
+  const index = where.findIndex(([, op, value]) => ["in", "array-contains-any"].includes(op) && value.length > FIRESTORE_IN_LIMIT);
+  if (index === -1) return [where];
+
+  const [field, op, values] = where[index];
+  const chunks = [];
+  for (let i = 0; i < values.length; i += FIRESTORE_IN_LIMIT) {
+    const chunkWhere = [...where];
+    chunkWhere[index] = [field, op, values.slice(i, i + FIRESTORE_IN_LIMIT)];
+    chunks.push(chunkWhere);
+  }
+  return chunks;
+};
+
+// Reads a query in batches, keeping records that match `contains`, until `wanted` matches
+// are found, the query is exhausted or `maxScanned` documents have been read
+const scan = async (base, { where, contains, orderBy, startAfter, wanted, maxScanned = Infinity }) => {
+  const matches = [];
+  let after = startAfter;
+  let scanned = 0;
+  let lastScanned = null;
+
+  while (scanned < maxScanned) {
+    const snapshot = await buildQuery(base, { where, orderBy, startAfter: after, limit: FIRESTORE_SCAN_BATCH }).get();
+
+    for (const doc of snapshot.docs) {
+      scanned++;
+      lastScanned = toRecord(doc);
+      if (matchesContains(lastScanned, contains)) {
+        matches.push(lastScanned);
+        if (wanted && matches.length >= wanted) return { matches, capped: false, lastScanned };
+      }
+    }
+
+    if (snapshot.docs.length < FIRESTORE_SCAN_BATCH) return { matches, capped: false, lastScanned };
+    after = [snapshot.docs[snapshot.docs.length - 1]];
+  }
+
+  return { matches, capped: true, lastScanned };
 };
 
-export const getUserProfile = async (uid) => {
-  const doc = await db.collection("users").doc(uid).get();
-  return doc.exists ? doc.data() : null;
+// An empty "in" list matches nothing, but Firestore would reject the query
+const matchesNothing = (wheres) => wheres.some(where => where.some(([, op, value]) => op === "in" && value.length === 0));
+
+const createQueryable = (base) => ({
+  async find(options = {}) {
+    const wheres = splitWhere(options.where);
+    if (matchesNothing(wheres)) return [];
+
+    let records;
+    if (options.contains?.length) {
+      const results = await Promise.all(wheres.map(where => scan(base, { ...options, where, wanted: options.limit })));
+      records = results.flatMap(result => result.matches);
+    } else {
+      const snapshots = await Promise.all(wheres.map(where => buildQuery(base, { ...options, where }).get()));
+      records = snapshots.flatMap(snapshot => snapshot.docs.map(toRecord));
+    }
+
+    if (wheres.length === 1) return records;
+
+    records.sort(compareRecords(options.orderBy));
+    return options.limit ? records.slice(0, options.limit) : records;
+  },
+
+  async page({ where, contains = [], orderBy = [], limit, cursor } = {}) {
+    const wheres = splitWhere(where);
+    if (matchesNothing(wheres)) return { items: [], nextCursor: null };
+
+    // Order by document ID last so records with equal sort values page deterministically
+    const lastDirection = orderBy.length ? orderBy[orderBy.length - 1][1] : "asc";
+    const fullOrder = [...orderBy, ["id", lastDirection]];
+    let startAfter;
+    if (cursor) {
+      const { values, id } = decodeCursor(cursor, orderBy);
+      startAfter = [...values, id];
+    }
+
+    const fetchLimit = limit ? limit + 1 : undefined;
+
+    if (contains.length) {
+      const results = await Promise.all(wheres.map(chunk => scan(base, {
+        where: chunk,
+        contains,
+        orderBy: fullOrder,
+        startAfter,
+        wanted: fetchLimit,
+        maxScanned: FIRESTORE_SCAN_LIMIT
+      })));
+
+      const compare = compareRecords(orderBy);
+      let matches = results.flatMap(result => result.matches).sort(compare);
+
+      // When the scan limit was hit, only records up to the earliest point every chunk
+      // reached are known to be complete; the next page resumes from there
+      const boundaries = results.filter(result => result.capped).map(result => result.lastScanned);
+      if (boundaries.length) {
+        const boundary = boundaries.sort(compare)[0];
+        matches = matches.filter(record => compare(record, boundary) <= 0);
+        if (!limit || matches.length <= limit) {
+          return { items: matches, nextCursor: encodeCursor(boundary, orderBy) };
+        }
+      }
+
+      return toPage(fetchLimit ? matches.slice(0, fetchLimit) : matches, limit, orderBy);
+    }
+
+    const snapshots = await Promise.all(wheres.map(chunk => buildQuery(base, {
+      where: chunk,
+      orderBy: fullOrder,
+      limit: fetchLimit,
+      startAfter
+    }).get()));
+    const records = snapshots.flatMap(snapshot => snapshot.docs.map(toRecord));
+
+    if (wheres.length > 1) {
+      records.sort(compareRecords(orderBy));
+    }
+    return toPage(fetchLimit ? records.slice(0, fetchLimit) : records, limit, orderBy);
+  },
+
+  async count(options = {}) {
+    const wheres = splitWhere(options.where);
+    if (matchesNothing(wheres)) return 0;
+
+    if (options.contains?.length) {
+      const results = await Promise.all(wheres.map(where => scan(base, { where, contains: options.contains })));
+      return results.reduce((total, result) => total + result.matches.length, 0);
+    }
+
+    const snapshots = await Promise.all(wheres.map(where => buildQuery(base, { where }).count().get()));
+    return snapshots.reduce((total, snapshot) => total + snapshot.data().count, 0);
+  },
+
+  // Firestore has no grouped aggregations: grouped ones read just the fields they need
+  async aggregate({ where, groupBy = null, sum = [] } = {}) {
+    const wheres = splitWhere(where);
+    if (matchesNothing(wheres)) return aggregateRecords([], { groupBy, sum });
+
+    if (groupBy) {
+      const fields = [...new Set([groupBy, ...sum])];
+      const snapshots = await Promise.all(wheres.map(chunk => buildQuery(base, { where: chunk }).select(...fields).get()));
+      return aggregateRecords(snapshots.flatMap(snapshot => snapshot.docs.map(toRecord)), { groupBy, sum });
+    }
+
+    const spec = {
+      count: AggregateField.count(),
+      ...Object.fromEntries(sum.map((field, index) => [`sum${index}`, AggregateField.sum(field)]))
+    };
+    const snapshots = await Promise.all(wheres.map(chunk => buildQuery(base, { where: chunk }).aggregate(spec).get()));
+    const results = snapshots.map(snapshot => snapshot.data());
+    return [{
+      group: null,
+      count: results.reduce((total, result) => total + result.count, 0),
+      sum: Object.fromEntries(sum.map((field, index) => [field, results.reduce((total, result) => total + (result[`sum${index}`] || 0), 0)]))
+    }];
+  }
+});
+
+const createFirestoreStore = (ref) => ({
+  ...createQueryable(ref),
+
+  async get(id) {
+    return toRecord(await ref.doc(id).get());
+  },
+
+  async getMany(ids) {
+    if (ids.length === 0) return [];
+    const docs = await db.getAll(...ids.map(id => ref.doc(id)));
+    return docs.map(toRecord).filter(Boolean);
+  },
+
+  async create(data, id) {
+    const docRef = id ? ref.doc(id) : ref.doc();
+    await docRef.create(data);
+    return toRecord(await docRef.get());
+  },
+
+  async set(id, data, { merge = false } = {}) {
+    const docRef = ref.doc(id);
+    await docRef.set(data, { merge });
+    return toRecord(await docRef.get());
+  },
+
+  async update(id, patch) {
+    const docRef = ref.doc(id);
+    const doc = await docRef.get();
+    if (!doc.exists) return null;
+
+    await docRef.update(patch);
+    return toRecord(await docRef.get());
+  },
+
+  async updateIf(id, where, patch) {
+    const docRef = ref.doc(id);
+    const updated = await db.runTransaction(async (transaction) => {
+      const record = toRecord(await transaction.get(docRef));
+      if (!record || !matchesWhere(record, where)) return false;
+
+      transaction.update(docRef, patch);
+      return true;
+    });
+    return updated ? toRecord(await docRef.get()) : null;
+  },
+
+  async delete(id) {
+    const docRef = ref.doc(id);
+    const doc = await docRef.get();
+    if (!doc.exists) return false;
+
+    await docRef.delete();
+    return true;
+  }
+});
+
+export const createFirestoreBackend = () => {
+  const collection = (name, { parent } = {}) => {
+    if (!parent) {
+      return createFirestoreStore(db.collection(name));
+    }
+
+    // Queries across all parents go through a collection group; everything else needs of(parentId)
+    const unsupported = () => {
+      throw new Error(`"${name}" records can only be read or written through of(parentId)`);
+    };
+
+    return {
+      ...createQueryable(db.collectionGroup(name)),
+      get: unsupported,
+      getMany: unsupported,
+      create: unsupported,
+      set: unsupported,
+      update: unsupported,
+      updateIf: unsupported,
+      delete: unsupported,
+      of: (parentId) => {
+        const store = createFirestoreStore(db.collection(parent.collection).doc(parentId).collection(name));
+        const create = store.create;
+        store.create = (data, id) => create({ ...data, [parent.field]: parentId }, id);
+        return store;
+      }
+    };
+  };
+
+  return {
+    name: "firestore",
+    collection
+  };
 };
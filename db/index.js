@@ -0,0 +1,58 @@
+// db/index.js
+// Repositories over the storage backend selected with STORAGE_BACKEND
+// (firestore | postgres | memory), defaults to firestore.
+import dotenv from "dotenv";
+import { createAuditLogsRepository } from "./repositories/audit-logs.js";
+import { createCheckInsRepository } from "./repositories/check-ins.js";
+import { createDeviceCommandsRepository } from "./repositories/device-commands.js";
+import { createDeviceCredentialsRepository } from "./repositories/device-credentials.js";
+import { createDeviceEnrollmentTokensRepository } from "./repositories/device-enrollment-tokens.js";
+import { createDevicesRepository } from "./repositories/devices.js";
+import { createFirmwareReleasesRepository } from "./repositories/firmware-releases.js";
+import { createFirmwareRolloutTargetsRepository } from "./repositories/firmware-rollout-targets.js";
+import { createFirmwareRolloutsRepository } from "./repositories/firmware-rollouts.js";
+import { createGymMembersRepository } from "./repositories/gym-members.js";
+import { createGymsRepository } from "./repositories/gyms.js";
+import { createInvoicesRepository } from "./repositories/invoices.js";
+import { createMembershipsRepository } from "./repositories/memberships.js";
+import { createOrganizationsRepository } from "./repositories/organizations.js";
+import { createPlansRepository } from "./repositories/plans.js";
+import { createUsersRepository } from "./repositories/users.js";
+import { createWebhookDeliveriesRepository } from "./repositories/webhook-deliveries.js";
+import { createWebhooksRepository } from "./repositories/webhooks.js";
+
+dotenv.config();
+
+// Backends are imported on demand so e.g. the memory backend never loads Firebase
+const backends = {
+  firestore: async () => (await import("./firestore.js")).createFirestoreBackend(),
+  postgres: async () => (await import("./postgres.js")).createPostgresBackend(),
+  memory: async () => (await import("./memory.js")).createMemoryBackend()
+};
+
+const backendName = process.env.STORAGE_BACKEND || "firestore";
+
+if (!backends[backendName]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${backendName}". Expected one of: ${Object.keys(backends).join(", ")}`);
+}
+
+export const backend = await backends[backendName]();
+
+export const organizations = createOrganizationsRepository(backend);
+export const gyms = createGymsRepository(backend);
+export const gymMembers = createGymMembersRepository(backend);
+export const checkIns = createCheckInsRepository(backend);
+export const plans = createPlansRepository(backend);
+export const invoices = createInvoicesRepository(backend);
+export const devices = createDevicesRepository(backend);
+export const users = createUsersRepository(backend);
+export const memberships = createMembershipsRepository(backend);
+export const auditLogs = createAuditLogsRepository(backend);
+export const deviceEnrollmentTokens = createDeviceEnrollmentTokensRepository(backend);
+export const deviceCredentials = createDeviceCredentialsRepository(backend);
+export const deviceCommands = createDeviceCommandsRepository(backend);
+export const firmwareReleases = createFirmwareReleasesRepository(backend);
+export const firmwareRollouts = createFirmwareRolloutsRepository(backend);
+export const firmwareRolloutTargets = createFirmwareRolloutTargetsRepository(backend);
+export const webhooks = createWebhooksRepository(backend);
+export const webhookDeliveries = createWebhookDeliveriesRepository(backend);
@@ -0,0 +1,107 @@
+// db/memory.js
+// In-process storage backend. Data lives only as long as the process, which makes it
+// suitable for tests and local runs without any database.
+import { aggregateRecords, compareRecords, cursorRecord, decodeCursor, generateId, matchesContains, matchesWhere, scopeStore, toPage } from "./query.js";
+
+const clone = (value) => structuredClone(value);
+
+const createMemoryStore = (records) => {
+  const toRecord = (id) => records.has(id) ? { id, ...clone(records.get(id)) } : null;
+
+  const select = ({ where = [], contains = [], orderBy = [] } = {}) => {
+    return [...records.keys()]
+      .map(toRecord)
+      .filter(record => matchesWhere(record, where) && matchesContains(record, contains))
+      .sort(compareRecords(orderBy));
+  };
+
+  return {
+    async get(id) {
+      return toRecord(id);
+    },
+
+    async getMany(ids) {
+      return ids.map(toRecord).filter(Boolean);
+    },
+
+    async find(options = {}) {
+      const results = select(options);
+      return options.limit ? results.slice(0, options.limit) : results;
+    },
+
+    async page({ where, contains, orderBy = [], limit, cursor } = {}) {
+      let results = select({ where, contains, orderBy });
+
+      if (cursor) {
+        const after = cursorRecord(orderBy, decodeCursor(cursor, orderBy));
+        const compare = compareRecords(orderBy);
+        results = results.filter(record => compare(record, after) > 0);
+      }
+
+      return toPage(limit ? results.slice(0, limit + 1) : results, limit, orderBy);
+    },
+
+    async count(options = {}) {
+      return select(options).length;
+    },
+
+    async aggregate({ where, groupBy, sum } = {}) {
+      return aggregateRecords(select({ where }), { groupBy, sum });
+    },
+
+    async create(data, id = generateId()) {
+      if (records.has(id)) throw new Error(`Record ${id} already exists`);
+      records.set(id, clone(data));
+      return toRecord(id);
+    },
+
+    async set(id, data, { merge = false } = {}) {
+      const existing = merge && records.has(id) ? records.get(id) : {};
+      records.set(id, { ...existing, ...clone(data) });
+      return toRecord(id);
+    },
+
+    async update(id, patch) {
+      if (!records.has(id)) return null;
+      records.set(id, { ...records.get(id), ...clone(patch) });
+      return toRecord(id);
+    },
+
+    async updateIf(id, where, patch) {
+      const record = toRecord(id);
+      if (!record || !matchesWhere(record, where)) return null;
+      records.set(id, { ...records.get(id), ...clone(patch) });
+      return toRecord(id);
+    },
+
+    async delete(id) {
+      return records.delete(id);
+    }
+  };
+};
+
+export const createMemoryBackend = () => {
+  const collections = new Map();
+
+  const collection = (name, { parent } = {}) => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+
+    const store = createMemoryStore(collections.get(name));
+    if (parent) {
+      store.of = (parentId) => scopeStore(store, parent.field, parentId);
+    }
+    return store;
+  };
+
+  return {
+    name: "memory",
+    collection,
+
+    // Drops every collection, e.g. between test runs
+    reset() {
+      collections.forEach(records => records.clear());
+    }
+  };
+};
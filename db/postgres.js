@@ -0,0 +1,272 @@
+// db/postgres.js
+// PostgreSQL storage backend. Each collection is a table of JSONB documents:
+//   CREATE TABLE <collection> (id TEXT PRIMARY KEY, data JSONB NOT NULL)
+// Tables are created on first use, so relational queries and joins can be run
+// directly against the `data` columns.
+import pg from "pg";
+import { assertOperator, decodeCursor, generateId, scopeStore, toPage } from "./query.js";
+
+const quoteIdentifier = (name) => {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(name)) {
+    throw new Error(`Invalid identifier "${name}"`);
+  }
+  return `"${name}"`;
+};
+
+const toRecord = (row) => row ? { id: row.id, ...row.data } : null;
+
+const toJson = (value) => JSON.stringify(value ?? null);
+
+const quoteLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// Field names are inlined (not bound) so expression indexes on data->'field' can be used
+const fieldColumn = (field) => `data->${quoteLiteral(field)}`;
+
+// Missing fields sort like JSON null, which jsonb orders before every other value
+const sortColumn = (field) => field === "id" ? "id" : `COALESCE(${fieldColumn(field)}, 'null'::jsonb)`;
+
+const addParam = (params, value) => {
+  params.push(value);
+  return `$${params.length}`;
+};
+
+// Translates [field, op, value] filters into SQL over the JSONB column
+const buildWhere = (where = [], params) => {
+  const clauses = where.map(([field, op, value]) => {
+    assertOperator(op);
+
+    // The "id" field is the text primary key rather than part of the document
+    if (field === "id") {
+      switch (op) {
+        case "==": return `id = ${addParam(params, value)}`;
+        case "!=": return `id <> ${addParam(params, value)}`;
+        case "in": return `id = ANY(${addParam(params, value)}::text[])`;
+        case "not-in": return `NOT (id = ANY(${addParam(params, value)}::text[]))`;
+        default: throw new Error(`Unsupported query operator "${op}" on id`);
+      }
+    }
+
+    const column = fieldColumn(field);
+
+    switch (op) {
+      case "==": return value === null || value === undefined
+        ? `COALESCE(${column}, 'null'::jsonb) = 'null'::jsonb`
+        : `${column} = ${addParam(params, toJson(value))}::jsonb`;
+      case "!=": return `${column} IS NOT NULL AND ${column} <> ${addParam(params, toJson(value))}::jsonb`;
+      case "<":
+      case "<=":
+      case ">":
+      case ">=": return `${column} <> 'null'::jsonb AND jsonb_typeof(${column}) = jsonb_typeof(${addParam(params, toJson(value))}::jsonb) AND ${column} ${op} $${params.length}::jsonb`;
+      case "in": return `COALESCE(${column}, 'null'::jsonb) = ANY(${addParam(params, value.map(toJson))}::jsonb[])`;
+      case "not-in": return `${column} IS NOT NULL AND NOT (${column} = ANY(${addParam(params, value.map(toJson))}::jsonb[]))`;
+      case "array-contains": return `${column} @> ${addParam(params, toJson([value]))}::jsonb`;
+      case "array-contains-any": return `EXISTS (SELECT 1 FROM unnest(${addParam(params, value.map(toJson))}::jsonb[]) AS candidate WHERE ${column} @> jsonb_build_array(candidate))`;
+    }
+  });
+
+  return clauses;
+};
+
+// Case-insensitive substring search; array fields are searched through their JSON text
+const buildContains = (contains = [], params) => contains.map(([fields, term]) => {
+  const pattern = addParam(params, `%${String(term).replace(/[\\%_]/g, "\\$&")}%`);
+  const alternatives = fields.map(field => `COALESCE(data->>${quoteLiteral(field)}, '') ILIKE ${pattern}`);
+  return `(${alternatives.join(" OR ")})`;
+});
+
+const whereClause = (clauses) => clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+
+// Keyset condition selecting the records that sort after the cursor
+const buildAfterCursor = (orderBy, { values, id }, params) => {
+  const lastDirection = orderBy.length ? orderBy[orderBy.length - 1][1] : "asc";
+  const terms = [
+    ...orderBy.map(([field, direction], index) => ({
+      column: sortColumn(field),
+      direction,
+      value: `${addParam(params, toJson(values[index]))}::jsonb`
+    })),
+    { column: "id", direction: lastDirection, value: addParam(params, id) }
+  ];
+
+  const alternatives = terms.map((term, index) => {
+    const equal = terms.slice(0, index).map(previous => `${previous.column} = ${previous.value}`);
+    const after = `${term.column} ${term.direction === "desc" ? "<" : ">"} ${term.value}`;
+    return `(${[...equal, after].join(" AND ")})`;
+  });
+
+  return `(${alternatives.join(" OR ")})`;
+};
+
+const buildOrderBy = (orderBy = []) => {
+  const direction = (value) => value === "desc" ? "DESC" : "ASC";
+  const terms = orderBy.map(([field, dir]) => `${sortColumn(field)} ${direction(dir)}`);
+  const lastDirection = orderBy.length ? orderBy[orderBy.length - 1][1] : "asc";
+  terms.push(`id ${direction(lastDirection)}`);
+  return `ORDER BY ${terms.join(", ")}`;
+};
+
+const createPostgresStore = (pool, table, ensureTable) => {
+  const query = async (text, params) => {
+    await ensureTable();
+    return pool.query(text, params);
+  };
+
+  return {
+    async get(id) {
+      const { rows } = await query(`SELECT id, data FROM ${table} WHERE id = $1`, [id]);
+      return toRecord(rows[0]);
+    },
+
+    async getMany(ids) {
+      if (ids.length === 0) return [];
+      const { rows } = await query(`SELECT id, data FROM ${table} WHERE id = ANY($1::text[])`, [ids]);
+      const byId = new Map(rows.map(row => [row.id, toRecord(row)]));
+      return ids.map(id => byId.get(id)).filter(Boolean);
+    },
+
+    async find({ where, contains, orderBy, limit } = {}) {
+      const params = [];
+      const clauses = [...buildWhere(where, params), ...buildContains(contains, params)];
+      let text = `SELECT id, data FROM ${table} ${whereClause(clauses)} ${buildOrderBy(orderBy)}`;
+      if (limit) text += ` LIMIT ${addParam(params, limit)}`;
+
+      const { rows } = await query(text, params);
+      return rows.map(toRecord);
+    },
+
+    async page({ where, contains, orderBy = [], limit, cursor } = {}) {
+      const params = [];
+      const clauses = [...buildWhere(where, params), ...buildContains(contains, params)];
+      if (cursor) {
+        clauses.push(buildAfterCursor(orderBy, decodeCursor(cursor, orderBy), params));
+      }
+
+      let text = `SELECT id, data FROM ${table} ${whereClause(clauses)} ${buildOrderBy(orderBy)}`;
+      if (limit) text += ` LIMIT ${addParam(params, limit + 1)}`;
+
+      const { rows } = await query(text, params);
+      return toPage(rows.map(toRecord), limit, orderBy);
+    },
+
+    async count({ where, contains } = {}) {
+      const params = [];
+      const clauses = [...buildWhere(where, params), ...buildContains(contains, params)];
+      const { rows } = await query(`SELECT COUNT(*)::int AS count FROM ${table} ${whereClause(clauses)}`, params);
+      return rows[0].count;
+    },
+
+    async aggregate({ where, groupBy = null, sum = [] } = {}) {
+      const params = [];
+      const clauses = buildWhere(where, params);
+      const columns = [
+        "COUNT(*)::int AS count",
+        ...sum.map((field, index) => {
+          const column = fieldColumn(field);
+          return `COALESCE(SUM(CASE WHEN jsonb_typeof(${column}) = 'number' THEN (${column})::numeric END), 0)::float8 AS sum${index}`;
+        })
+      ];
+      if (groupBy) columns.unshift(`COALESCE(${fieldColumn(groupBy)}, 'null'::jsonb) AS "group"`);
+
+      const { rows } = await query(
+        `SELECT ${columns.join(", ")} FROM ${table} ${whereClause(clauses)} ${groupBy ? "GROUP BY 1" : ""}`,
+        params
+      );
+      return rows.map(row => ({
+        group: groupBy ? row.group : null,
+        count: row.count,
+        sum: Object.fromEntries(sum.map((field, index) => [field, row[`sum${index}`]]))
+      }));
+    },
+
+    async create(data, id = generateId()) {
+      const { rows } = await query(
+        `INSERT INTO ${table} (id, data) VALUES ($1, $2::jsonb) RETURNING id, data`,
+        [id, toJson(data)]
+      );
+      return toRecord(rows[0]);
+    },
+
+    async set(id, data, { merge = false } = {}) {
+      const update = merge ? `${table}.data || EXCLUDED.data` : "EXCLUDED.data";
+      const { rows } = await query(
+        `INSERT INTO ${table} (id, data) VALUES ($1, $2::jsonb)
+         ON CONFLICT (id) DO UPDATE SET data = ${update}
+         RETURNING id, data`,
+        [id, toJson(data)]
+      );
+      return toRecord(rows[0]);
+    },
+
+    async update(id, patch) {
+      const { rows } = await query(
+        `UPDATE ${table} SET data = data || $2::jsonb WHERE id = $1 RETURNING id, data`,
+        [id, toJson(patch)]
+      );
+      return toRecord(rows[0]);
+    },
+
+    async updateIf(id, where, patch) {
+      const params = [id, toJson(patch)];
+      const clauses = ["id = $1", ...buildWhere(where, params)];
+      const { rows } = await query(
+        `UPDATE ${table} SET data = data || $2::jsonb ${whereClause(clauses)} RETURNING id, data`,
+        params
+      );
+      return toRecord(rows[0]);
+    },
+
+    async delete(id) {
+      const { rowCount } = await query(`DELETE FROM ${table} WHERE id = $1`, [id]);
+      return rowCount > 0;
+    }
+  };
+};
+
+export const createPostgresBackend = ({ connectionString = process.env.DATABASE_URL } = {}) => {
+  if (!connectionString) {
+    throw new Error("DATABASE_URL must be set to use the PostgreSQL storage backend");
+  }
+
+  const pool = new pg.Pool({ connectionString });
+  const tables = new Map();
+
+  // Creates the table (and its indexes) once per process
+  const tableInitializer = (table, { parent, indexes = [] }) => {
+    let ready;
+    return () => {
+      if (!ready) {
+        const fields = parent ? [parent.field, ...indexes] : indexes;
+        ready = (async () => {
+          await pool.query(`CREATE TABLE IF NOT EXISTS ${quoteIdentifier(table)} (id TEXT PRIMARY KEY, data JSONB NOT NULL)`);
+          for (const field of fields) {
+            await pool.query(
+              `CREATE INDEX IF NOT EXISTS ${quoteIdentifier(`${table}_${field}_idx`)} ON ${quoteIdentifier(table)} ((${fieldColumn(field)}))`
+            );
+          }
+        })().catch(error => {
+          ready = undefined;
+          throw error;
+        });
+      }
+      return ready;
+    };
+  };
+
+  const collection = (name, options = {}) => {
+    if (!tables.has(name)) {
+      tables.set(name, tableInitializer(name, options));
+    }
+
+    const store = createPostgresStore(pool, quoteIdentifier(name), tables.get(name));
+    if (options.parent) {
+      store.of = (parentId) => scopeStore(store, options.parent.field, parentId);
+    }
+    return store;
+  };
+
+  return {
+    name: "postgres",
+    collection,
+    close: () => pool.end()
+  };
+};
@@ -0,0 +1,204 @@
+// db/query.js
+// Helpers shared by the storage backends.
+//
+// Every backend exposes collections ("stores") with the same interface:
+//   get(id), getMany(ids), find({ where, contains, orderBy, limit }),
+//   count({ where, contains }),
+//   aggregate({ where, groupBy, sum }) -> [{ group, count, sum: { field: total } }],
+//   page({ where, contains, orderBy, limit, cursor }) -> { items, nextCursor },
+//   create(data, id?), set(id, data, { merge }), update(id, patch), delete(id),
+//   updateIf(id, where, patch) -> the updated record, or null when it is missing or no longer
+//   matches `where` (checked and written atomically, e.g. to claim a record only once)
+// Records are plain objects shaped { id, ...data }. `where` is a list of
+// [field, op, value] filters using Firestore's operators (the "id" field
+// refers to the record ID), `contains` a list of [fields, term] text searches
+// (see matchesContains) and `orderBy` a list of [field, "asc" | "desc"]
+// pairs. aggregate() counts the matching records per value of the groupBy field (one entry with
+// group null without groupBy) and totals the numeric `sum` fields. Child collections (gyms
+// under an organization) also expose of(parentId), a store scoped to one parent.
+import crypto from "crypto";
+
+export const OPERATORS = ["==", "!=", "<", "<=", ">", ">=", "in", "not-in", "array-contains", "array-contains-any"];
+
+const ID_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+// Same length and alphabet as Firestore auto IDs
+export const generateId = () => {
+  const bytes = crypto.randomBytes(20);
+  let id = "";
+  for (const byte of bytes) {
+    id += ID_ALPHABET[byte % ID_ALPHABET.length];
+  }
+  return id;
+};
+
+export const assertOperator = (op) => {
+  if (!OPERATORS.includes(op)) {
+    throw new Error(`Unsupported query operator "${op}"`);
+  }
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+export const matchesFilter = (record, [field, op, value]) => {
+  const actual = record[field];
+
+  switch (op) {
+    case "==": return isEqual(actual ?? null, value);
+    case "!=": return actual !== undefined && !isEqual(actual, value);
+    case "<": return actual !== undefined && actual !== null && compareValues(actual, value) < 0;
+    case "<=": return actual !== undefined && actual !== null && compareValues(actual, value) <= 0;
+    case ">": return actual !== undefined && actual !== null && compareValues(actual, value) > 0;
+    case ">=": return actual !== undefined && actual !== null && compareValues(actual, value) >= 0;
+    case "in": return value.some(v => isEqual(actual ?? null, v));
+    case "not-in": return actual !== undefined && !value.some(v => isEqual(actual, v));
+    case "array-contains": return Array.isArray(actual) && actual.some(v => isEqual(v, value));
+    case "array-contains-any": return Array.isArray(actual) && actual.some(v => value.some(w => isEqual(v, w)));
+    default: throw new Error(`Unsupported query operator "${op}"`);
+  }
+};
+
+export const matchesWhere = (record, where = []) => where.every(filter => matchesFilter(record, filter));
+
+// Each [fields, term] pair matches when the term appears, case-insensitively, in at least
+// one of the fields (or one element of an array field)
+export const matchesContains = (record, contains = []) => contains.every(([fields, term]) => {
+  const needle = String(term).toLowerCase();
+  return fields.some(field => {
+    const values = Array.isArray(record[field]) ? record[field] : [record[field]];
+    return values.some(value => value !== undefined && value !== null && String(value).toLowerCase().includes(needle));
+  });
+});
+
+// Sort comparator for [[field, direction], ...], falling back to id for a stable order
+export const compareRecords = (orderBy = []) => (a, b) => {
+  for (const [field, direction = "asc"] of orderBy) {
+    const result = compareValues(a[field], b[field]);
+    if (result !== 0) return direction === "desc" ? -result : result;
+  }
+  const lastDirection = orderBy.length ? orderBy[orderBy.length - 1][1] : "asc";
+  const result = compareValues(a.id, b.id);
+  return lastDirection === "desc" ? -result : result;
+};
+
+// aggregate() over records in memory, for backends that can't group in the database
+export const aggregateRecords = (records, { groupBy = null, sum = [] } = {}) => {
+  const groups = new Map();
+  const entry = (group) => {
+    if (!groups.has(group)) {
+      groups.set(group, { group, count: 0, sum: Object.fromEntries(sum.map(field => [field, 0])) });
+    }
+    return groups.get(group);
+  };
+
+  if (!groupBy) entry(null);
+  for (const record of records) {
+    const totals = entry(groupBy ? record[groupBy] ?? null : null);
+    totals.count++;
+    for (const field of sum) {
+      if (typeof record[field] === "number") totals.sum[field] += record[field];
+    }
+  }
+  return [...groups.values()];
+};
+
+// Store restricted to the records of one parent, for backends without real subcollections
+export const scopeStore = (store, field, parentId) => {
+  const scoped = (where = []) => [[field, "==", parentId], ...where];
+  const owns = (record) => record && record[field] === parentId ? record : null;
+
+  return {
+    get: async (id) => owns(await store.get(id)),
+    getMany: async (ids) => (await store.getMany(ids)).filter(owns),
+    find: (options = {}) => store.find({ ...options, where: scoped(options.where) }),
+    page: (options = {}) => store.page({ ...options, where: scoped(options.where) }),
+    count: (options = {}) => store.count({ ...options, where: scoped(options.where) }),
+    aggregate: (options = {}) => store.aggregate({ ...options, where: scoped(options.where) }),
+    create: (data, id) => store.create({ ...data, [field]: parentId }, id),
+    set: async (id, data, options) => {
+      const existing = await store.get(id);
+      if (existing && existing[field] !== parentId) throw new Error(`Record ${id} belongs to another parent`);
+      return store.set(id, { ...data, [field]: parentId }, options);
+    },
+    update: async (id, patch) => owns(await store.get(id)) ? store.update(id, patch) : null,
+    updateIf: (id, where, patch) => store.updateIf(id, [[field, "==", parentId], ...where], patch),
+    delete: async (id) => owns(await store.get(id)) ? store.delete(id) : false
+  };
+};
+
+// Opaque page cursors hold the sort values and ID of the last record on a page.
+// The sort order is part of the cursor so it cannot be replayed against another order.
+export const encodeCursor = (record, orderBy = []) => {
+  const payload = {
+    o: orderBy.map(([field, direction = "asc"]) => `${field}:${direction}`),
+    v: orderBy.map(([field]) => record[field] ?? null),
+    id: record.id
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+export const decodeCursor = (cursor, orderBy = []) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch {
+    payload = null;
+  }
+
+  const expectedOrder = orderBy.map(([field, direction = "asc"]) => `${field}:${direction}`);
+  if (!payload || typeof payload.id !== "string" || !Array.isArray(payload.v) ||
+      JSON.stringify(payload.o) !== JSON.stringify(expectedOrder)) {
+    const error = new Error("Invalid cursor");
+    error.status = 400;
+    throw error;
+  }
+
+  return { values: payload.v, id: payload.id };
+};
+
+// The cursor's position as a record, for comparing against real records
+export const cursorRecord = (orderBy = [], { values, id }) => {
+  const record = { id };
+  orderBy.forEach(([field], index) => {
+    record[field] = values[index];
+  });
+  return record;
+};
+
+// Builds a page from up to limit + 1 records; the extra record only signals that more exist
+export const toPage = (records, limit, orderBy = []) => {
+  const items = limit ? records.slice(0, limit) : records;
+  const hasMore = !!limit && records.length > limit;
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], orderBy) : null
+  };
+};
+
+// Lists one page of a store and, on request, the total number of matching records
+export const listPage = async (store, { where = [], contains = [], orderBy = [], limit, cursor, includeTotal = false }) => {
+  const [page, total] = await Promise.all([
+    store.page({ where, contains, orderBy, limit, cursor }),
+    includeTotal ? store.count({ where, contains }) : undefined
+  ]);
+  return includeTotal ? { ...page, total } : page;
+};
+
+// Soft deletes: records carry deletedAt (null while live, an ISO timestamp once in the trash).
+// Repositories hide trashed records unless asked for them.
+export const NOT_DELETED = ["deletedAt", "==", null];
+export const IN_TRASH = ["deletedAt", ">", ""];
+
+// Filter limiting a cross-organization query to some organizations (null: all of them)
+export const inOrganizations = (organizationIds) => organizationIds ? [["organizationId", "in", organizationIds]] : [];
+
+export const unlessDeleted = (record, { includeDeleted = false } = {}) =>
+  record && (includeDeleted || !record.deletedAt) ? record : null;
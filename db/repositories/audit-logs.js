@@ -0,0 +1,39 @@
+// db/repositories/audit-logs.js
+import { listPage } from "../query.js";
+
+export const createAuditLogsRepository = (backend) => {
+  const store = backend.collection("audit_logs", { indexes: ["organizationId", "entityId", "performedBy", "timestamp"] });
+
+  return {
+    record: (entry) => store.create({
+      ...entry,
+      timestamp: entry.timestamp || new Date().toISOString()
+    }),
+
+    // organizationIds: null lists entries of every organization, including platform-level ones.
+    // from / to are inclusive ISO timestamps.
+    list: ({
+      organizationIds = null,
+      entityType,
+      entityId,
+      actorId,
+      action,
+      from,
+      to,
+      limit,
+      cursor,
+      includeTotal
+    } = {}) => {
+      const where = [];
+      if (organizationIds) where.push(["organizationId", "in", organizationIds]);
+      if (entityType) where.push(["entityType", "==", entityType]);
+      if (entityId) where.push(["entityId", "==", entityId]);
+      if (actorId) where.push(["performedBy", "==", actorId]);
+      if (action) where.push(["action", "==", action]);
+      if (from) where.push(["timestamp", ">=", from]);
+      if (to) where.push(["timestamp", "<=", to]);
+
+      return listPage(store, { where, orderBy: [["timestamp", "desc"]], limit, cursor, includeTotal });
+    }
+  };
+};
@@ -0,0 +1,61 @@
+// db/repositories/check-ins.js
+// Gym visits (organizations/{orgId}/checkIns in Firestore): checkedInAt when the member came in,
+// checkedOutAt once they left (null while they are inside).
+import { listPage } from "../query.js";
+
+export const CHECK_IN_SOURCES = ["manual", "device"];
+
+export const createCheckInsRepository = (backend) => {
+  const store = backend.collection("checkIns", {
+    parent: { collection: "organizations", field: "organizationId" },
+    indexes: ["gymId", "memberId"]
+  });
+
+  return {
+    get: (orgId, checkInId) => store.of(orgId).get(checkInId),
+
+    // open: true only lists visits without a check-out; from / to bound checkedInAt
+    list: (orgId, { gymId, memberId, open, from, to, limit, cursor, includeTotal } = {}) => {
+      const where = [];
+      if (gymId) where.push(["gymId", "==", gymId]);
+      if (memberId) where.push(["memberId", "==", memberId]);
+      if (open) where.push(["checkedOutAt", "==", null]);
+      if (from) where.push(["checkedInAt", ">=", from]);
+      if (to) where.push(["checkedInAt", "<", to]);
+
+      return listPage(store.of(orgId), { where, orderBy: [["checkedInAt", "desc"]], limit, cursor, includeTotal });
+    },
+
+    // The member's visit without a check-out, at any gym of the organization
+    findOpenByMember: async (orgId, memberId) => {
+      const [checkIn] = await store.of(orgId).find({
+        where: [["memberId", "==", memberId], ["checkedOutAt", "==", null]],
+        orderBy: [["checkedInAt", "desc"]],
+        limit: 1
+      });
+      return checkIn || null;
+    },
+
+    // Open visits of the gym that started at or after `since`
+    countOpen: (orgId, gymId, since) => store.of(orgId).count({
+      where: [["gymId", "==", gymId], ["checkedOutAt", "==", null], ["checkedInAt", ">=", since]]
+    }),
+
+    // Same across all the organization's gyms
+    listOpen: (orgId, since) => store.of(orgId).find({
+      where: [["checkedOutAt", "==", null], ["checkedInAt", ">=", since]]
+    }),
+
+    listBetween: (orgId, gymId, from, to) => store.of(orgId).find({
+      where: [["gymId", "==", gymId], ["checkedInAt", ">=", from], ["checkedInAt", "<", to]]
+    }),
+
+    listByGym: (orgId, gymId) => store.of(orgId).find({ where: [["gymId", "==", gymId]] }),
+
+    create: (orgId, data) => store.of(orgId).create(data),
+
+    update: (orgId, checkInId, patch) => store.of(orgId).update(checkInId, patch),
+
+    delete: (orgId, checkInId) => store.of(orgId).delete(checkInId)
+  };
+};
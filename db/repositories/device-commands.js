@@ -0,0 +1,37 @@
+// db/repositories/device-commands.js
+import { listPage } from "../query.js";
+
+export const createDeviceCommandsRepository = (backend) => {
+  const store = backend.collection("device_commands", { indexes: ["deviceId", "status"] });
+
+  return {
+    get: (id) => store.get(id),
+
+    // Command history of a device, newest first
+    listByDevice: (deviceId, { status, limit, cursor, includeTotal } = {}) => {
+      const where = [["deviceId", "==", deviceId]];
+      if (status) where.push(["status", "==", status]);
+
+      return listPage(store, { where, orderBy: [["createdAt", "desc"]], limit, cursor, includeTotal });
+    },
+
+    // Commands the device has not finished yet, oldest first
+    listOpenByDevice: (deviceId) => store.find({
+      where: [["deviceId", "==", deviceId], ["status", "in", ["pending", "delivered", "acknowledged"]]],
+      orderBy: [["createdAt", "asc"]]
+    }),
+
+    create: (data) => store.create(data),
+
+    update: (id, patch) => store.update(id, patch),
+
+    // Permanent; only used when purging the trash
+    deleteByDevice: async (deviceId) => {
+      const records = await store.find({ where: [["deviceId", "==", deviceId]] });
+      for (const record of records) {
+        await store.delete(record.id);
+      }
+      return records.length;
+    }
+  };
+};
@@ -0,0 +1,27 @@
+// db/repositories/device-credentials.js
+// API keys issued to enrolled devices, keyed by the key ID embedded in the key. Only a hash
+// of the secret part is stored.
+export const createDeviceCredentialsRepository = (backend) => {
+  const store = backend.collection("device_credentials", { indexes: ["deviceId"] });
+
+  return {
+    get: (keyId) => store.get(keyId),
+
+    listActiveByDevice: (deviceId) => store.find({
+      where: [["deviceId", "==", deviceId], ["revokedAt", "==", null]]
+    }),
+
+    create: (keyId, data) => store.create(data, keyId),
+
+    update: (keyId, patch) => store.update(keyId, patch),
+
+    // Permanent; only used when purging the trash
+    deleteByDevice: async (deviceId) => {
+      const records = await store.find({ where: [["deviceId", "==", deviceId]] });
+      for (const record of records) {
+        await store.delete(record.id);
+      }
+      return records.length;
+    }
+  };
+};
@@ -0,0 +1,24 @@
+// db/repositories/device-enrollment-tokens.js
+// One-time tokens an admin hands to a device so it can enroll. Records are keyed by the
+// token's hash; the token itself is never stored.
+export const createDeviceEnrollmentTokensRepository = (backend) => {
+  const store = backend.collection("device_enrollment_tokens", { indexes: ["deviceId"] });
+
+  return {
+    get: (tokenHash) => store.get(tokenHash),
+
+    create: (tokenHash, data) => store.create(data, tokenHash),
+
+    // Claims an unused token; resolves to null when another enrollment already used it
+    markUsed: (tokenHash, usedAt) => store.updateIf(tokenHash, [["usedAt", "==", null]], { usedAt }),
+
+    // Permanent; only used when purging the trash
+    deleteByDevice: async (deviceId) => {
+      const records = await store.find({ where: [["deviceId", "==", deviceId]] });
+      for (const record of records) {
+        await store.delete(record.id);
+      }
+      return records.length;
+    }
+  };
+};
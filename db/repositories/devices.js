@@ -0,0 +1,111 @@
+// db/repositories/devices.js
+import { IN_TRASH, NOT_DELETED, inOrganizations, listPage, unlessDeleted } from "../query.js";
+
+// Fields matched by a free-text query
+export const DEVICE_SEARCH_FIELDS = ["deviceName", "serialNumber", "macAddress", "ipAddress", "model", "manufacturer", "location", "organizationName"];
+
+// Fields that can be searched individually by partial text
+export const DEVICE_TEXT_FILTERS = ["serialNumber", "macAddress", "ipAddress", "model", "manufacturer", "location"];
+
+export const DEVICE_SORT_FIELDS = ["createdAt", "updatedAt", "deviceName", "serialNumber", "type", "status", "model", "manufacturer", "lastSeenAt"];
+
+export const createDevicesRepository = (backend) => {
+  const store = backend.collection("devices", { indexes: ["organizationId", "gymId", "serialNumber"] });
+
+  return {
+    get: async (id, options) => unlessDeleted(await store.get(id), options),
+
+    getMany: async (ids, options) => (await store.getMany(ids)).filter(device => unlessDeleted(device, options)),
+
+    // organizationIds: null lists devices of every organization, including unassigned ones
+    // q searches every DEVICE_SEARCH_FIELDS field, textFilters one DEVICE_TEXT_FILTERS field each
+    // deleted: true lists the trash instead
+    list: ({
+      organizationIds = null,
+      deleted = false,
+      gymId,
+      type,
+      status,
+      q,
+      textFilters = {},
+      orderBy = [["createdAt", "desc"]],
+      limit,
+      cursor,
+      includeTotal
+    } = {}) => {
+      const where = [deleted ? IN_TRASH : NOT_DELETED];
+      if (organizationIds) where.push(["organizationId", "in", organizationIds]);
+      if (gymId) where.push(["gymId", "==", gymId]);
+      if (type) where.push(["type", "==", type]);
+      if (status) where.push(["status", "==", status]);
+
+      const contains = [];
+      if (q) contains.push([DEVICE_SEARCH_FIELDS, q]);
+      for (const field of DEVICE_TEXT_FILTERS) {
+        if (textFilters[field]) contains.push([[field], textFilters[field]]);
+      }
+
+      return listPage(store, { where, contains, orderBy, limit, cursor, includeTotal });
+    },
+
+    // Includes trashed devices, whose serial number stays reserved until they are purged
+    findBySerialNumber: async (serialNumber) => {
+      const [device] = await store.find({ where: [["serialNumber", "==", serialNumber]], limit: 1 });
+      return device || null;
+    },
+
+    // Number of devices outside the trash per value of `field` (e.g. type or status);
+    // organizationIds: null includes unassigned devices
+    countBy: (field, { organizationIds = null } = {}) => store.aggregate({
+      where: [NOT_DELETED, ...inOrganizations(organizationIds)],
+      groupBy: field
+    }),
+
+    // Dashboard queries across organizations (organizationIds: null for all of them), outside
+    // the trash: the `limit` most recently updated between from and to, newest first, and
+    // everything created between from and to (ISO timestamps, to excluded)
+    listChangedBetween: (from, to, { organizationIds = null, limit }) => store.find({
+      where: [
+        NOT_DELETED,
+        ...inOrganizations(organizationIds),
+        ["updatedAt", ">=", from],
+        ["updatedAt", "<", to]
+      ],
+      orderBy: [["updatedAt", "desc"]],
+      limit
+    }),
+
+    listCreatedBetween: (from, to, { organizationIds = null } = {}) => store.find({
+      where: [
+        NOT_DELETED,
+        ...inOrganizations(organizationIds),
+        ["createdAt", ">=", from],
+        ["createdAt", "<", to]
+      ]
+    }),
+
+    countByOrganization: (orgId) => store.count({ where: [["organizationId", "==", orgId], NOT_DELETED] }),
+
+    // Gym IDs are only unique within an organization, so both are matched
+    findByGym: (orgId, gymId) => store.find({
+      where: [["organizationId", "==", orgId], ["gymId", "==", gymId], NOT_DELETED]
+    }),
+
+    countByGym: (orgId, gymId) => store.count({
+      where: [["organizationId", "==", orgId], ["gymId", "==", gymId], NOT_DELETED]
+    }),
+
+    listDeletedBefore: (cutoff) => store.find({ where: [["deletedAt", "<", cutoff]] }),
+
+    create: (data) => store.create({ ...data, deletedAt: null }),
+
+    update: (id, patch) => store.update(id, patch),
+
+    softDelete: (id, deletedBy) => store.update(id, { deletedAt: new Date().toISOString(), deletedBy }),
+
+    restore: (id, restoredBy) => store.update(id, { deletedAt: null, deletedBy: null, restoredAt: new Date().toISOString(), restoredBy }),
+
+    // Permanent; only used when purging the trash
+    delete: (id) => store.delete(id)
+  };
+};
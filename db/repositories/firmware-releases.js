@@ -0,0 +1,26 @@
+// db/repositories/firmware-releases.js
+import { listPage } from "../query.js";
+
+export const createFirmwareReleasesRepository = (backend) => {
+  const store = backend.collection("firmware_releases", { indexes: ["version"] });
+
+  return {
+    get: (id) => store.get(id),
+
+    list: ({ deviceType, status, limit, cursor, includeTotal } = {}) => {
+      const where = [];
+      if (status) where.push(["status", "==", status]);
+      if (deviceType) where.push(["deviceTypes", "array-contains", deviceType]);
+
+      return listPage(store, { where, orderBy: [["createdAt", "desc"]], limit, cursor, includeTotal });
+    },
+
+    listByVersion: (version) => store.find({ where: [["version", "==", version]] }),
+
+    create: (data) => store.create(data),
+
+    update: (id, patch) => store.update(id, patch),
+
+    delete: (id) => store.delete(id)
+  };
+};
@@ -0,0 +1,32 @@
+// db/repositories/firmware-rollout-targets.js
+// One record per (rollout, device) pair tracking that device's progress.
+import { listPage } from "../query.js";
+
+export const rolloutTargetId = (rolloutId, deviceId) => `${rolloutId}_${deviceId}`;
+
+export const createFirmwareRolloutTargetsRepository = (backend) => {
+  const store = backend.collection("firmware_rollout_targets", { indexes: ["rolloutId", "deviceId"] });
+
+  return {
+    get: (rolloutId, deviceId) => store.get(rolloutTargetId(rolloutId, deviceId)),
+
+    listByRollout: (rolloutId, { status, limit, cursor, includeTotal } = {}) => {
+      const where = [["rolloutId", "==", rolloutId]];
+      if (status) where.push(["status", "==", status]);
+
+      return listPage(store, { where, orderBy: [["bucket", "asc"]], limit, cursor, includeTotal });
+    },
+
+    listOpenByDevice: (deviceId, statuses) => store.find({
+      where: [["deviceId", "==", deviceId], ["status", "in", statuses]]
+    }),
+
+    countByStatus: (rolloutId, status) => store.count({
+      where: [["rolloutId", "==", rolloutId], ["status", "==", status]]
+    }),
+
+    create: (rolloutId, deviceId, data) => store.create({ ...data, rolloutId, deviceId }, rolloutTargetId(rolloutId, deviceId)),
+
+    update: (rolloutId, deviceId, patch) => store.update(rolloutTargetId(rolloutId, deviceId), patch)
+  };
+};
@@ -0,0 +1,28 @@
+// db/repositories/firmware-rollouts.js
+import { listPage } from "../query.js";
+
+export const createFirmwareRolloutsRepository = (backend) => {
+  const store = backend.collection("firmware_rollouts", { indexes: ["organizationId", "firmwareId"] });
+
+  return {
+    get: (id) => store.get(id),
+
+    getMany: (ids) => store.getMany(ids),
+
+    // organizationIds: null lists the rollouts of every organization, including platform-wide ones
+    list: ({ organizationIds = null, firmwareId, status, limit, cursor, includeTotal } = {}) => {
+      const where = [];
+      if (organizationIds) where.push(["organizationId", "in", organizationIds]);
+      if (firmwareId) where.push(["firmwareId", "==", firmwareId]);
+      if (status) where.push(["status", "==", status]);
+
+      return listPage(store, { where, orderBy: [["createdAt", "desc"]], limit, cursor, includeTotal });
+    },
+
+    countByFirmware: (firmwareId) => store.count({ where: [["firmwareId", "==", firmwareId]] }),
+
+    create: (data) => store.create(data),
+
+    update: (id, patch) => store.update(id, patch)
+  };
+};
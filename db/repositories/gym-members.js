@@ -0,0 +1,98 @@
+// db/repositories/gym-members.js
+// People holding a membership at one of the organization's gyms (organizations/{orgId}/gymMembers
+// in Firestore). homeGymId is the gym the member belongs to. Not to be confused with
+// memberships, which give users access to an organization. plan holds the name of the member's
+// plan (planId) for searching; nextBillingDate is maintained by services/billing.js.
+import { inOrganizations, listPage } from "../query.js";
+
+export const GYM_MEMBER_STATUSES = ["active", "paused", "cancelled", "expired"];
+
+// Fields matched by a free-text query
+export const GYM_MEMBER_SEARCH_FIELDS = ["name", "email", "phone", "plan"];
+
+export const GYM_MEMBER_SORT_FIELDS = ["createdAt", "updatedAt", "name", "plan", "status", "startDate", "endDate"];
+
+export const createGymMembersRepository = (backend) => {
+  const store = backend.collection("gymMembers", {
+    parent: { collection: "organizations", field: "organizationId" },
+    indexes: ["homeGymId"]
+  });
+
+  return {
+    get: (orgId, memberId) => store.of(orgId).get(memberId),
+
+    // Text filters are partial, case-insensitive matches. homeGymIds limits the list to those
+    // gyms (null means all of them).
+    list: (orgId, {
+      homeGymIds = null,
+      status,
+      planId,
+      q,
+      name,
+      email,
+      orderBy = [["createdAt", "desc"]],
+      limit,
+      cursor,
+      includeTotal
+    } = {}) => {
+      const where = [];
+      if (homeGymIds) where.push(["homeGymId", "in", homeGymIds]);
+      if (status) where.push(["status", "==", status]);
+      if (planId) where.push(["planId", "==", planId]);
+
+      const contains = [];
+      if (q) contains.push([GYM_MEMBER_SEARCH_FIELDS, q]);
+      if (name) contains.push([["name"], name]);
+      if (email) contains.push([["email"], email]);
+
+      return listPage(store.of(orgId), { where, contains, orderBy, limit, cursor, includeTotal });
+    },
+
+    listByGym: (orgId, gymId) => store.of(orgId).find({ where: [["homeGymId", "==", gymId]] }),
+
+    listByPlan: (orgId, planId) => store.of(orgId).find({ where: [["planId", "==", planId]] }),
+
+    countByPlan: (orgId, planId) => store.of(orgId).count({ where: [["planId", "==", planId]] }),
+
+    // Active members whose next billing period starts on or before asOf (YYYY-MM-DD)
+    listDueForBilling: (orgId, asOf) => store.of(orgId).find({
+      where: [["status", "==", "active"], ["nextBillingDate", "<=", asOf]]
+    }),
+
+    // Active members whose endDate is before asOf (YYYY-MM-DD)
+    listEnded: (orgId, asOf) => store.of(orgId).find({
+      where: [["status", "==", "active"], ["endDate", "<", asOf]]
+    }),
+
+    // Number of members per status across the organizations
+    countByStatus: ({ organizationIds = null } = {}) => store.aggregate({
+      where: inOrganizations(organizationIds),
+      groupBy: "status"
+    }),
+
+    countActive: (orgId, gymId) => store.of(orgId).count({
+      where: [["homeGymId", "==", gymId], ["status", "==", "active"]]
+    }),
+
+    findByEmail: async (orgId, email) => {
+      const [member] = await store.of(orgId).find({ where: [["email", "==", email]], limit: 1 });
+      return member || null;
+    },
+
+    create: (orgId, data) => store.of(orgId).create(data),
+
+    update: (orgId, memberId, patch) => store.of(orgId).update(memberId, patch),
+
+    // checkInClaimedAt is set while the member is being checked in (services/check-ins.js);
+    // claiming resolves to null when another check-in took it first
+    claimCheckIn: (orgId, memberId, expectedClaim, claimedAt) => store.of(orgId).updateIf(memberId, [
+      ["checkInClaimedAt", "==", expectedClaim]
+    ], { checkInClaimedAt: claimedAt }),
+
+    releaseCheckIn: (orgId, memberId, claimedAt) => store.of(orgId).updateIf(memberId, [
+      ["checkInClaimedAt", "==", claimedAt]
+    ], { checkInClaimedAt: null }),
+
+    delete: (orgId, memberId) => store.of(orgId).delete(memberId)
+  };
+};
@@ -0,0 +1,130 @@
+// db/repositories/gyms.js
+// Gyms belong to an organization (organizations/{orgId}/gyms in Firestore).
+import { IN_TRASH, NOT_DELETED, encodeCursor, inOrganizations, listPage, unlessDeleted } from "../query.js";
+
+// Fields matched by a free-text query
+export const GYM_SEARCH_FIELDS = ["name", "address", "city", "manager", "email", "phone", "amenities"];
+
+// What a check-in that would exceed the gym's capacity does: fail, or go through with a warning
+export const CAPACITY_POLICIES = ["reject", "warn"];
+
+// Public gyms are listed in the member-facing gym directory (GET /gyms/nearby and /gyms/within)
+export const GYM_VISIBILITIES = ["private", "public"];
+
+export const GYM_SORT_FIELDS = ["createdAt", "updatedAt", "name", "status", "capacity", "members", "monthlyRevenue"];
+
+export const createGymsRepository = (backend) => {
+  const store = backend.collection("gyms", {
+    parent: { collection: "organizations", field: "organizationId" }
+  });
+
+  return {
+    get: async (orgId, gymId, options) => unlessDeleted(await store.of(orgId).get(gymId), options),
+
+    getMany: async (orgId, gymIds, options) => (await store.of(orgId).getMany(gymIds)).filter(gym => unlessDeleted(gym, options)),
+
+    // Text filters are partial, case-insensitive matches; city also matches the address.
+    // deleted: true lists the trash instead.
+    list: (orgId, {
+      deleted = false,
+      status,
+      q,
+      name,
+      city,
+      manager,
+      amenity,
+      orderBy = [["createdAt", "desc"]],
+      limit,
+      cursor,
+      includeTotal
+    } = {}) => {
+      const where = [deleted ? IN_TRASH : NOT_DELETED];
+      if (status) where.push(["status", "==", status]);
+
+      const contains = [];
+      if (q) contains.push([GYM_SEARCH_FIELDS, q]);
+      if (name) contains.push([["name"], name]);
+      if (city) contains.push([["city", "address"], city]);
+      if (manager) contains.push([["manager"], manager]);
+      if (amenity) contains.push([["amenities"], amenity]);
+
+      return listPage(store.of(orgId), { where, contains, orderBy, limit, cursor, includeTotal });
+    },
+
+    // Cursor of a list() page that ends at the gym, for callers that stop partway through a page
+    cursorAfter: (gym, { orderBy = [["createdAt", "desc"]] } = {}) => encodeCursor(gym, orderBy),
+
+    // Gyms whose latitude is between minLatitude and maxLatitude; callers narrow down by longitude.
+    // orgId: null searches the public gyms of every organization.
+    listByLatitude: (orgId, minLatitude, maxLatitude) => (orgId ? store.of(orgId) : store).find({
+      where: [
+        NOT_DELETED,
+        ...(orgId ? [] : [["visibility", "==", "public"]]),
+        ["latitude", ">=", minLatitude],
+        ["latitude", "<=", maxLatitude]
+      ]
+    }),
+
+    // Every gym of the organization, trashed ones included
+    listAll: (orgId) => store.of(orgId).find(),
+
+    // Number of gyms outside the trash per status, with their total capacity and monthlyRevenue
+    totalsByStatus: ({ organizationIds = null } = {}) => store.aggregate({
+      where: [NOT_DELETED, ...inOrganizations(organizationIds)],
+      groupBy: "status",
+      sum: ["capacity", "monthlyRevenue"]
+    }),
+
+    // Dashboard queries across organizations (organizationIds: null for all of them), outside
+    // the trash: the `limit` most recently updated between from and to, newest first, and
+    // everything created between from and to (ISO timestamps, to excluded)
+    listChangedBetween: (from, to, { organizationIds = null, limit }) => store.find({
+      where: [
+        NOT_DELETED,
+        ...inOrganizations(organizationIds),
+        ["updatedAt", ">=", from],
+        ["updatedAt", "<", to]
+      ],
+      orderBy: [["updatedAt", "desc"]],
+      limit
+    }),
+
+    listCreatedBetween: (from, to, { organizationIds = null } = {}) => store.find({
+      where: [
+        NOT_DELETED,
+        ...inOrganizations(organizationIds),
+        ["createdAt", ">=", from],
+        ["createdAt", "<", to]
+      ]
+    }),
+
+    // Across all organizations
+    listDeletedBefore: (cutoff) => store.find({ where: [["deletedAt", "<", cutoff]] }),
+
+    create: (orgId, data) => store.of(orgId).create({ ...data, deletedAt: null }),
+
+    update: (orgId, gymId, patch) => store.of(orgId).update(gymId, patch),
+
+    // checkInClaimedAt is set while a check-in counts the gym's occupancy (services/check-ins.js);
+    // claiming resolves to null when another check-in took it first
+    claimCheckIn: (orgId, gymId, expectedClaim, claimedAt) => store.of(orgId).updateIf(gymId, [
+      ["checkInClaimedAt", "==", expectedClaim]
+    ], { checkInClaimedAt: claimedAt }),
+
+    releaseCheckIn: (orgId, gymId, claimedAt) => store.of(orgId).updateIf(gymId, [
+      ["checkInClaimedAt", "==", claimedAt]
+    ], { checkInClaimedAt: null }),
+
+    softDelete: (orgId, gymId, deletedBy) => store.of(orgId).update(gymId, { deletedAt: new Date().toISOString(), deletedBy }),
+
+    restore: (orgId, gymId, restoredBy) => store.of(orgId).update(gymId, {
+      deletedAt: null,
+      deletedBy: null,
+      restoredAt: new Date().toISOString(),
+      restoredBy
+    }),
+
+    // Permanent; only used when purging the trash
+    delete: (orgId, gymId) => store.of(orgId).delete(gymId)
+  };
+};
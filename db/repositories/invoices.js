@@ -0,0 +1,83 @@
+// db/repositories/invoices.js
+// One invoice per gym member and billing period (organizations/{orgId}/invoices in Firestore).
+// The ID is derived from the member and period start, so a period is never billed twice.
+// paymentLockedAt is set while a payment is being taken, so only one can run at a time.
+import { inOrganizations, listPage } from "../query.js";
+
+export const INVOICE_STATUSES = ["open", "paid", "void"];
+
+export const invoiceId = (memberId, periodStart) => `${memberId}_${periodStart}`;
+
+export const createInvoicesRepository = (backend) => {
+  const store = backend.collection("invoices", {
+    parent: { collection: "organizations", field: "organizationId" },
+    indexes: ["memberId", "gymId"]
+  });
+
+  return {
+    get: (orgId, id) => store.of(orgId).get(id),
+
+    // from / to bound periodStart (YYYY-MM-DD, to excluded)
+    list: (orgId, { status, memberId, gymId, from, to, limit, cursor, includeTotal } = {}) => {
+      const where = [];
+      if (status) where.push(["status", "==", status]);
+      if (memberId) where.push(["memberId", "==", memberId]);
+      if (gymId) where.push(["gymId", "==", gymId]);
+      if (from) where.push(["periodStart", ">=", from]);
+      if (to) where.push(["periodStart", "<", to]);
+
+      return listPage(store.of(orgId), { where, orderBy: [["periodStart", "desc"]], limit, cursor, includeTotal });
+    },
+
+    // Invoices paid between from and to (ISO timestamps, to excluded), optionally for one gym
+    listPaidBetween: (orgId, from, to, { gymId } = {}) => store.of(orgId).find({
+      where: [
+        ["status", "==", "paid"],
+        ["paidAt", ">=", from],
+        ["paidAt", "<", to],
+        ...(gymId ? [["gymId", "==", gymId]] : [])
+      ]
+    }),
+
+    // Number and total amount of the invoices paid between from and to (ISO timestamps, to
+    // excluded); organizationIds: null counts every organization
+    totalPaidBetween: async (from, to, { organizationIds = null } = {}) => {
+      const [{ count, sum }] = await store.aggregate({
+        where: [
+          ["status", "==", "paid"],
+          ...inOrganizations(organizationIds),
+          ["paidAt", ">=", from],
+          ["paidAt", "<", to]
+        ],
+        sum: ["amount"]
+      });
+      return { count, amount: sum.amount };
+    },
+
+    listAll: (orgId) => store.of(orgId).find(),
+
+    create: (orgId, data, id) => store.of(orgId).create(data, id),
+
+    update: (orgId, id, patch) => store.of(orgId).update(id, patch),
+
+    // Locks an open invoice for a payment, provided its lock is still `expectedLock` (null, or
+    // the stale lock being taken over). Resolves to null when the invoice changed meanwhile.
+    lockForPayment: (orgId, id, expectedLock, lockedAt) => store.of(orgId).updateIf(id, [
+      ["status", "==", "open"],
+      ["paymentLockedAt", "==", expectedLock]
+    ], { paymentLockedAt: lockedAt }),
+
+    // Records the payment's outcome and releases the lock; null when the lock was lost
+    completePayment: (orgId, id, lockedAt, patch) => store.of(orgId).updateIf(id, [
+      ["paymentLockedAt", "==", lockedAt]
+    ], { ...patch, paymentLockedAt: null }),
+
+    // Voids the invoice unless it was paid or a payment is being taken meanwhile
+    voidIfOpen: (orgId, id, patch) => store.of(orgId).updateIf(id, [
+      ["status", "==", "open"],
+      ["paymentLockedAt", "==", null]
+    ], { ...patch, status: "void" }),
+
+    delete: (orgId, id) => store.of(orgId).delete(id)
+  };
+};
@@ -0,0 +1,25 @@
+// db/repositories/memberships.js
+// One record per (organization, user) pair, with the user's role in that organization.
+export const membershipId = (orgId, uid) => `${orgId}_${uid}`;
+
+export const createMembershipsRepository = (backend) => {
+  const store = backend.collection("organization_members", { indexes: ["organizationId", "userId"] });
+
+  return {
+    get: (orgId, uid) => store.get(membershipId(orgId, uid)),
+
+    listByOrganization: (orgId) => store.find({ where: [["organizationId", "==", orgId]] }),
+
+    listByUser: (uid) => store.find({ where: [["userId", "==", uid]] }),
+
+    countByRole: (orgId, role) => store.count({
+      where: [["organizationId", "==", orgId], ["role", "==", role]]
+    }),
+
+    create: (orgId, uid, data) => store.create({ ...data, organizationId: orgId, userId: uid }, membershipId(orgId, uid)),
+
+    update: (orgId, uid, patch) => store.update(membershipId(orgId, uid), patch),
+
+    delete: (orgId, uid) => store.delete(membershipId(orgId, uid))
+  };
+};
@@ -0,0 +1,50 @@
+// db/repositories/organizations.js
+import { IN_TRASH, NOT_DELETED, listPage, unlessDeleted } from "../query.js";
+
+export const createOrganizationsRepository = (backend) => {
+  const store = backend.collection("organizations");
+
+  return {
+    get: async (id, options) => unlessDeleted(await store.get(id), options),
+
+    getMany: async (ids, options) => (await store.getMany(ids)).filter(organization => unlessDeleted(organization, options)),
+
+    // ids: null lists every organization; deleted: true lists the trash instead
+    list: ({ ids = null, deleted = false, limit, cursor, includeTotal } = {}) => listPage(store, {
+      where: [...(ids ? [["id", "in", ids]] : []), deleted ? IN_TRASH : NOT_DELETED],
+      orderBy: deleted ? [["deletedAt", "desc"]] : [["createdAt", "desc"]],
+      limit,
+      cursor,
+      includeTotal
+    }),
+
+    // Includes trashed organizations, whose email stays reserved until they are purged
+    findByEmail: async (email) => {
+      const [organization] = await store.find({ where: [["email", "==", email]], limit: 1 });
+      return organization || null;
+    },
+
+    // Every organization outside the trash, for scheduled jobs
+    listActive: () => store.find({ where: [NOT_DELETED] }),
+
+    countActive: () => store.count({ where: [NOT_DELETED] }),
+
+    listTrashed: () => store.find({ where: [IN_TRASH] }),
+
+    // Every organization, trash included, for one-off migrations
+    listAll: () => store.find(),
+
+    listDeletedBefore: (cutoff) => store.find({ where: [["deletedAt", "<", cutoff]] }),
+
+    create: (data) => store.create({ ...data, deletedAt: null }),
+
+    update: (id, patch) => store.update(id, patch),
+
+    softDelete: (id, deletedBy) => store.update(id, { deletedAt: new Date().toISOString(), deletedBy }),
+
+    restore: (id, restoredBy) => store.update(id, { deletedAt: null, deletedBy: null, restoredAt: new Date().toISOString(), restoredBy }),
+
+    // Permanent; only used when purging the trash
+    delete: (id) => store.delete(id)
+  };
+};
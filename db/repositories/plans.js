@@ -0,0 +1,28 @@
+// db/repositories/plans.js
+// Membership plans an organization sells (organizations/{orgId}/plans in Firestore). gymIds lists
+// the gyms the plan gives access to; an empty list means all of them.
+
+// Months in each billing period
+export const BILLING_INTERVALS = { monthly: 1, quarterly: 3, yearly: 12 };
+
+export const createPlansRepository = (backend) => {
+  const store = backend.collection("plans", {
+    parent: { collection: "organizations", field: "organizationId" }
+  });
+
+  return {
+    get: (orgId, planId) => store.of(orgId).get(planId),
+
+    // active: true leaves out archived plans
+    list: (orgId, { active } = {}) => store.of(orgId).find({
+      where: active === undefined ? [] : [["active", "==", active]],
+      orderBy: [["price", "asc"]]
+    }),
+
+    create: (orgId, data) => store.of(orgId).create(data),
+
+    update: (orgId, planId, patch) => store.of(orgId).update(planId, patch),
+
+    delete: (orgId, planId) => store.of(orgId).delete(planId)
+  };
+};
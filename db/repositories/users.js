@@ -0,0 +1,21 @@
+// db/repositories/users.js
+// User profiles, keyed by the auth provider's uid.
+export const createUsersRepository = (backend) => {
+  const store = backend.collection("users", { indexes: ["email"] });
+
+  return {
+    get: (uid) => store.get(uid),
+
+    findByEmail: async (email) => {
+      const [user] = await store.find({ where: [["email", "==", email]], limit: 1 });
+      return user || null;
+    },
+
+    create: (uid, data) => store.set(uid, data),
+
+    // Merges into the existing profile, creating it if needed
+    upsert: (uid, data) => store.set(uid, data, { merge: true }),
+
+    update: (uid, patch) => store.update(uid, patch)
+  };
+};
@@ -0,0 +1,45 @@
+// db/repositories/webhook-deliveries.js
+import { listPage } from "../query.js";
+
+export const createWebhookDeliveriesRepository = (backend) => {
+  const store = backend.collection("webhook_deliveries", { indexes: ["webhookId", "status"] });
+
+  return {
+    get: (id) => store.get(id),
+
+    // Delivery log of a webhook, newest first
+    listByWebhook: (webhookId, { status, limit, cursor, includeTotal } = {}) => {
+      const where = [["webhookId", "==", webhookId]];
+      if (status) where.push(["status", "==", status]);
+
+      return listPage(store, { where, orderBy: [["createdAt", "desc"]], limit, cursor, includeTotal });
+    },
+
+    // Pending deliveries whose next attempt is due, oldest first
+    listDue: (now, limit) => store.find({
+      where: [["status", "==", "pending"], ["nextAttemptAt", "<=", now]],
+      orderBy: [["nextAttemptAt", "asc"]],
+      limit
+    }),
+
+    create: (data) => store.create(data),
+
+    update: (id, patch) => store.update(id, patch),
+
+    // Leases a pending delivery for one attempt, as long as its nextAttemptAt is still the one
+    // read; null when another process leased it first
+    lease: (id, nextAttemptAt, leasedUntil) => store.updateIf(id, [
+      ["status", "==", "pending"],
+      ["nextAttemptAt", "==", nextAttemptAt]
+    ], { nextAttemptAt: leasedUntil }),
+
+    // Permanent; only used when purging the trash
+    deleteByWebhook: async (webhookId) => {
+      const records = await store.find({ where: [["webhookId", "==", webhookId]] });
+      for (const record of records) {
+        await store.delete(record.id);
+      }
+      return records.length;
+    }
+  };
+};
@@ -0,0 +1,25 @@
+// db/repositories/webhooks.js
+// Webhook subscriptions, one per organization and receiver URL.
+export const createWebhooksRepository = (backend) => {
+  const store = backend.collection("webhooks", { indexes: ["organizationId"] });
+
+  return {
+    get: (id) => store.get(id),
+
+    listByOrganization: (orgId) => store.find({
+      where: [["organizationId", "==", orgId]],
+      orderBy: [["createdAt", "asc"]]
+    }),
+
+    // Active subscriptions of the organization that want this event
+    findSubscribed: (orgId, event) => store.find({
+      where: [["organizationId", "==", orgId], ["active", "==", true], ["events", "array-contains", event]]
+    }),
+
+    create: (data) => store.create(data),
+
+    update: (id, patch) => store.update(id, patch),
+
+    delete: (id) => store.delete(id)
+  };
+};
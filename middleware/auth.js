@@ -0,0 +1,32 @@
+// middleware/auth.js
+import { getAuthProvider, toRequestUser } from "../auth/index.js";
+
+export const verifyAuth = async (req, res, next) => {
+  try {
+    const provider = getAuthProvider();
+    const sessionCookie = req.cookies?.session;
+    const authHeader = req.headers.authorization;
+
+    let decodedClaims;
+
+    // Try session cookie first
+    if (sessionCookie) {
+      decodedClaims = await provider.verifySessionCookie(sessionCookie);
+    }
+    // Try Authorization header with Bearer token
+    else if (authHeader && authHeader.startsWith('Bearer ')) {
+      const idToken = authHeader.split('Bearer ')[1];
+      decodedClaims = await provider.verifyIdToken(idToken);
+    }
+    else {
+      return res.status(401).json({ error: "Unauthorized - No valid authentication found" });
+    }
+
+    // Attach user to request
+    req.user = toRequestUser(decodedClaims, provider.name);
+    next();
+  } catch (error) {
+    console.error("Auth verification error:", error.message);
+    res.status(401).json({ error: "Unauthorized - Invalid token" });
+  }
+};
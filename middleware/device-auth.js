@@ -0,0 +1,38 @@
+// middleware/device-auth.js
+// Authenticates devices by the API key they received at enrollment, sent as
+// "Authorization: Device <key>". Sets req.device instead of req.user.
+import { authenticateDevice } from "../services/device-credentials.js";
+
+export const verifyDeviceAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Device ')) {
+      return res.status(401).json({ error: "Unauthorized - No device credential found" });
+    }
+
+    const device = await authenticateDevice(authHeader.split('Device ')[1]);
+
+    if (!device) {
+      return res.status(401).json({ error: "Unauthorized - Invalid device credential" });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error("Device auth verification error:", error.message);
+    res.status(401).json({ error: "Unauthorized - Invalid device credential" });
+  }
+};
+
+// For device-facing routes under /devices/:id, which a device may only call for itself
+export const requireOwnDevice = (req, res, next) => {
+  if (req.device.id !== req.params.id) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      message: "Device credentials do not belong to this device"
+    });
+  }
+  next();
+};
@@ -0,0 +1,130 @@
+// middleware/permissions.js
+import { memberships } from "../db/index.js";
+
+export const ROLES = ["owner", "admin", "gym_manager", "viewer"];
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    "organization:read", "organization:update", "organization:delete",
+    "members:read", "members:manage", "audit:read",
+    "gym:read", "gym:create", "gym:update", "gym:delete", "gym_members:read", "gym_members:manage",
+    "device:read", "device:create", "device:update", "device:delete", "device:command",
+    "firmware:rollout", "webhook:manage", "billing:read", "billing:manage"
+  ],
+  admin: [
+    "organization:read", "organization:update",
+    "members:read", "members:manage", "audit:read",
+    "gym:read", "gym:create", "gym:update", "gym:delete", "gym_members:read", "gym_members:manage",
+    "device:read", "device:create", "device:update", "device:delete", "device:command",
+    "firmware:rollout", "webhook:manage", "billing:read", "billing:manage"
+  ],
+  gym_manager: [
+    "organization:read",
+    "gym:read", "gym:update", "gym_members:read", "gym_members:manage",
+    "device:read"
+  ],
+  viewer: [
+    "organization:read",
+    "gym:read",
+    "device:read"
+  ]
+};
+
+// Gym managers only hold these for the gyms listed in their membership
+const GYM_SCOPED_PERMISSIONS = ["gym:update", "gym_members:read", "gym_members:manage"];
+
+// Platform staff are flagged with the `superAdmin` custom claim
+export const isSuperAdmin = (user) => user?.superAdmin === true;
+
+// Access comes only from membership records. Organizations created before memberships existed
+// get their creator's owner record from scripts/migrate-creator-memberships.js.
+export const getMembership = async (orgId, uid) => {
+  if (!orgId || !uid) return null;
+  return memberships.get(orgId, uid);
+};
+
+// Organization IDs the user belongs to, or null when the user may see every organization
+export const getAccessibleOrganizationIds = async (user) => {
+  if (isSuperAdmin(user)) return null;
+  if (!user?.uid) return [];
+
+  const userMemberships = await memberships.listByUser(user.uid);
+  return [...new Set(userMemberships.map(membership => membership.organizationId))];
+};
+
+// Like getAccessibleOrganizationIds, limited to organizations where the user holds `permission`
+export const getPermittedOrganizationIds = async (user, permission) => {
+  const orgIds = await getAccessibleOrganizationIds(user);
+  if (orgIds === null) return null;
+
+  const permitted = [];
+  for (const orgId of orgIds) {
+    if (await authorize(user, orgId, permission)) permitted.push(orgId);
+  }
+  return permitted;
+};
+
+export const hasPermission = (membership, permission, { gymId } = {}) => {
+  if (!membership) return false;
+  if (membership.role === "super_admin") return true;
+
+  const permissions = ROLE_PERMISSIONS[membership.role] || [];
+  if (!permissions.includes(permission)) return false;
+
+  if (membership.role === "gym_manager" && GYM_SCOPED_PERMISSIONS.includes(permission)) {
+    return !!gymId && (membership.gymIds || []).includes(gymId);
+  }
+
+  return true;
+};
+
+// Returns the caller's membership when allowed, null otherwise.
+// Resources without an organization (e.g. unassigned devices) are super-admin only.
+export const authorize = async (user, orgId, permission, options = {}) => {
+  if (isSuperAdmin(user)) {
+    return { organizationId: orgId || null, userId: user.uid, role: "super_admin", gymIds: [] };
+  }
+
+  if (!orgId) return null;
+
+  const membership = await getMembership(orgId, user?.uid);
+  return hasPermission(membership, permission, options) ? membership : null;
+};
+
+export const denyAccess = (res, permission) => {
+  return res.status(403).json({
+    success: false,
+    error: "Forbidden",
+    message: `You do not have the "${permission}" permission for this organization`
+  });
+};
+
+// Route guard. By default the organization and gym come from `:orgId` / `:gymId`.
+export const requirePermission = (permission, resolve = {}) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const orgId = resolve.orgId ? resolve.orgId(req) : req.params.orgId;
+      const gymId = resolve.gymId ? resolve.gymId(req) : req.params.gymId;
+
+      const membership = await authorize(req.user, orgId, permission, { gymId });
+      if (!membership) {
+        console.log(`Permission ${permission} denied for user ${req.user?.uid} on organization ${orgId}`);
+        return denyAccess(res, permission);
+      }
+
+      req.membership = membership;
+      next();
+    } catch (error) {
+      console.error("Permission check error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to verify permissions",
+        message: error.message
+      });
+    }
+  };
+
+  // Listed in the API docs (services/openapi.js)
+  middleware.permission = permission;
+  return middleware;
+};
@@ -0,0 +1,27 @@
+// middleware/validate.js
+import { validate } from "../utils/validation.js";
+
+// Checks req.body against a schema from schemas/ and replaces it with the accepted fields.
+// partial: true for updates, where every field is optional.
+export const validateBody = (schema, { partial = false } = {}) => {
+  const middleware = (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, { partial });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        message: errors[0].message,
+        details: errors
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+
+  // Documents the request body in the API docs (services/openapi.js)
+  middleware.schema = schema;
+  middleware.partial = partial;
+  return middleware;
+};
@@ -0,0 +1,26 @@
+// payments/index.js
+// Payment processor that charges invoices paid by card. Every processor exposes
+// charge({ amount, currency, paymentToken, description, idempotencyKey }) resolving to
+// { id, status: "succeeded" | "failed", failureMessage }.
+import dotenv from "dotenv";
+import { createFakeProcessor } from "./processors/fake.js";
+
+dotenv.config();
+
+const processors = {
+  fake: createFakeProcessor
+};
+
+let processor;
+
+// Selected with PAYMENT_PROCESSOR (fake), defaults to fake
+export const getPaymentProcessor = () => {
+  if (!processor) {
+    const name = process.env.PAYMENT_PROCESSOR || "fake";
+    if (!processors[name]) {
+      throw new Error(`Unknown PAYMENT_PROCESSOR "${name}". Expected one of: ${Object.keys(processors).join(", ")}`);
+    }
+    processor = processors[name]();
+  }
+  return processor;
+};
@@ -0,0 +1,37 @@
+// payments/processors/fake.js
+// Local stand-in for a card processor, for development and CI. No money moves: tokens listed in
+// DECLINED_TOKENS fail with their message, any other token succeeds. Repeating a charge with the
+// same idempotencyKey returns the first result.
+import crypto from "crypto";
+
+const DECLINED_TOKENS = {
+  tok_declined: "Your card was declined",
+  tok_insufficient_funds: "Your card has insufficient funds",
+  tok_expired: "Your card has expired"
+};
+
+export const createFakeProcessor = () => {
+  const charges = new Map();
+
+  return {
+    name: "fake",
+
+    async charge({ amount, currency, paymentToken, idempotencyKey }) {
+      if (idempotencyKey && charges.has(idempotencyKey)) {
+        return charges.get(idempotencyKey);
+      }
+
+      const failureMessage = DECLINED_TOKENS[paymentToken] || null;
+      const charge = {
+        id: `fake_ch_${crypto.randomBytes(12).toString("hex")}`,
+        status: failureMessage ? "failed" : "succeeded",
+        amount,
+        currency,
+        failureMessage
+      };
+
+      if (idempotencyKey) charges.set(idempotencyKey, charge);
+      return charge;
+    }
+  };
+};
@@ -0,0 +1,137 @@
+// routes/audit-logs.js
+import express from "express";
+import * as db from "../db/index.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { authorize, denyAccess, getPermittedOrganizationIds } from "../middleware/permissions.js";
+import { toCsvRow } from "../utils/csv.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
+
+const router = express.Router();
+
+const AUDIT_EXPORT_MAX_ROWS = parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 10000;
+
+const CSV_COLUMNS = [
+  "timestamp", "action", "entityType", "entityId", "organizationId",
+  "actorType", "performedBy", "actorEmail", "ip", "userAgent", "changes", "metadata"
+];
+
+
+// Validates the query filters; from / to accept any date Date can parse
+const parseFilters = (query) => {
+  const { entityType, entityId, actor, action, from, to } = query;
+  const filters = { entityType, entityId, actorId: actor, action };
+  const errors = [];
+
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      errors.push(`${name} must be a valid date`);
+    } else {
+      filters[name] = date.toISOString();
+    }
+  }
+
+  return { filters, errors };
+};
+
+// Organizations whose audit trail the caller may read: null for super admins, otherwise the
+// requested organization or every organization where they hold audit:read
+const resolveOrganizationIds = async (user, organizationId) => {
+  if (organizationId) {
+    return (await authorize(user, organizationId, "audit:read")) ? [organizationId] : undefined;
+  }
+
+  return getPermittedOrganizationIds(user, "audit:read");
+};
+
+
+router.get("/audit-logs", verifyAuth, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    const { filters, errors } = parseFilters(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const orgIds = await resolveOrganizationIds(req.user, req.query.organizationId);
+    if (orgIds === undefined) {
+      return denyAccess(res, "audit:read");
+    }
+
+    const page = await db.auditLogs.list({ organizationIds: orgIds, ...filters, ...pagination });
+    const entries = page.items;
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching audit logs:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to fetch audit logs",
+      message: error.message
+    });
+  }
+});
+
+
+// Same filters as GET /audit-logs, streamed as CSV up to AUDIT_EXPORT_MAX_ROWS rows
+router.get("/audit-logs/export", verifyAuth, async (req, res) => {
+  try {
+    const { filters, errors } = parseFilters(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const orgIds = await resolveOrganizationIds(req.user, req.query.organizationId);
+    if (orgIds === undefined) {
+      return denyAccess(res, "audit:read");
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="audit-logs-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.write(toCsvRow(CSV_COLUMNS));
+
+    let exported = 0;
+    let cursor;
+    do {
+      const page = await db.auditLogs.list({
+        organizationIds: orgIds,
+        ...filters,
+        limit: Math.min(500, AUDIT_EXPORT_MAX_ROWS - exported),
+        cursor
+      });
+      for (const entry of page.items) {
+        res.write(toCsvRow(CSV_COLUMNS.map(column => entry[column])));
+      }
+      exported += page.items.length;
+      cursor = page.nextCursor;
+    } while (cursor && exported < AUDIT_EXPORT_MAX_ROWS);
+
+    console.log(`Exported ${exported} audit log entries for user ${req.user.uid}`);
+
+    res.end();
+  } catch (error) {
+    console.error("Error exporting audit logs:", error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(error.status || 500).json({
+      error: "Failed to export audit logs",
+      message: error.message
+    });
+  }
+});
+
+export default router;
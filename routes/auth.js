@@ -1,6 +1,10 @@
 import express from "express";
-import fetch from "node-fetch";
-import { auth, db } from "../api/firebaseadmin.js";
+import * as db from "../db/index.js";
+import { getAuthProvider } from "../auth/index.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { validateBody } from "../middleware/validate.js";
+import { signupSchema } from "../schemas/auth.js";
+import { recordAudit } from "../services/audit.js";
 
 const router = express.Router();
 
@@ -10,16 +14,23 @@ if (!FIREBASE_API_KEY) {
   console.error("WARNING: FIREBASE_API_KEY is not set in environment variables");
 }
 
-router.post("/auth/signup", async (req, res) => {
+// Sign-up and sign-in go through Firebase. With the local provider, tokens are
+// issued by scripts/issue-local-token.js instead.
+const requireFirebaseProvider = (req, res, next) => {
+  const provider = getAuthProvider();
+  if (provider.name !== "firebase") {
+    return res.status(501).json({ error: `Not available with the "${provider.name}" auth provider` });
+  }
+  next();
+};
+
+router.post("/auth/signup", requireFirebaseProvider, validateBody(signupSchema), async (req, res) => {
   console.log("Signup request received:", { ...req.body, password: "[REDACTED]" });
   
   const { name, email, password, phone } = req.body;
 
-  if (!email || !password || !name) {
-    return res.status(400).json({ message: "Missing required fields" });
-  }
-
   try {
+    const auth = await getAuthProvider().getFirebaseAuth();
     const userRecord = await auth.createUser({
       email,
       password,
@@ -27,13 +38,21 @@ router.post("/auth/signup", async (req, res) => {
       phoneNumber: phone || undefined,
     });
 
-    await db.collection("users").doc(userRecord.uid).set({
+    await db.users.create(userRecord.uid, {
       name,
       email,
       phone: phone || null,
       createdAt: new Date().toISOString(),
     });
 
+    await recordAudit(req, {
+      action: "signup",
+      entityType: "user",
+      entityId: userRecord.uid,
+      after: { name, email, phone: phone || null },
+      actor: { actorType: "user", performedBy: userRecord.uid, actorEmail: email }
+    });
+
     const link = await auth.generateEmailVerificationLink(email);
     
     console.log("User created successfully:", userRecord.uid);
@@ -49,7 +68,7 @@ router.post("/auth/signup", async (req, res) => {
   }
 });
 
-router.post("/auth/login", async (req, res) => {
+router.post("/auth/login", requireFirebaseProvider, async (req, res) => {
   console.log("Login request received for:", req.body.email);
   
   const { email, password } = req.body;
@@ -63,6 +82,7 @@ router.post("/auth/login", async (req, res) => {
   }
 
   try {
+    const auth = await getAuthProvider().getFirebaseAuth();
     const response = await fetch(
       `https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=${FIREBASE_API_KEY}`,
       {
@@ -82,6 +102,13 @@ router.post("/auth/login", async (req, res) => {
     const idToken = data.idToken;
     const decodedToken = await auth.verifyIdToken(idToken);
 
+    await recordAudit(req, {
+      action: "login",
+      entityType: "user",
+      entityId: decodedToken.uid,
+      actor: { actorType: "user", performedBy: decodedToken.uid, actorEmail: decodedToken.email || email }
+    });
+
     const expiresIn = 60 * 60 * 24 * 5 * 1000;
 
     try {
@@ -89,9 +116,9 @@ router.post("/auth/login", async (req, res) => {
         expiresIn: expiresIn 
       });
 
-      await db.collection("users").doc(decodedToken.uid).set({
+      await db.users.upsert(decodedToken.uid, {
         lastLogin: new Date().toISOString(),
-      }, { merge: true });
+      });
 
       res.cookie("session", sessionCookie, { 
         httpOnly: true, 
@@ -125,12 +152,18 @@ router.post("/auth/login", async (req, res) => {
     }
   } catch (err) {
     console.error("Login error:", err.message);
+    await recordAudit(req, {
+      action: "login_failed",
+      entityType: "user",
+      metadata: { email, reason: err.message },
+      actor: { actorEmail: email }
+    });
     res.status(400).json({ error: err.message });
   }
 });
 
 
-router.post("/auth/google-login", async (req, res) => {
+router.post("/auth/google-login", requireFirebaseProvider, async (req, res) => {
   console.log("Google login request received");
   
   const { idToken } = req.body;
@@ -142,14 +175,22 @@ router.post("/auth/google-login", async (req, res) => {
 
   try {
     console.log("Verifying ID token...");
+    const auth = await getAuthProvider().getFirebaseAuth();
     const decodedToken = await auth.verifyIdToken(idToken);
     
     console.log("Google token verified for:", decodedToken.email);
+
+    await recordAudit(req, {
+      action: "google_login",
+      entityType: "user",
+      entityId: decodedToken.uid,
+      actor: { actorType: "user", performedBy: decodedToken.uid, actorEmail: decodedToken.email || null }
+    });
     
-    const userDoc = await db.collection("users").doc(decodedToken.uid).get();
+    const existingUser = await db.users.get(decodedToken.uid);
     
-    if (!userDoc.exists) {
-      await db.collection("users").doc(decodedToken.uid).set({
+    if (!existingUser) {
+      await db.users.create(decodedToken.uid, {
         name: decodedToken.name || decodedToken.email.split('@')[0],
         email: decodedToken.email,
         photoURL: decodedToken.picture || null,
@@ -158,7 +199,7 @@ router.post("/auth/google-login", async (req, res) => {
       });
       console.log("New Google user created in Firestore:", decodedToken.uid);
     } else {
-      await db.collection("users").doc(decodedToken.uid).update({
+      await db.users.update(decodedToken.uid, {
         lastLogin: new Date().toISOString(),
       });
       console.log("Existing Google user updated:", decodedToken.uid);
@@ -215,29 +256,37 @@ router.post("/auth/google-login", async (req, res) => {
 });
 
 
-router.get("/auth/profile", async (req, res) => {
-  const sessionCookie = req.cookies.session || "";
-  
-  if (!sessionCookie) {
-    return res.status(401).json({ error: "No session found" });
-  }
-
+router.get("/auth/profile", verifyAuth, async (req, res) => {
   try {
-    const decodedClaims = await auth.verifySessionCookie(sessionCookie, true);
-    const userDoc = await db.collection("users").doc(decodedClaims.uid).get();
+    const profile = await db.users.get(req.user.uid);
     
     res.json({ 
-      user: decodedClaims, 
-      profile: userDoc.exists ? userDoc.data() : null 
+      user: req.user, 
+      profile 
     });
   } catch (err) {
     console.error("Profile error:", err.message);
-    res.status(401).json({ error: "Unauthorized" });
+    res.status(500).json({ error: "Failed to fetch profile", message: err.message });
   }
 });
 
 
 router.post("/auth/logout", async (req, res) => {
+  // Best effort: attribute the logout to the session's user when the cookie is still valid
+  let actor = null;
+  if (req.cookies?.session) {
+    try {
+      const claims = await getAuthProvider().verifySessionCookie(req.cookies.session);
+      actor = { actorType: "user", performedBy: claims.uid, actorEmail: claims.email || null };
+    } catch {
+      actor = null;
+    }
+  }
+
+  if (actor) {
+    await recordAudit(req, { action: "logout", entityType: "user", entityId: actor.performedBy, actor });
+  }
+
   res.clearCookie("session");
   res.status(200).json({ message: "Logged out successfully" });
 });
@@ -253,7 +302,8 @@ router.get("/auth/test", (req, res) => {
       "GET /auth/profile",
       "POST /auth/logout"
     ],
-    firebaseConfigured: !!FIREBASE_API_KEY
+    firebaseConfigured: !!FIREBASE_API_KEY,
+    authProvider: getAuthProvider().name
   });
 });
 
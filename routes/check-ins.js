@@ -0,0 +1,242 @@
+// routes/check-ins.js
+// Check-ins from the front desk and from access-control devices, live occupancy and attendance
+import express from "express";
+import * as db from "../db/index.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { requireOwnDevice, verifyDeviceAuth } from "../middleware/device-auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { validateBody } from "../middleware/validate.js";
+import { checkInSchema, deviceCheckInSchema } from "../schemas/check-in.js";
+import { checkIn, checkOut, getAttendance, getOccupancy, getOrganizationOccupancy } from "../services/check-ins.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
+
+const router = express.Router();
+
+
+// Loads the gym for :gymId, answering 404 when it doesn't exist
+const loadGym = async (req, res) => {
+  const gym = await db.gyms.get(req.params.orgId, req.params.gymId);
+
+  if (!gym) {
+    res.status(404).json({
+      success: false,
+      error: "Gym not found"
+    });
+    return null;
+  }
+
+  return gym;
+};
+
+// Answers a checkIn() / checkOut() result
+const sendVisit = (res, { data, occupancy, warning, problem }, status = 200) => {
+  if (problem) {
+    const { status: problemStatus, ...body } = problem;
+    return res.status(problemStatus).json({ success: false, ...body });
+  }
+
+  res.status(status).json({
+    success: true,
+    data,
+    occupancy,
+    ...(warning && { warning })
+  });
+};
+
+
+router.get("/organizations/:orgId/occupancy", verifyAuth, requirePermission("gym:read"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+
+    const gyms = await db.gyms.listAll(orgId);
+    const occupancy = await getOrganizationOccupancy(orgId, gyms.filter(gym => !gym.deletedAt));
+
+    res.json({
+      success: true,
+      data: occupancy,
+      count: occupancy.length,
+      totals: {
+        occupancy: occupancy.reduce((sum, gym) => sum + gym.occupancy, 0),
+        capacity: occupancy.reduce((sum, gym) => sum + (gym.capacity || 0), 0)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching organization occupancy:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch occupancy",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:orgId/gyms/:gymId/occupancy", verifyAuth, requirePermission("gym:read"), async (req, res) => {
+  try {
+    const gym = await loadGym(req, res);
+    if (!gym) return;
+
+    res.json({
+      success: true,
+      data: await getOccupancy(gym)
+    });
+  } catch (error) {
+    console.error("Error fetching gym occupancy:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch occupancy",
+      message: error.message
+    });
+  }
+});
+
+
+// ?groupBy=hourOfDay (default) | dayOfWeek | hour | day, ?from / ?to (default the last 30 days)
+// and ?timezone (IANA name, default UTC)
+router.get("/organizations/:orgId/gyms/:gymId/attendance", verifyAuth, requirePermission("gym:read"), async (req, res) => {
+  try {
+    const { from, to, groupBy, timezone } = req.query;
+
+    const gym = await loadGym(req, res);
+    if (!gym) return;
+
+    res.json({
+      success: true,
+      data: await getAttendance(gym, { from, to, groupBy, timezone })
+    });
+  } catch (error) {
+    console.error("Error fetching attendance:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to fetch attendance",
+      message: error.message
+    });
+  }
+});
+
+
+// Most recent first; ?open=true lists who is inside right now
+router.get("/organizations/:orgId/gyms/:gymId/check-ins", verifyAuth, requirePermission("gym_members:read"), async (req, res) => {
+  try {
+    const { orgId, gymId } = req.params;
+    const { memberId, from, to } = req.query;
+    const pagination = parsePagination(req.query);
+
+    const gym = await loadGym(req, res);
+    if (!gym) return;
+
+    const page = await db.checkIns.list(orgId, {
+      gymId,
+      memberId,
+      open: req.query.open === "true",
+      from,
+      to,
+      ...pagination
+    });
+    const checkIns = page.items;
+
+    res.json({
+      success: true,
+      data: checkIns,
+      count: checkIns.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching check-ins:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to fetch check-ins",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/organizations/:orgId/gyms/:gymId/check-ins", verifyAuth, requirePermission("gym_members:manage"), validateBody(checkInSchema), async (req, res) => {
+  try {
+    const { memberId, occurredAt } = req.body;
+
+    const gym = await loadGym(req, res);
+    if (!gym) return;
+
+    const result = await checkIn(gym, { memberId, occurredAt, source: "manual", performedBy: req.user.uid });
+
+    if (result.data) {
+      console.log(`Member ${memberId} checked in at gym ${gym.id} by user ${req.user.uid}${result.warning ? " (over capacity)" : ""}`);
+    }
+
+    sendVisit(res, result, 201);
+  } catch (error) {
+    console.error("Error checking in:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to check in",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/organizations/:orgId/gyms/:gymId/check-outs", verifyAuth, requirePermission("gym_members:manage"), validateBody(checkInSchema), async (req, res) => {
+  try {
+    const { memberId, occurredAt } = req.body;
+
+    const gym = await loadGym(req, res);
+    if (!gym) return;
+
+    const result = await checkOut(gym, { memberId, occurredAt, performedBy: req.user.uid });
+
+    if (result.data) {
+      console.log(`Member ${memberId} checked out of gym ${gym.id} by user ${req.user.uid}`);
+    }
+
+    sendVisit(res, result);
+  } catch (error) {
+    console.error("Error checking out:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to check out",
+      message: error.message
+    });
+  }
+});
+
+
+// Access-control devices report members passing through, at the gym the device is assigned to.
+// A rejected check-in answers 409 so the device keeps the gate closed.
+router.post("/devices/:id/check-ins", verifyDeviceAuth, requireOwnDevice, validateBody(deviceCheckInSchema), async (req, res) => {
+  try {
+    const { memberId, occurredAt, direction } = req.body;
+    const device = req.device;
+
+    const gym = device.organizationId && device.gymId
+      ? await db.gyms.get(device.organizationId, device.gymId)
+      : null;
+
+    if (!gym) {
+      return res.status(409).json({
+        success: false,
+        error: "Device is not assigned to a gym"
+      });
+    }
+
+    const result = direction === "in"
+      ? await checkIn(gym, { memberId, occurredAt, source: "device", deviceId: device.id })
+      : await checkOut(gym, { memberId, occurredAt, deviceId: device.id });
+
+    if (result.data) {
+      console.log(`Device ${device.id} checked member ${memberId} ${direction} at gym ${gym.id}`);
+    }
+
+    sendVisit(res, result, direction === "in" ? 201 : 200);
+  } catch (error) {
+    console.error("Error recording device check-in:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to record check-in",
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,303 @@
+// routes/device-commands.js
+import express from "express";
+import * as db from "../db/index.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { requireOwnDevice, verifyDeviceAuth } from "../middleware/device-auth.js";
+import { authorize, denyAccess } from "../middleware/permissions.js";
+import { recordAudit } from "../services/audit.js";
+import {
+  ACK_STATUSES,
+  COMMAND_STATUSES,
+  acknowledgeCommand,
+  enqueueCommand,
+  expireIfOverdue,
+  pullCommands,
+  validateCommand
+} from "../services/device-commands.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
+
+const router = express.Router();
+
+
+// Device-facing: returns unfinished commands and marks pending ones as delivered
+router.get("/devices/:id/commands/pending", verifyDeviceAuth, requireOwnDevice, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const commands = await pullCommands(id);
+
+    res.json({
+      success: true,
+      data: commands,
+      count: commands.length
+    });
+  } catch (error) {
+    console.error("Error pulling device commands:", error);
+    res.status(500).json({
+      error: "Failed to fetch pending commands",
+      message: error.message
+    });
+  }
+});
+
+
+// Device-facing: reports progress or the outcome of a command
+router.post("/devices/:id/commands/:commandId/ack", verifyDeviceAuth, requireOwnDevice, async (req, res) => {
+  try {
+    const { id, commandId } = req.params;
+    const { status, result, error } = req.body;
+
+    if (!ACK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [`status must be one of: ${ACK_STATUSES.join(", ")}`]
+      });
+    }
+
+    const command = await db.deviceCommands.get(commandId);
+
+    if (!command || command.deviceId !== id) {
+      return res.status(404).json({
+        success: false,
+        error: "Command not found"
+      });
+    }
+
+    const updatedCommand = await acknowledgeCommand(command, { status, result, error });
+
+    console.log(`Command ${commandId} on device ${id} reported as ${status}`);
+
+    res.json({
+      success: true,
+      data: updatedCommand
+    });
+  } catch (error) {
+    console.error("Error acknowledging command:", error.message);
+    res.status(error.status || 500).json({
+      error: "Failed to acknowledge command",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/devices/:id/commands", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+    const pagination = parsePagination(req.query);
+
+    if (status && !COMMAND_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [`status must be one of: ${COMMAND_STATUSES.join(", ")}`]
+      });
+    }
+
+    const device = await db.devices.get(id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found"
+      });
+    }
+
+    if (!(await authorize(req.user, device.organizationId, "device:read"))) {
+      return denyAccess(res, "device:read");
+    }
+
+    const page = await db.deviceCommands.listByDevice(id, { status, ...pagination });
+    const commands = [];
+    for (const command of page.items) {
+      commands.push(await expireIfOverdue(command));
+    }
+
+    res.json({
+      success: true,
+      data: commands,
+      count: commands.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching device commands:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to fetch device commands",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/devices/:id/commands/:commandId", verifyAuth, async (req, res) => {
+  try {
+    const { id, commandId } = req.params;
+
+    const device = await db.devices.get(id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found"
+      });
+    }
+
+    if (!(await authorize(req.user, device.organizationId, "device:read"))) {
+      return denyAccess(res, "device:read");
+    }
+
+    const command = await db.deviceCommands.get(commandId);
+
+    if (!command || command.deviceId !== id) {
+      return res.status(404).json({
+        success: false,
+        error: "Command not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await expireIfOverdue(command)
+    });
+  } catch (error) {
+    console.error("Error fetching device command:", error);
+    res.status(500).json({
+      error: "Failed to fetch device command",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/devices/:id/commands", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, payload, timeoutSeconds } = req.body;
+
+    const errors = validateCommand({ type, payload, timeoutSeconds });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const device = await db.devices.get(id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found"
+      });
+    }
+
+    if (!(await authorize(req.user, device.organizationId, "device:command"))) {
+      return denyAccess(res, "device:command");
+    }
+
+    const command = await enqueueCommand(device, { type, payload, timeoutSeconds }, req.user.uid);
+
+    await recordAudit(req, {
+      action: "create_device_command",
+      entityType: "device_command",
+      entityId: command.id,
+      organizationId: command.organizationId,
+      after: command
+    });
+
+    console.log(`Command ${command.id} (${type}) queued for device ${id} by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Command queued successfully",
+      data: command
+    });
+  } catch (error) {
+    console.error("Error queueing command:", error);
+    res.status(500).json({
+      error: "Failed to queue command",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/devices/bulk-commands", verifyAuth, async (req, res) => {
+  try {
+    const { deviceIds, type, payload, timeoutSeconds } = req.body;
+
+    if (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0) {
+      return res.status(400).json({
+        error: "Device IDs array is required"
+      });
+    }
+
+    const errors = validateCommand({ type, payload, timeoutSeconds });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    // A device listed twice still gets the command once
+    const devices = await db.devices.getMany([...new Set(deviceIds)]);
+    const foundIds = devices.map(device => device.id);
+    const missingIds = deviceIds.filter(deviceId => !foundIds.includes(deviceId));
+
+    if (missingIds.length > 0) {
+      return res.status(404).json({
+        error: "Some devices were not found",
+        deviceIds: missingIds
+      });
+    }
+
+    const forbiddenDevices = [];
+    for (const device of devices) {
+      if (!(await authorize(req.user, device.organizationId, "device:command"))) {
+        forbiddenDevices.push(device.id);
+      }
+    }
+
+    if (forbiddenDevices.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: "You do not have the \"device:command\" permission for some of these devices",
+        deviceIds: forbiddenDevices
+      });
+    }
+
+    const commands = [];
+    for (const device of devices) {
+      const command = await enqueueCommand(device, { type, payload, timeoutSeconds }, req.user.uid);
+      commands.push(command);
+
+      await recordAudit(req, {
+        action: "create_device_command",
+        entityType: "device_command",
+        entityId: command.id,
+        organizationId: command.organizationId,
+        after: command,
+        metadata: { bulk: true }
+      });
+    }
+
+    console.log(`Queued ${commands.length} ${type} commands by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Successfully queued ${commands.length} commands`,
+      data: commands,
+      count: commands.length
+    });
+  } catch (error) {
+    console.error("Error queueing bulk commands:", error);
+    res.status(500).json({
+      error: "Failed to queue commands",
+      message: error.message
+    });
+  }
+});
+
+export default router;
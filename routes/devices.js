@@ -1,82 +1,219 @@
 // routes/devices.js
 import express from "express";
-import { auth, db } from "../api/firebaseadmin.js";
+import * as db from "../db/index.js";
+import { DEVICE_SORT_FIELDS, DEVICE_TEXT_FILTERS } from "../db/repositories/devices.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { requireOwnDevice, verifyDeviceAuth } from "../middleware/device-auth.js";
+import { authorize, denyAccess, getAccessibleOrganizationIds, getPermittedOrganizationIds } from "../middleware/permissions.js";
+import { validateBody } from "../middleware/validate.js";
+import { deviceSchema } from "../schemas/device.js";
+import { recordAudit } from "../services/audit.js";
+import { createEnrollmentToken, enrollDevice, issueCredential, revokeCredentials } from "../services/device-credentials.js";
+import { GYM_REQUIRES_ORGANIZATION, prepareDevice } from "../services/devices.js";
+import { OFFLINE_TIMEOUT_SECONDS, ONLINE_TIMEOUT_SECONDS, getConnectivity, withConnectivity } from "../services/device-connectivity.js";
+import { emitEvent } from "../services/events.js";
+import { EXPORT_FORMATS, sendExport } from "../services/exports.js";
+import { IMPORT_MAX_BODY_SIZE, importDevices, readImportRows } from "../services/imports.js";
+import { purgeDate } from "../services/trash.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
+import { parseSort } from "../utils/sorting.js";
 
 const router = express.Router();
 
-const verifyAuth = async (req, res, next) => {
-  try {
-    const sessionCookie = req.cookies.session;
-    const authHeader = req.headers.authorization;
 
-    let decodedClaims;
+// A device that moved keeps both organizations informed; status changes get their own event
+const notifyDeviceUpdated = async (device, updatedDevice) => {
+  await emitEvent(updatedDevice.organizationId, "device.updated", { device: updatedDevice });
+  if (device.organizationId !== updatedDevice.organizationId) {
+    await emitEvent(device.organizationId, "device.updated", { device: updatedDevice });
+  }
+  if (device.status !== updatedDevice.status) {
+    await emitEvent(updatedDevice.organizationId, "device.status_changed", {
+      device: updatedDevice,
+      previousStatus: device.status
+    });
+  }
+};
 
-    if (sessionCookie) {
-      decodedClaims = await auth.verifySessionCookie(sessionCookie, true);
-    } else if (authHeader && authHeader.startsWith('Bearer ')) {
-      const idToken = authHeader.split('Bearer ')[1];
-      decodedClaims = await auth.verifyIdToken(idToken);
-    } else {
-      return res.status(401).json({ error: "Unauthorized" });
-    }
 
-    req.user = decodedClaims;
-    next();
-  } catch (error) {
-    console.error("Auth verification error:", error.message);
-    res.status(401).json({ error: "Unauthorized - Invalid token" });
+// Filters of GET /devices, shared with the export. undefined when the caller may not read the
+// requested organization.
+const listFilters = async (req) => {
+  const { organizationId, gymId, type, status, q, sort } = req.query;
+  const orderBy = parseSort(sort, DEVICE_SORT_FIELDS, [["createdAt", "desc"]]);
+
+  // Partial matches on individual fields, e.g. ?serialNumber=SN-12&location=lobby
+  const textFilters = {};
+  for (const field of DEVICE_TEXT_FILTERS) {
+    if (req.query[field]) textFilters[field] = req.query[field];
+  }
+
+  // Scope to the caller's organizations unless they are a super admin
+  let orgIds = await getAccessibleOrganizationIds(req.user);
+
+  if (organizationId) {
+    if (!(await authorize(req.user, organizationId, "device:read"))) {
+      return undefined;
+    }
+    orgIds = [organizationId];
   }
+
+  return { organizationIds: orgIds, gymId, type, status, q, textFilters, orderBy };
 };
 
 
 router.get("/devices", verifyAuth, async (req, res) => {
   try {
-    const { 
-      limit = 100, 
-      organizationId, 
-      type, 
-      status 
-    } = req.query;
+    const pagination = parsePagination(req.query);
 
-    let query = db.collection("devices");
+    const filters = await listFilters(req);
+    if (!filters) {
+      return denyAccess(res, "device:read");
+    }
 
-    // Apply filters
-    if (organizationId) {
-      query = query.where("organizationId", "==", organizationId);
+    // Get devices
+    const page = await db.devices.list({ ...filters, ...pagination });
+    const now = Date.now();
+    const devices = page.items.map(device => withConnectivity(device, now));
+
+    console.log(`Fetched ${devices.length} devices for user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      data: devices,
+      count: devices.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching devices:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to fetch devices",
+      message: error.message
+    });
+  }
+});
+
+
+const EXPORT_COLUMNS = [
+  "id", "deviceName", "type", "serialNumber", "model", "manufacturer",
+  "organizationId", "organizationName", "gymId", "gymName", "status", "connectivity",
+  "location", "ipAddress", "macAddress", "firmwareVersion", "lastSeenAt", "createdAt", "updatedAt"
+];
+
+// Same filters and sort as GET /devices; ?format=csv (default) or json
+router.get("/devices/export", verifyAuth, async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [`format must be one of: ${EXPORT_FORMATS.join(", ")}`]
+      });
     }
-    if (type) {
-      query = query.where("type", "==", type);
+
+    const filters = await listFilters(req);
+    if (!filters) {
+      return denyAccess(res, "device:read");
     }
-    if (status) {
-      query = query.where("status", "==", status);
+
+    const now = Date.now();
+    const exported = await sendExport(res, {
+      format,
+      filename: "devices",
+      columns: EXPORT_COLUMNS,
+      fetchPage: (options) => db.devices.list({ ...filters, ...options }),
+      transform: device => withConnectivity(device, now)
+    });
+
+    console.log(`Exported ${exported} devices for user ${req.user.uid}`);
+  } catch (error) {
+    console.error("Error exporting devices:", error);
+    if (res.headersSent) {
+      return res.end();
     }
+    res.status(error.status || 500).json({
+      error: "Failed to export devices",
+      message: error.message
+    });
+  }
+});
 
-    // Get devices
-    const snapshot = await query
-      .orderBy("createdAt", "desc")
-      .limit(parseInt(limit))
-      .get();
-
-    const devices = [];
-    snapshot.forEach(doc => {
-      devices.push({
-        id: doc.id,
-        ...doc.data()
+
+// CSV (text/csv) or JSON ({ devices: [...] }) rows with the POST /devices fields. Rows without
+// an organizationId go to ?organizationId=. ?validateOnly=true only returns the row report.
+router.post("/devices/import", verifyAuth, express.text({ type: "text/csv", limit: IMPORT_MAX_BODY_SIZE }), async (req, res) => {
+  try {
+    const validateOnly = req.query.validateOnly === "true";
+
+    const rows = readImportRows(req, "devices");
+    const report = await importDevices(req, rows, {
+      defaultOrganizationId: req.query.organizationId || null,
+      validateOnly
+    });
+
+    if (report.invalid > 0 && !validateOnly) {
+      return res.status(400).json({
+        error: "Validation failed",
+        message: `${report.invalid} of ${report.total} rows are invalid; nothing was imported`,
+        data: report
       });
+    }
+
+    console.log(`Device import by user ${req.user.uid}: ${report.created} created, ${report.invalid} invalid${validateOnly ? " (validate only)" : ""}`);
+
+    res.status(validateOnly ? 200 : 201).json({
+      success: report.invalid === 0,
+      validateOnly,
+      message: validateOnly
+        ? `${report.valid} of ${report.total} rows are valid`
+        : `Successfully imported ${report.created} devices`,
+      data: report
     });
+  } catch (error) {
+    console.error("Error importing devices:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to import devices",
+      message: error.message
+    });
+  }
+});
 
-    console.log(`Fetched ${devices.length} devices for user ${req.user.uid}`);
+
+// Deleted devices the caller could restore
+router.get("/devices/trash", verifyAuth, async (req, res) => {
+  try {
+    const { organizationId } = req.query;
+    const pagination = parsePagination(req.query);
+
+    let orgIds = await getPermittedOrganizationIds(req.user, "device:delete");
+
+    if (organizationId) {
+      if (!(await authorize(req.user, organizationId, "device:delete"))) {
+        return denyAccess(res, "device:delete");
+      }
+      orgIds = [organizationId];
+    }
+
+    const page = await db.devices.list({
+      organizationIds: orgIds,
+      deleted: true,
+      orderBy: [["deletedAt", "desc"]],
+      ...pagination
+    });
+    const devices = page.items.map(device => ({ ...device, purgeAt: purgeDate(device.deletedAt) }));
 
     res.json({
       success: true,
       data: devices,
-      count: devices.length
+      count: devices.length,
+      pagination: paginationMeta(page, pagination)
     });
   } catch (error) {
-    console.error("Error fetching devices:", error);
-    res.status(500).json({ 
-      error: "Failed to fetch devices",
-      message: error.message 
+    console.error("Error fetching deleted devices:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to fetch deleted devices",
+      message: error.message
     });
   }
 });
@@ -86,133 +223,89 @@ router.get("/devices/:id", verifyAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const doc = await db.collection("devices").doc(id).get();
+    const device = await db.devices.get(id);
 
-    if (!doc.exists) {
-      return res.status(404).json({ 
+    if (!device) {
+      return res.status(404).json({
         success: false,
-        error: "Device not found" 
+        error: "Device not found"
       });
     }
 
+    if (!(await authorize(req.user, device.organizationId, "device:read"))) {
+      return denyAccess(res, "device:read");
+    }
+
     res.json({
       success: true,
-      data: {
-        id: doc.id,
-        ...doc.data()
-      }
+      data: withConnectivity(device)
     });
   } catch (error) {
     console.error("Error fetching device:", error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Failed to fetch device",
-      message: error.message 
+      message: error.message
     });
   }
 });
 
 
-router.post("/devices", verifyAuth, async (req, res) => {
+router.post("/devices", verifyAuth, validateBody(deviceSchema), async (req, res) => {
   try {
-    const { 
-      deviceName, 
-      type, 
-      serialNumber, 
-      model,
-      manufacturer,
-      organizationId,
-      status,
-      location,
-      ipAddress,
-      macAddress
-    } = req.body;
+    const { organizationId } = req.body;
 
-    // Validate required fields
-    if (!deviceName || !type || !serialNumber) {
-      return res.status(400).json({ 
-        error: "Validation failed",
-        details: ["Device name, type, and serial number are required"] 
-      });
+    // Unassigned devices can only be created by super admins
+    if (!(await authorize(req.user, organizationId, "device:create"))) {
+      return denyAccess(res, "device:create");
     }
 
-    // Check if device with same serial number exists
-    const existingDevice = await db.collection("devices")
-      .where("serialNumber", "==", serialNumber)
-      .limit(1)
-      .get();
+    const { data: deviceData, problem } = await prepareDevice(req.body, { createdBy: req.user.uid });
 
-    if (!existingDevice.empty) {
-      return res.status(409).json({ 
-        error: "Device with this serial number already exists" 
-      });
-    }
-
-    // If organizationId is provided, verify it exists
-    if (organizationId) {
-      const orgDoc = await db.collection("organizations").doc(organizationId).get();
-      if (!orgDoc.exists) {
-        return res.status(404).json({ 
-          error: "Organization not found" 
-        });
-      }
+    if (problem) {
+      const { status, field, code, ...body } = problem;
+      return res.status(status).json(body);
     }
 
-    // Prepare device data
-    const deviceData = {
-      deviceName,
-      type,
-      serialNumber,
-      model: model || "",
-      manufacturer: manufacturer || "",
-      organizationId: organizationId || null,
-      organizationName: organizationId ? 
-        (await db.collection("organizations").doc(organizationId).get()).data()?.name : 
-        "Unassigned",
-      status: status || "active",
-      location: location || "",
-      ipAddress: ipAddress || "",
-      macAddress: macAddress || "",
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      createdBy: req.user.uid
-    };
-
     // Create device
-    const docRef = await db.collection("devices").add(deviceData);
-
-    // Fetch created document
-    const createdDoc = await docRef.get();
+    const device = await db.devices.create(deviceData);
+
+    await recordAudit(req, {
+      action: "create_device",
+      entityType: "device",
+      entityId: device.id,
+      organizationId: device.organizationId,
+      after: device
+    });
+    await emitEvent(device.organizationId, "device.created", { device });
 
-    console.log(`Device created: ${docRef.id} by user ${req.user.uid}`);
+    console.log(`Device created: ${device.id} by user ${req.user.uid}`);
 
     res.status(201).json({
       success: true,
       message: "Device created successfully",
-      data: {
-        id: docRef.id,
-        ...createdDoc.data()
-      }
+      data: withConnectivity(device)
     });
   } catch (error) {
     console.error("Error creating device:", error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Failed to create device",
-      message: error.message 
+      message: error.message
     });
   }
 });
 
 
-router.put("/devices/:id", verifyAuth, async (req, res) => {
+router.put("/devices/:id", verifyAuth, validateBody(deviceSchema, { partial: true }), async (req, res) => {
   try {
     const { id } = req.params;
-    const { 
-      deviceName, 
-      type, 
+    const {
+      deviceName,
+      type,
       serialNumber,
       model,
       manufacturer,
       organizationId,
+      gymId,
       status,
       location,
       ipAddress,
@@ -220,26 +313,27 @@ router.put("/devices/:id", verifyAuth, async (req, res) => {
     } = req.body;
 
     // Check if device exists
-    const docRef = db.collection("devices").doc(id);
-    const doc = await docRef.get();
+    const device = await db.devices.get(id);
 
-    if (!doc.exists) {
-      return res.status(404).json({ 
+    if (!device) {
+      return res.status(404).json({
         success: false,
-        error: "Device not found" 
+        error: "Device not found"
       });
     }
 
+    if (!(await authorize(req.user, device.organizationId, "device:update"))) {
+      return denyAccess(res, "device:update");
+    }
+
     // If changing serial number, check it's unique
-    if (serialNumber && serialNumber !== doc.data().serialNumber) {
-      const existingDevice = await db.collection("devices")
-        .where("serialNumber", "==", serialNumber)
-        .limit(1)
-        .get();
-
-      if (!existingDevice.empty) {
-        return res.status(409).json({ 
-          error: "Device with this serial number already exists" 
+    if (serialNumber && serialNumber !== device.serialNumber) {
+      const existingDevice = await db.devices.findBySerialNumber(serialNumber);
+
+      if (existingDevice) {
+        return res.status(409).json({
+          error: "Device with this serial number already exists",
+          ...(existingDevice.deletedAt && { message: "The device is in the trash; restore it instead" })
         });
       }
     }
@@ -262,40 +356,322 @@ router.put("/devices/:id", verifyAuth, async (req, res) => {
 
     // Handle organization assignment
     if (organizationId !== undefined) {
+      // Moving a device requires the same permission in the target organization
+      if (organizationId !== device.organizationId &&
+          !(await authorize(req.user, organizationId, "device:update"))) {
+        return denyAccess(res, "device:update");
+      }
+
       if (organizationId) {
-        const orgDoc = await db.collection("organizations").doc(organizationId).get();
-        if (!orgDoc.exists) {
+        const organization = await db.organizations.get(organizationId);
+        if (!organization) {
           return res.status(404).json({ error: "Organization not found" });
         }
         updateData.organizationId = organizationId;
-        updateData.organizationName = orgDoc.data().name;
+        updateData.organizationName = organization.name;
       } else {
         updateData.organizationId = null;
         updateData.organizationName = "Unassigned";
       }
     }
 
-    // Update document
-    await docRef.update(updateData);
+    // Handle gym assignment, always within the device's (possibly new) organization
+    const targetOrgId = updateData.organizationId !== undefined ? updateData.organizationId : device.organizationId;
 
-    // Fetch updated document
-    const updatedDoc = await docRef.get();
+    if (gymId) {
+      if (!targetOrgId) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: [GYM_REQUIRES_ORGANIZATION]
+        });
+      }
+      const gym = await db.gyms.get(targetOrgId, gymId);
+      if (!gym) {
+        return res.status(404).json({ error: "Gym not found in this organization" });
+      }
+      updateData.gymId = gym.id;
+      updateData.gymName = gym.name;
+    } else if (gymId !== undefined || (targetOrgId !== device.organizationId && device.gymId)) {
+      // Explicitly unassigned, or the old gym stayed behind in the previous organization
+      updateData.gymId = null;
+      updateData.gymName = null;
+    }
+
+    // Update device
+    const updatedDevice = await db.devices.update(id, updateData);
+
+    await recordAudit(req, {
+      action: "update_device",
+      entityType: "device",
+      entityId: id,
+      organizationId: updatedDevice.organizationId,
+      before: device,
+      after: updatedDevice,
+      metadata: device.organizationId !== updatedDevice.organizationId
+        ? { previousOrganizationId: device.organizationId }
+        : null
+    });
+    await notifyDeviceUpdated(device, updatedDevice);
 
     console.log(`Device updated: ${id} by user ${req.user.uid}`);
 
     res.json({
       success: true,
       message: "Device updated successfully",
-      data: {
-        id: updatedDoc.id,
-        ...updatedDoc.data()
-      }
+      data: withConnectivity(updatedDevice)
     });
   } catch (error) {
     console.error("Error updating device:", error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Failed to update device",
-      message: error.message 
+      message: error.message
+    });
+  }
+});
+
+// Devices report in periodically; lastSeenAt drives the derived connectivity state
+router.post("/devices/:id/heartbeat", verifyDeviceAuth, requireOwnDevice, async (req, res) => {
+  try {
+    const { id } = req.params;
+    // Every field is optional; a bare POST only records that the device is alive
+    const { firmwareVersion, uptime, ipAddress } = req.body ?? {};
+
+    const errors = [];
+    if (firmwareVersion !== undefined && typeof firmwareVersion !== "string") {
+      errors.push("firmwareVersion must be a string");
+    }
+    if (uptime !== undefined && (typeof uptime !== "number" || uptime < 0)) {
+      errors.push("uptime must be a non-negative number of seconds");
+    }
+    if (ipAddress !== undefined && typeof ipAddress !== "string") {
+      errors.push("ipAddress must be a string");
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const device = req.device;
+    const receivedAt = new Date().toISOString();
+    const previousConnectivity = getConnectivity(device);
+
+    const updateData = {
+      lastSeenAt: receivedAt,
+      lastHeartbeat: {
+        firmwareVersion: firmwareVersion ?? null,
+        uptime: uptime ?? null,
+        ipAddress: ipAddress ?? null,
+        receivedAt
+      }
+    };
+    if (firmwareVersion) updateData.firmwareVersion = firmwareVersion;
+    if (ipAddress) updateData.ipAddress = ipAddress;
+
+    const updatedDevice = await db.devices.update(id, updateData);
+
+    if (previousConnectivity !== "online") {
+      console.log(`Device ${id} is back online (was ${previousConnectivity})`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id,
+        lastSeenAt: updatedDevice.lastSeenAt,
+        connectivity: getConnectivity(updatedDevice)
+      },
+      heartbeat: {
+        onlineTimeoutSeconds: ONLINE_TIMEOUT_SECONDS,
+        offlineTimeoutSeconds: OFFLINE_TIMEOUT_SECONDS
+      }
+    });
+  } catch (error) {
+    console.error("Error recording heartbeat:", error);
+    res.status(500).json({
+      error: "Failed to record heartbeat",
+      message: error.message
+    });
+  }
+});
+
+// One-time token the device exchanges for its API key at POST /devices/enroll
+router.post("/devices/:id/enrollment-tokens", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const device = await db.devices.get(id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found"
+      });
+    }
+
+    if (!(await authorize(req.user, device.organizationId, "device:update"))) {
+      return denyAccess(res, "device:update");
+    }
+
+    const { token, expiresAt } = await createEnrollmentToken(device, req.user.uid);
+
+    console.log(`Enrollment token created for device ${id} by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Enrollment token created. It is shown only once.",
+      data: {
+        deviceId: id,
+        serialNumber: device.serialNumber,
+        enrollmentToken: token,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    console.error("Error creating enrollment token:", error);
+    res.status(500).json({
+      error: "Failed to create enrollment token",
+      message: error.message
+    });
+  }
+});
+
+
+// Called by the device itself, authenticated only by the enrollment token
+router.post("/devices/enroll", async (req, res) => {
+  try {
+    const { serialNumber, enrollmentToken } = req.body;
+
+    if (!serialNumber || !enrollmentToken) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: ["Serial number and enrollment token are required"]
+      });
+    }
+
+    const { device, keyId, apiKey, issuedAt } = await enrollDevice(serialNumber, enrollmentToken);
+
+    await recordAudit(req, {
+      action: "enroll_device",
+      entityType: "device",
+      entityId: device.id,
+      organizationId: device.organizationId,
+      metadata: { keyId },
+      actor: { actorType: "device", performedBy: device.id }
+    });
+
+    console.log(`Device enrolled: ${device.id} (${serialNumber})`);
+
+    res.status(201).json({
+      success: true,
+      message: "Device enrolled successfully",
+      data: {
+        deviceId: device.id,
+        keyId,
+        apiKey,
+        issuedAt
+      }
+    });
+  } catch (error) {
+    console.error("Error enrolling device:", error.message);
+    res.status(error.status || 500).json({
+      error: "Failed to enroll device",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/devices/:id/credentials/rotate", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const device = await db.devices.get(id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found"
+      });
+    }
+
+    if (!(await authorize(req.user, device.organizationId, "device:update"))) {
+      return denyAccess(res, "device:update");
+    }
+
+    const { keyId, apiKey, issuedAt } = await issueCredential(id, req.user.uid);
+
+    await recordAudit(req, {
+      action: "rotate_device_credential",
+      entityType: "device",
+      entityId: id,
+      organizationId: device.organizationId,
+      metadata: { keyId, previousKeyId: device.credential?.keyId || null }
+    });
+
+    console.log(`Device credential rotated: ${id} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Device credential rotated. The new API key is shown only once.",
+      data: {
+        deviceId: id,
+        keyId,
+        apiKey,
+        issuedAt
+      }
+    });
+  } catch (error) {
+    console.error("Error rotating device credential:", error);
+    res.status(500).json({
+      error: "Failed to rotate device credential",
+      message: error.message
+    });
+  }
+});
+
+
+router.delete("/devices/:id/credentials", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const device = await db.devices.get(id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found"
+      });
+    }
+
+    if (!(await authorize(req.user, device.organizationId, "device:update"))) {
+      return denyAccess(res, "device:update");
+    }
+
+    const revokedCount = await revokeCredentials(id, req.user.uid);
+
+    await recordAudit(req, {
+      action: "revoke_device_credential",
+      entityType: "device",
+      entityId: id,
+      organizationId: device.organizationId,
+      metadata: { keyId: device.credential?.keyId || null }
+    });
+
+    console.log(`Device credentials revoked: ${id} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Device credentials revoked successfully",
+      revokedCount
+    });
+  } catch (error) {
+    console.error("Error revoking device credentials:", error);
+    res.status(500).json({
+      error: "Failed to revoke device credentials",
+      message: error.message
     });
   }
 });
@@ -305,82 +681,197 @@ router.delete("/devices/:id", verifyAuth, async (req, res) => {
     const { id } = req.params;
 
     // Check if device exists
-    const docRef = db.collection("devices").doc(id);
-    const doc = await docRef.get();
+    const device = await db.devices.get(id);
 
-    if (!doc.exists) {
-      return res.status(404).json({ 
+    if (!device) {
+      return res.status(404).json({
         success: false,
-        error: "Device not found" 
+        error: "Device not found"
       });
     }
 
-    // Delete device
-    await docRef.delete();
+    if (!(await authorize(req.user, device.organizationId, "device:delete"))) {
+      return denyAccess(res, "device:delete");
+    }
+
+    // Move the device to the trash
+    const deletedDevice = await db.devices.softDelete(id, req.user.uid);
 
-    await db.collection("audit_logs").add({
+    await recordAudit(req, {
       action: "delete_device",
-      deviceId: id,
-      performedBy: req.user.uid,
-      timestamp: new Date().toISOString(),
-      details: doc.data()
+      entityType: "device",
+      entityId: id,
+      organizationId: device.organizationId,
+      before: device,
+      after: deletedDevice
     });
+    await emitEvent(device.organizationId, "device.deleted", { device: deletedDevice });
 
     console.log(`Device deleted: ${id} by user ${req.user.uid}`);
 
     res.json({
       success: true,
-      message: "Device deleted successfully"
+      message: "Device moved to trash",
+      purgeAt: purgeDate(deletedDevice.deletedAt)
     });
   } catch (error) {
     console.error("Error deleting device:", error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Failed to delete device",
-      message: error.message 
+      message: error.message
+    });
+  }
+});
+
+router.post("/devices/:id/restore", verifyAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const device = await db.devices.get(id, { includeDeleted: true });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: "Device not found"
+      });
+    }
+
+    if (!(await authorize(req.user, device.organizationId, "device:delete"))) {
+      return denyAccess(res, "device:delete");
+    }
+
+    if (!device.deletedAt) {
+      return res.status(409).json({ error: "Device is not in the trash" });
+    }
+
+    if (device.organizationId && !(await db.organizations.get(device.organizationId))) {
+      return res.status(409).json({
+        error: "Organization is in the trash",
+        message: "Restore the organization first"
+      });
+    }
+
+    let restoredDevice = await db.devices.restore(id, req.user.uid);
+
+    // The gym may have been deleted while the device was in the trash
+    if (device.gymId && !(await db.gyms.get(device.organizationId, device.gymId))) {
+      restoredDevice = await db.devices.update(id, { gymId: null, gymName: null });
+    }
+
+    await recordAudit(req, {
+      action: "restore_device",
+      entityType: "device",
+      entityId: id,
+      organizationId: device.organizationId,
+      before: device,
+      after: restoredDevice
+    });
+    await emitEvent(device.organizationId, "device.restored", { device: restoredDevice });
+
+    console.log(`Device restored: ${id} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Device restored successfully",
+      data: withConnectivity(restoredDevice)
+    });
+  } catch (error) {
+    console.error("Error restoring device:", error);
+    res.status(500).json({
+      error: "Failed to restore device",
+      message: error.message
     });
   }
 });
 
 router.post("/devices/bulk-assign", verifyAuth, async (req, res) => {
   try {
-    const { deviceIds, organizationId } = req.body;
+    const { deviceIds, organizationId, gymId } = req.body;
 
     if (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0) {
-      return res.status(400).json({ 
-        error: "Device IDs array is required" 
+      return res.status(400).json({
+        error: "Device IDs array is required"
       });
     }
 
+    if (!(await authorize(req.user, organizationId, "device:update"))) {
+      return denyAccess(res, "device:update");
+    }
+
     // Verify organization exists
     let organizationName = "Unassigned";
     if (organizationId) {
-      const orgDoc = await db.collection("organizations").doc(organizationId).get();
-      if (!orgDoc.exists) {
+      const organization = await db.organizations.get(organizationId);
+      if (!organization) {
         return res.status(404).json({ error: "Organization not found" });
       }
-      organizationName = orgDoc.data().name;
+      organizationName = organization.name;
+    }
+
+    let gym = null;
+    if (gymId) {
+      if (!organizationId) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: ["A gym can only be assigned together with an organization"]
+        });
+      }
+      gym = await db.gyms.get(organizationId, gymId);
+      if (!gym) {
+        return res.status(404).json({ error: "Gym not found in this organization" });
+      }
+    }
+
+    const devices = await db.devices.getMany(deviceIds);
+
+    // Devices can only be taken from organizations the caller manages
+    const forbiddenDevices = [];
+    for (const device of devices) {
+      if (!(await authorize(req.user, device.organizationId, "device:update"))) {
+        forbiddenDevices.push(device.id);
+      }
+    }
+
+    if (forbiddenDevices.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: "You do not have the \"device:update\" permission for some of these devices",
+        deviceIds: forbiddenDevices
+      });
     }
 
     // Update all devices
-    const batch = db.batch();
     const updatedDevices = [];
 
-    for (const deviceId of deviceIds) {
-      const deviceRef = db.collection("devices").doc(deviceId);
-      const deviceDoc = await deviceRef.get();
-      
-      if (deviceDoc.exists) {
-        batch.update(deviceRef, {
-          organizationId: organizationId || null,
-          organizationName,
-          updatedAt: new Date().toISOString(),
-          lastModifiedBy: req.user.uid
-        });
-        updatedDevices.push(deviceId);
+    for (const device of devices) {
+      const updateData = {
+        organizationId: organizationId || null,
+        organizationName,
+        updatedAt: new Date().toISOString(),
+        lastModifiedBy: req.user.uid
+      };
+
+      // Devices staying in their organization keep their gym unless a new one is given
+      if (gymId !== undefined || device.organizationId !== (organizationId || null)) {
+        updateData.gymId = gym ? gym.id : null;
+        updateData.gymName = gym ? gym.name : null;
       }
-    }
 
-    await batch.commit();
+      const updatedDevice = await db.devices.update(device.id, updateData);
+      updatedDevices.push(device.id);
+
+      await recordAudit(req, {
+        action: "bulk_assign_device",
+        entityType: "device",
+        entityId: device.id,
+        organizationId: updatedDevice.organizationId,
+        before: device,
+        after: updatedDevice,
+        metadata: { previousOrganizationId: device.organizationId }
+      });
+      await notifyDeviceUpdated(device, updatedDevice);
+    }
 
     console.log(`Bulk assigned ${updatedDevices.length} devices by user ${req.user.uid}`);
 
@@ -391,11 +882,11 @@ router.post("/devices/bulk-assign", verifyAuth, async (req, res) => {
     });
   } catch (error) {
     console.error("Error bulk assigning devices:", error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Failed to assign devices",
-      message: error.message 
+      message: error.message
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
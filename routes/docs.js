@@ -0,0 +1,37 @@
+// routes/docs.js
+// The OpenAPI document is built in server.js from the mounted routers and kept in
+// app.locals.apiDocument.
+import express from "express";
+
+const router = express.Router();
+
+const SWAGGER_UI_VERSION = "5.17.14";
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>API Docs</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: "openapi.json", dom_id: "#swagger-ui", withCredentials: true });
+  </script>
+</body>
+</html>`;
+
+
+router.get("/openapi.json", (req, res) => {
+  res.json(req.app.locals.apiDocument);
+});
+
+
+// Interactive docs (Swagger UI) for /api/openapi.json
+router.get("/docs", (req, res) => {
+  res.type("html").send(DOCS_PAGE);
+});
+
+export default router;
@@ -0,0 +1,82 @@
+// routes/events.js
+import express from "express";
+import { verifyAuth } from "../middleware/auth.js";
+import { authorize, hasPermission, requirePermission } from "../middleware/permissions.js";
+import { eventsSince, subscribe } from "../services/change-stream.js";
+
+const router = express.Router();
+
+const HEARTBEAT_SECONDS = parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 25;
+
+// Permission needed to receive each kind of event
+const EVENT_PERMISSIONS = {
+  organization: "organization:read",
+  gym: "gym:read",
+  device: "device:read",
+  invoice: "billing:read"
+};
+
+const canSee = (membership, event) => {
+  const permission = EVENT_PERMISSIONS[event.type.split(".")[0]];
+  return !!permission && hasPermission(membership, permission);
+};
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+};
+
+
+// Server-Sent Events stream of the organization's changes. Browsers resume with the
+// Last-Event-ID header automatically; ?lastEventId= does the same for clients that can't set it.
+router.get("/organizations/:orgId/events", verifyAuth, requirePermission("organization:read"), async (req, res) => {
+  const { orgId } = req.params;
+  let membership = req.membership;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write("retry: 5000\n\n");
+
+  // Replaying and subscribing happen in the same tick, so no event can slip in between
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = eventsSince(orgId, lastEventId);
+    if (missed === null) {
+      // Too old to replay: the client should re-fetch what it shows
+      res.write(`event: resync\ndata: ${JSON.stringify({ reason: "Events since the last received one are no longer available" })}\n\n`);
+    } else {
+      missed.filter(event => canSee(membership, event)).forEach(event => writeEvent(res, event));
+    }
+  }
+
+  const unsubscribe = subscribe(orgId, (event) => {
+    if (canSee(membership, event)) writeEvent(res, event);
+  });
+
+  console.log(`Event stream opened for organization ${orgId} by user ${req.user.uid}`);
+
+  // Keeps proxies from closing an idle connection and drops the stream once access is revoked
+  const heartbeat = setInterval(async () => {
+    try {
+      membership = await authorize(req.user, orgId, "organization:read");
+      if (!membership) {
+        res.write(`event: access_revoked\ndata: {}\n\n`);
+        return res.end();
+      }
+      res.write(": heartbeat\n\n");
+    } catch (error) {
+      console.error("Event stream heartbeat failed:", error.message);
+    }
+  }, HEARTBEAT_SECONDS * 1000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`Event stream closed for organization ${orgId} by user ${req.user.uid}`);
+  });
+});
+
+export default router;
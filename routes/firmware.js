@@ -0,0 +1,743 @@
+// routes/firmware.js
+import crypto from "crypto";
+import express from "express";
+import { pipeline } from "stream";
+import * as db from "../db/index.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { requireOwnDevice, verifyDeviceAuth } from "../middleware/device-auth.js";
+import { authorize, denyAccess, getAccessibleOrganizationIds, isSuperAdmin } from "../middleware/permissions.js";
+import { recordAudit } from "../services/audit.js";
+import {
+  REPORT_STATUSES,
+  ROLLOUT_STATUSES,
+  TARGET_STATUSES,
+  createRollout,
+  findOffer,
+  reportProgress,
+  resolveTargets,
+  setRolloutStatus,
+  summarizeRollout,
+  updatePercentage
+} from "../services/firmware-rollouts.js";
+import { getFileStorage } from "../storage/index.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
+
+const router = express.Router();
+
+const FIRMWARE_MAX_SIZE = process.env.FIRMWARE_MAX_SIZE || "200mb";
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+// The firmware catalog is shared by every organization, so only platform staff manage it
+const requireSuperAdmin = (req, res, next) => {
+  if (!isSuperAdmin(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: "Forbidden",
+      message: "Only super admins can manage firmware releases"
+    });
+  }
+  next();
+};
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === "string");
+
+const isValidPercentage = (value) => Number.isInteger(value) && value >= 0 && value <= 100;
+
+// Rollouts without an organization span every organization and are super-admin only
+const authorizeRollout = (user, rollout, permission) => authorize(user, rollout.organizationId, permission);
+
+const streamFirmware = async (res, release) => {
+  const storage = getFileStorage();
+
+  if (!release.fileKey || !(await storage.exists(release.fileKey))) {
+    return res.status(404).json({
+      success: false,
+      error: "Firmware file not found"
+    });
+  }
+
+  res.setHeader("Content-Type", "application/octet-stream");
+  res.setHeader("Content-Length", release.fileSize);
+  res.setHeader("Content-Disposition", `attachment; filename="firmware-${release.version}.bin"`);
+  res.setHeader("X-Checksum-SHA256", release.checksum);
+
+  // The file can still go away mid-download (e.g. the release is deleted); the download is cut off
+  pipeline(storage.createReadStream(release.fileKey), res, (error) => {
+    if (error) console.error(`Error streaming firmware ${release.id}:`, error.message);
+  });
+};
+
+
+router.get("/firmware", verifyAuth, async (req, res) => {
+  try {
+    const { deviceType, status } = req.query;
+    const pagination = parsePagination(req.query);
+
+    const page = await db.firmwareReleases.list({ deviceType, status, ...pagination });
+    const releases = page.items;
+
+    res.json({
+      success: true,
+      data: releases,
+      count: releases.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching firmware releases:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to fetch firmware releases",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/firmware/:id", verifyAuth, async (req, res) => {
+  try {
+    const release = await db.firmwareReleases.get(req.params.id);
+
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: "Firmware release not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: release
+    });
+  } catch (error) {
+    console.error("Error fetching firmware release:", error);
+    res.status(500).json({
+      error: "Failed to fetch firmware release",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/firmware", verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { version, deviceTypes = [], models = [], checksum, releaseNotes } = req.body;
+
+    const errors = [];
+    if (!version || typeof version !== "string") errors.push("version is required");
+    if (!checksum || !SHA256_PATTERN.test(checksum)) errors.push("checksum must be a lowercase hex SHA-256 digest");
+    if (!isStringArray(deviceTypes)) errors.push("deviceTypes must be an array of strings");
+    if (!isStringArray(models)) errors.push("models must be an array of strings");
+    if (releaseNotes !== undefined && typeof releaseNotes !== "string") errors.push("releaseNotes must be a string");
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    // The same version number may exist for unrelated device types, but not twice for one type
+    const sameVersion = await db.firmwareReleases.listByVersion(version);
+    const conflict = sameVersion.find(release =>
+      !release.deviceTypes.length || !deviceTypes.length ||
+      release.deviceTypes.some(type => deviceTypes.includes(type)));
+
+    if (conflict) {
+      return res.status(409).json({
+        error: "Firmware version already exists for these device types",
+        firmwareId: conflict.id
+      });
+    }
+
+    const release = await db.firmwareReleases.create({
+      version,
+      deviceTypes,
+      models,
+      checksum,
+      releaseNotes: releaseNotes || "",
+      status: "draft",
+      fileKey: null,
+      fileSize: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      createdBy: req.user.uid
+    });
+
+    await recordAudit(req, {
+      action: "create_firmware_release",
+      entityType: "firmware_release",
+      entityId: release.id,
+      after: release
+    });
+
+    console.log(`Firmware release created: ${release.id} (${version}) by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Firmware release created. Upload the file to make it available.",
+      data: release
+    });
+  } catch (error) {
+    console.error("Error creating firmware release:", error);
+    res.status(500).json({
+      error: "Failed to create firmware release",
+      message: error.message
+    });
+  }
+});
+
+
+// Raw binary upload; the file must match the checksum declared on the release
+router.put("/firmware/:id/file", verifyAuth, requireSuperAdmin,
+  express.raw({ type: "application/octet-stream", limit: FIRMWARE_MAX_SIZE }), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const release = await db.firmwareReleases.get(id);
+
+      if (!release) {
+        return res.status(404).json({
+          success: false,
+          error: "Firmware release not found"
+        });
+      }
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          error: "Validation failed",
+          details: ["Send the firmware file as an application/octet-stream body"]
+        });
+      }
+
+      const checksum = crypto.createHash("sha256").update(req.body).digest("hex");
+      if (checksum !== release.checksum) {
+        return res.status(400).json({
+          error: "Checksum mismatch",
+          message: `Expected ${release.checksum}, received ${checksum}`
+        });
+      }
+
+      const { key, size } = await getFileStorage().save(`firmware/${id}.bin`, req.body);
+
+      const updatedRelease = await db.firmwareReleases.update(id, {
+        fileKey: key,
+        fileSize: size,
+        status: "available",
+        uploadedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+
+      await recordAudit(req, {
+        action: "upload_firmware_file",
+        entityType: "firmware_release",
+        entityId: id,
+        before: release,
+        after: updatedRelease
+      });
+
+      console.log(`Firmware file uploaded for ${id} (${size} bytes) by user ${req.user.uid}`);
+
+      res.json({
+        success: true,
+        message: "Firmware file uploaded successfully",
+        data: updatedRelease
+      });
+    } catch (error) {
+      console.error("Error uploading firmware file:", error);
+      res.status(500).json({
+        error: "Failed to upload firmware file",
+        message: error.message
+      });
+    }
+  });
+
+
+router.get("/firmware/:id/file", verifyAuth, async (req, res) => {
+  try {
+    const release = await db.firmwareReleases.get(req.params.id);
+
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: "Firmware release not found"
+      });
+    }
+
+    await streamFirmware(res, release);
+  } catch (error) {
+    console.error("Error downloading firmware file:", error);
+    res.status(500).json({
+      error: "Failed to download firmware file",
+      message: error.message
+    });
+  }
+});
+
+
+router.delete("/firmware/:id", verifyAuth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const release = await db.firmwareReleases.get(id);
+
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: "Firmware release not found"
+      });
+    }
+
+    const rolloutCount = await db.firmwareRollouts.countByFirmware(id);
+
+    if (rolloutCount > 0) {
+      return res.status(409).json({
+        error: "Cannot delete firmware release with rollouts",
+        message: "The release has been rolled out and is kept for history"
+      });
+    }
+
+    await db.firmwareReleases.delete(id);
+    if (release.fileKey) {
+      await getFileStorage().delete(release.fileKey);
+    }
+
+    await recordAudit(req, {
+      action: "delete_firmware_release",
+      entityType: "firmware_release",
+      entityId: id,
+      before: release
+    });
+
+    console.log(`Firmware release deleted: ${id} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Firmware release deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting firmware release:", error);
+    res.status(500).json({
+      error: "Failed to delete firmware release",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/firmware-rollouts", verifyAuth, async (req, res) => {
+  try {
+    const { organizationId, firmwareId, status } = req.query;
+    const pagination = parsePagination(req.query);
+
+    if (status && !ROLLOUT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [`status must be one of: ${ROLLOUT_STATUSES.join(", ")}`]
+      });
+    }
+
+    let orgIds = await getAccessibleOrganizationIds(req.user);
+
+    if (organizationId) {
+      if (!(await authorize(req.user, organizationId, "device:read"))) {
+        return denyAccess(res, "device:read");
+      }
+      orgIds = [organizationId];
+    }
+
+    const page = await db.firmwareRollouts.list({ organizationIds: orgIds, firmwareId, status, ...pagination });
+    const rollouts = page.items;
+
+    res.json({
+      success: true,
+      data: rollouts,
+      count: rollouts.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching firmware rollouts:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to fetch firmware rollouts",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/firmware-rollouts", verifyAuth, async (req, res) => {
+  try {
+    const { firmwareId, organizationId = null, models = [], deviceIds = [], percentage = 100 } = req.body;
+
+    const errors = [];
+    if (!firmwareId) errors.push("firmwareId is required");
+    if (!isStringArray(models)) errors.push("models must be an array of strings");
+    if (!isStringArray(deviceIds)) errors.push("deviceIds must be an array of strings");
+    if (!isValidPercentage(percentage)) errors.push("percentage must be an integer between 0 and 100");
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    // Rollouts across every organization are super-admin only
+    if (!(await authorize(req.user, organizationId, "firmware:rollout"))) {
+      return denyAccess(res, "firmware:rollout");
+    }
+
+    const release = await db.firmwareReleases.get(firmwareId);
+
+    if (!release) {
+      return res.status(404).json({ error: "Firmware release not found" });
+    }
+
+    if (release.status !== "available") {
+      return res.status(409).json({
+        error: "Firmware release is not available",
+        message: "Upload the firmware file before rolling it out"
+      });
+    }
+
+    const { targets, skipped } = await resolveTargets(release, { organizationId, models, deviceIds });
+
+    if (targets.length === 0) {
+      return res.status(400).json({
+        error: "No devices to update",
+        message: "No compatible devices match the rollout targets",
+        skipped
+      });
+    }
+
+    const rollout = await createRollout(release, targets, { organizationId, models, deviceIds, percentage }, req.user.uid);
+
+    await recordAudit(req, {
+      action: "create_firmware_rollout",
+      entityType: "firmware_rollout",
+      entityId: rollout.id,
+      organizationId,
+      after: rollout,
+      metadata: { skipped }
+    });
+
+    console.log(`Firmware rollout created: ${rollout.id} (${release.version}, ${targets.length} devices) by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Firmware rollout created successfully",
+      data: rollout,
+      skipped
+    });
+  } catch (error) {
+    console.error("Error creating firmware rollout:", error);
+    res.status(500).json({
+      error: "Failed to create firmware rollout",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/firmware-rollouts/:id", verifyAuth, async (req, res) => {
+  try {
+    const rollout = await db.firmwareRollouts.get(req.params.id);
+
+    if (!rollout) {
+      return res.status(404).json({
+        success: false,
+        error: "Rollout not found"
+      });
+    }
+
+    if (!(await authorizeRollout(req.user, rollout, "device:read"))) {
+      return denyAccess(res, "device:read");
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...rollout,
+        summary: await summarizeRollout(rollout.id)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching firmware rollout:", error);
+    res.status(500).json({
+      error: "Failed to fetch firmware rollout",
+      message: error.message
+    });
+  }
+});
+
+
+// Per-device progress of a rollout
+router.get("/firmware-rollouts/:id/devices", verifyAuth, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const pagination = parsePagination(req.query);
+
+    if (status && !TARGET_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [`status must be one of: ${TARGET_STATUSES.join(", ")}`]
+      });
+    }
+
+    const rollout = await db.firmwareRollouts.get(req.params.id);
+
+    if (!rollout) {
+      return res.status(404).json({
+        success: false,
+        error: "Rollout not found"
+      });
+    }
+
+    if (!(await authorizeRollout(req.user, rollout, "device:read"))) {
+      return denyAccess(res, "device:read");
+    }
+
+    const page = await db.firmwareRolloutTargets.listByRollout(rollout.id, { status, ...pagination });
+    const targets = page.items.map(target => ({
+      ...target,
+      offered: target.bucket < rollout.percentage
+    }));
+
+    res.json({
+      success: true,
+      data: targets,
+      count: targets.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching rollout devices:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to fetch rollout devices",
+      message: error.message
+    });
+  }
+});
+
+
+// Widens (never narrows) the share of target devices offered the update
+router.put("/firmware-rollouts/:id", verifyAuth, async (req, res) => {
+  try {
+    const { percentage } = req.body;
+
+    if (!isValidPercentage(percentage)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: ["percentage must be an integer between 0 and 100"]
+      });
+    }
+
+    const rollout = await db.firmwareRollouts.get(req.params.id);
+
+    if (!rollout) {
+      return res.status(404).json({
+        success: false,
+        error: "Rollout not found"
+      });
+    }
+
+    if (!(await authorizeRollout(req.user, rollout, "firmware:rollout"))) {
+      return denyAccess(res, "firmware:rollout");
+    }
+
+    if (rollout.status === "completed") {
+      return res.status(409).json({ error: "Rollout is already completed" });
+    }
+
+    if (percentage < rollout.percentage) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [`percentage cannot be lowered below ${rollout.percentage}; pause the rollout instead`]
+      });
+    }
+
+    const updatedRollout = await updatePercentage(rollout, percentage);
+
+    await recordAudit(req, {
+      action: "update_firmware_rollout",
+      entityType: "firmware_rollout",
+      entityId: rollout.id,
+      organizationId: rollout.organizationId,
+      before: rollout,
+      after: updatedRollout
+    });
+
+    console.log(`Firmware rollout ${rollout.id} staged to ${percentage}% by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Rollout updated successfully",
+      data: updatedRollout
+    });
+  } catch (error) {
+    console.error("Error updating firmware rollout:", error);
+    res.status(500).json({
+      error: "Failed to update firmware rollout",
+      message: error.message
+    });
+  }
+});
+
+
+const changeRolloutStatus = (from, to) => async (req, res) => {
+  try {
+    const rollout = await db.firmwareRollouts.get(req.params.id);
+
+    if (!rollout) {
+      return res.status(404).json({
+        success: false,
+        error: "Rollout not found"
+      });
+    }
+
+    if (!(await authorizeRollout(req.user, rollout, "firmware:rollout"))) {
+      return denyAccess(res, "firmware:rollout");
+    }
+
+    if (rollout.status !== from) {
+      return res.status(409).json({
+        error: `Only ${from} rollouts can be set to ${to}`,
+        status: rollout.status
+      });
+    }
+
+    const updatedRollout = await setRolloutStatus(rollout, to);
+
+    await recordAudit(req, {
+      action: `${to === "paused" ? "pause" : "resume"}_firmware_rollout`,
+      entityType: "firmware_rollout",
+      entityId: rollout.id,
+      organizationId: rollout.organizationId,
+      before: rollout,
+      after: updatedRollout
+    });
+
+    console.log(`Firmware rollout ${rollout.id} ${to} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: `Rollout ${to} successfully`,
+      data: updatedRollout
+    });
+  } catch (error) {
+    console.error("Error changing firmware rollout status:", error);
+    res.status(500).json({
+      error: "Failed to change rollout status",
+      message: error.message
+    });
+  }
+};
+
+router.post("/firmware-rollouts/:id/pause", verifyAuth, changeRolloutStatus("active", "paused"));
+
+router.post("/firmware-rollouts/:id/resume", verifyAuth, changeRolloutStatus("paused", "active"));
+
+
+router.get("/devices/:id/firmware/update", verifyDeviceAuth, requireOwnDevice, async (req, res) => {
+  try {
+    const offer = await findOffer(req.device.id);
+
+    if (!offer) {
+      return res.json({
+        success: true,
+        updateAvailable: false
+      });
+    }
+
+    const { rollout, target, release } = offer;
+
+    res.json({
+      success: true,
+      updateAvailable: true,
+      data: {
+        rolloutId: rollout.id,
+        status: target.status,
+        firmware: {
+          id: release.id,
+          version: release.version,
+          checksum: release.checksum,
+          fileSize: release.fileSize,
+          releaseNotes: release.releaseNotes
+        },
+        downloadUrl: `/api/devices/${req.device.id}/firmware/${release.id}/file`
+      }
+    });
+  } catch (error) {
+    console.error("Error checking firmware update:", error);
+    res.status(500).json({
+      error: "Failed to check for firmware updates",
+      message: error.message
+    });
+  }
+});
+
+
+// Devices may only download the release currently offered to them
+router.get("/devices/:id/firmware/:firmwareId/file", verifyDeviceAuth, requireOwnDevice, async (req, res) => {
+  try {
+    const offer = await findOffer(req.device.id);
+
+    if (!offer || offer.release.id !== req.params.firmwareId) {
+      return res.status(404).json({
+        success: false,
+        error: "Firmware update not offered to this device"
+      });
+    }
+
+    await streamFirmware(res, offer.release);
+  } catch (error) {
+    console.error("Error downloading firmware file:", error);
+    res.status(500).json({
+      error: "Failed to download firmware file",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/devices/:id/firmware/status", verifyDeviceAuth, requireOwnDevice, async (req, res) => {
+  try {
+    const { rolloutId, status, error } = req.body;
+
+    const errors = [];
+    if (!rolloutId) errors.push("rolloutId is required");
+    if (!REPORT_STATUSES.includes(status)) errors.push(`status must be one of: ${REPORT_STATUSES.join(", ")}`);
+    if (error !== undefined && typeof error !== "string") errors.push("error must be a string");
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const rollout = await db.firmwareRollouts.get(rolloutId);
+
+    if (!rollout) {
+      return res.status(404).json({
+        success: false,
+        error: "Rollout not found"
+      });
+    }
+
+    const target = await reportProgress(req.device, rollout, { status, error });
+
+    console.log(`Device ${req.device.id} reported ${status} for rollout ${rolloutId}`);
+
+    res.json({
+      success: true,
+      data: target
+    });
+  } catch (error) {
+    console.error("Error recording firmware status:", error.message);
+    res.status(error.status || 500).json({
+      error: "Failed to record firmware status",
+      message: error.message
+    });
+  }
+});
+
+export default router;
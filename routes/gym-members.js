@@ -0,0 +1,373 @@
+// routes/gym-members.js
+// People holding a membership at a gym. Organization users and their roles are managed in
+// routes/members.js.
+import express from "express";
+import * as db from "../db/index.js";
+import { GYM_MEMBER_SORT_FIELDS } from "../db/repositories/gym-members.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { authorize, denyAccess, hasPermission, requirePermission } from "../middleware/permissions.js";
+import { validateBody } from "../middleware/validate.js";
+import { gymMemberSchema } from "../schemas/gym-member.js";
+import { recordAudit } from "../services/audit.js";
+import { checkPlan, rebillFields, startBillingFields } from "../services/billing.js";
+import { checkMemberDates, effectiveStatus, refreshMemberCount, today } from "../services/gym-members.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
+import { parseSort } from "../utils/sorting.js";
+
+const router = express.Router();
+
+
+const listFilters = (query) => {
+  const { status, planId, q, name, email, sort } = query;
+  const orderBy = parseSort(sort, GYM_MEMBER_SORT_FIELDS, [["createdAt", "desc"]]);
+  return { status, planId, q, name, email, orderBy };
+};
+
+// Loads the gym member for :memberId, answering 404 when it belongs to another gym
+const loadMember = async (req, res) => {
+  const { orgId, gymId, memberId } = req.params;
+  const member = await db.gymMembers.get(orgId, memberId);
+
+  if (!member || member.homeGymId !== gymId) {
+    res.status(404).json({
+      success: false,
+      error: "Gym member not found"
+    });
+    return null;
+  }
+
+  return member;
+};
+
+const gymNotFound = (res) => res.status(404).json({
+  success: false,
+  error: "Gym not found"
+});
+
+const invalidPlan = (res, planError) => res.status(400).json({
+  success: false,
+  error: "Validation failed",
+  message: planError.message,
+  details: [planError]
+});
+
+const emailTaken = (res) => res.status(409).json({
+  success: false,
+  error: "A gym member with this email already exists in this organization"
+});
+
+
+// Search across the organization's gyms; gym managers only see the gyms they manage
+router.get("/organizations/:orgId/gym-members", verifyAuth, requirePermission("organization:read"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { homeGymId } = req.query;
+    const pagination = parsePagination(req.query);
+
+    let homeGymIds = null;
+    if (!hasPermission(req.membership, "gym_members:read")) {
+      homeGymIds = (req.membership.gymIds || [])
+        .filter(gymId => hasPermission(req.membership, "gym_members:read", { gymId }));
+      if (homeGymIds.length === 0) {
+        return denyAccess(res, "gym_members:read");
+      }
+    }
+
+    if (homeGymId) {
+      if (homeGymIds && !homeGymIds.includes(homeGymId)) {
+        return denyAccess(res, "gym_members:read");
+      }
+      homeGymIds = [homeGymId];
+    }
+
+    const page = await db.gymMembers.list(orgId, { homeGymIds, ...listFilters(req.query), ...pagination });
+    const members = page.items;
+
+    console.log(`Fetched ${members.length} gym members for organization ${orgId}`);
+
+    res.json({
+      success: true,
+      data: members,
+      count: members.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error searching gym members:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to search gym members",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:orgId/gyms/:gymId/members", verifyAuth, requirePermission("gym_members:read"), async (req, res) => {
+  try {
+    const { orgId, gymId } = req.params;
+    const pagination = parsePagination(req.query);
+
+    const gym = await db.gyms.get(orgId, gymId);
+    if (!gym) {
+      return gymNotFound(res);
+    }
+
+    const page = await db.gymMembers.list(orgId, { homeGymIds: [gymId], ...listFilters(req.query), ...pagination });
+    const members = page.items;
+
+    res.json({
+      success: true,
+      data: members,
+      count: members.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching gym members:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to fetch gym members",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/organizations/:orgId/gyms/:gymId/members", verifyAuth, requirePermission("gym_members:manage"), validateBody(gymMemberSchema), async (req, res) => {
+  try {
+    const { orgId, gymId } = req.params;
+    const { name, email, phone, planId, startDate, endDate, status } = req.body;
+
+    const dateError = checkMemberDates({ startDate, endDate });
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        message: dateError.message,
+        details: [dateError]
+      });
+    }
+
+    const gym = await db.gyms.get(orgId, gymId);
+    if (!gym) {
+      return gymNotFound(res);
+    }
+
+    const plan = await db.plans.get(orgId, planId);
+    const planError = checkPlan(plan, gymId);
+    if (planError) {
+      return invalidPlan(res, planError);
+    }
+
+    if (email && await db.gymMembers.findByEmail(orgId, email)) {
+      return emailTaken(res);
+    }
+
+    const createdAt = new Date().toISOString();
+    const member = await db.gymMembers.create(orgId, {
+      name,
+      email: email || "",
+      phone: phone || "",
+      planId,
+      plan: plan.name,
+      startDate,
+      endDate: endDate || null,
+      status: effectiveStatus({ status: status || "active", endDate }, today()),
+      homeGymId: gymId,
+      // Billing starts with the membership, but never in the past
+      ...startBillingFields(plan, [startDate, today()].sort().pop()),
+      createdAt,
+      updatedAt: createdAt,
+      createdBy: req.user.uid
+    });
+
+    await recordAudit(req, {
+      action: "create_gym_member",
+      entityType: "gym_member",
+      entityId: member.id,
+      organizationId: orgId,
+      after: member
+    });
+    await refreshMemberCount(orgId, gymId);
+
+    console.log(`Gym member created: ${member.id} in gym ${gymId} by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Gym member created successfully",
+      data: member
+    });
+  } catch (error) {
+    console.error("Error creating gym member:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create gym member",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:orgId/gyms/:gymId/members/:memberId", verifyAuth, requirePermission("gym_members:read"), async (req, res) => {
+  try {
+    const member = await loadMember(req, res);
+    if (!member) return;
+
+    res.json({
+      success: true,
+      data: member
+    });
+  } catch (error) {
+    console.error("Error fetching gym member:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch gym member",
+      message: error.message
+    });
+  }
+});
+
+
+// { homeGymId } moves the member to another gym of the organization
+router.put("/organizations/:orgId/gyms/:gymId/members/:memberId", verifyAuth, requirePermission("gym_members:manage"), validateBody(gymMemberSchema, { partial: true }), async (req, res) => {
+  try {
+    const { orgId, gymId, memberId } = req.params;
+    const { name, email, phone, planId, startDate, endDate, status, homeGymId } = req.body;
+
+    const member = await loadMember(req, res);
+    if (!member) return;
+
+    const dateError = checkMemberDates({
+      startDate: startDate ?? member.startDate,
+      endDate: endDate !== undefined ? endDate : member.endDate
+    });
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        message: dateError.message,
+        details: [dateError]
+      });
+    }
+
+    if (homeGymId && homeGymId !== gymId) {
+      if (!(await authorize(req.user, orgId, "gym_members:manage", { gymId: homeGymId }))) {
+        return denyAccess(res, "gym_members:manage");
+      }
+      if (!(await db.gyms.get(orgId, homeGymId))) {
+        return gymNotFound(res);
+      }
+    }
+
+    // The plan has to cover the member's gym after the change
+    let plan = null;
+    if (planId !== undefined || (homeGymId && homeGymId !== gymId)) {
+      plan = await db.plans.get(orgId, planId ?? member.planId);
+      // Members keep a plan that is no longer offered until they switch
+      const planError = checkPlan(plan, homeGymId ?? gymId, { allowInactive: planId === undefined || planId === member.planId });
+      if (planError) {
+        return invalidPlan(res, planError);
+      }
+    }
+
+    if (email && email !== member.email && await db.gymMembers.findByEmail(orgId, email)) {
+      return emailTaken(res);
+    }
+
+    const updateData = {
+      updatedAt: new Date().toISOString(),
+      lastModifiedBy: req.user.uid
+    };
+
+    if (name !== undefined) updateData.name = name;
+    if (email !== undefined) updateData.email = email;
+    if (phone !== undefined) updateData.phone = phone;
+    if (planId !== undefined) {
+      updateData.planId = planId;
+      updateData.plan = plan.name;
+    }
+    if (startDate !== undefined) updateData.startDate = startDate;
+    if (endDate !== undefined) updateData.endDate = endDate;
+    if (homeGymId !== undefined) updateData.homeGymId = homeGymId;
+
+    // An active membership whose endDate has already passed is stored as expired
+    const newStatus = effectiveStatus({
+      status: status ?? member.status,
+      endDate: endDate !== undefined ? endDate : member.endDate
+    }, today());
+    if (newStatus !== member.status) updateData.status = newStatus;
+
+    Object.assign(updateData, rebillFields(
+      member,
+      { status: newStatus, startDate: startDate ?? member.startDate },
+      plan || await db.plans.get(orgId, member.planId)
+    ));
+
+    const updatedMember = await db.gymMembers.update(orgId, memberId, updateData);
+
+    await recordAudit(req, {
+      action: "update_gym_member",
+      entityType: "gym_member",
+      entityId: memberId,
+      organizationId: orgId,
+      before: member,
+      after: updatedMember
+    });
+
+    await refreshMemberCount(orgId, member.homeGymId);
+    if (updatedMember.homeGymId !== member.homeGymId) {
+      await refreshMemberCount(orgId, updatedMember.homeGymId);
+    }
+
+    console.log(`Gym member updated: ${memberId} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Gym member updated successfully",
+      data: updatedMember
+    });
+  } catch (error) {
+    console.error("Error updating gym member:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update gym member",
+      message: error.message
+    });
+  }
+});
+
+
+router.delete("/organizations/:orgId/gyms/:gymId/members/:memberId", verifyAuth, requirePermission("gym_members:manage"), async (req, res) => {
+  try {
+    const { orgId, gymId, memberId } = req.params;
+
+    const member = await loadMember(req, res);
+    if (!member) return;
+
+    await db.gymMembers.delete(orgId, memberId);
+
+    await recordAudit(req, {
+      action: "delete_gym_member",
+      entityType: "gym_member",
+      entityId: memberId,
+      organizationId: orgId,
+      before: member
+    });
+    await refreshMemberCount(orgId, gymId);
+
+    console.log(`Gym member deleted: ${memberId} from gym ${gymId} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Gym member deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting gym member:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete gym member",
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,90 +1,113 @@
 // routes/gyms-routes.js
 import express from "express";
-import { auth, db } from "../api/firebaseadmin.js";
+import * as db from "../db/index.js";
+import { DEVICE_SORT_FIELDS } from "../db/repositories/devices.js";
+import { GYM_SORT_FIELDS } from "../db/repositories/gyms.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { validateBody } from "../middleware/validate.js";
+import { gymSchema } from "../schemas/gym.js";
+import { recordAudit } from "../services/audit.js";
+import { withConnectivity } from "../services/device-connectivity.js";
+import { emitEvent } from "../services/events.js";
+import { EXPORT_FORMATS, sendExport } from "../services/exports.js";
+import { findNearby, findWithin, parseBoundsQuery, parseNearbyQuery, toPublicGyms } from "../services/gym-locations.js";
+import { checkCoordinates, prepareGym } from "../services/gyms.js";
+import {
+  checkSchedule,
+  dailyHours,
+  normalizeHolidays,
+  normalizeOpeningHours,
+  openAtPages,
+  parseOpenAt
+} from "../services/opening-hours.js";
+import { IMPORT_MAX_BODY_SIZE, importGyms, readImportRows } from "../services/imports.js";
+import { purgeDate } from "../services/trash.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
+import { parseSort } from "../utils/sorting.js";
 
 const router = express.Router();
 
 
-const verifyAuth = async (req, res, next) => {
-  try {
-    const sessionCookie = req.cookies.session;
-    const authHeader = req.headers.authorization;
-
-    let decodedClaims;
-
-    // Try session cookie first
-    if (sessionCookie) {
-      decodedClaims = await auth.verifySessionCookie(sessionCookie, true);
-    } 
-    // Try Authorization header with Bearer token
-    else if (authHeader && authHeader.startsWith('Bearer ')) {
-      const idToken = authHeader.split('Bearer ')[1];
-      decodedClaims = await auth.verifyIdToken(idToken);
-    } 
-    else {
-      return res.status(401).json({ error: "Unauthorized - No valid authentication found" });
-    }
+const invalidGym = (res, details) => res.status(400).json({
+  success: false,
+  error: "Validation failed",
+  message: details[0].message,
+  details
+});
 
-    // Attach user to request
-    req.user = decodedClaims;
-    next();
-  } catch (error) {
-    console.error("Auth verification error:", error.message);
-    res.status(401).json({ error: "Unauthorized - Invalid token" });
-  }
+// Answers a location search; search echoes the parameters that were applied
+const sendLocationResults = (res, { items, total }, search) => res.json({
+  success: true,
+  data: items,
+  count: items.length,
+  total,
+  search
+});
+
+
+// Filters of the gym list, shared with the export
+const listFilters = (query) => {
+  const { status, q, name, city, manager, amenity, sort } = query;
+  const orderBy = parseSort(sort, GYM_SORT_FIELDS, [["createdAt", "desc"]]);
+  return { status, q, name, city, manager, amenity, orderBy };
+};
+
+// Pages of the gym list; ?openNow=true / ?openAt=<timestamp> keep the gyms open at that time
+const gymPages = (orgId, query) => {
+  const filters = listFilters(query);
+  const openAt = parseOpenAt(query);
+  const fetchPage = (options) => db.gyms.list(orgId, { ...filters, ...options });
+  return openAt === null ? fetchPage : openAtPages(fetchPage, openAt, gym => db.gyms.cursorAfter(gym, filters));
 };
 
 
-router.get("/organizations/:orgId/gyms", verifyAuth, async (req, res) => {
+router.get("/organizations/:orgId/gyms", verifyAuth, requirePermission("gym:read"), async (req, res) => {
   try {
     const { orgId } = req.params;
-    const { limit = 100 } = req.query;
+    const pagination = parsePagination(req.query);
+    const fetchPage = gymPages(orgId, req.query);
 
     console.log(`Fetching gyms for organization: ${orgId}`);
 
     // UPDATED: Don't fail if organization doesn't exist, just return empty array
-    const orgDoc = await db.collection("organizations").doc(orgId).get();
-    if (!orgDoc.exists) {
+    const organization = await db.organizations.get(orgId);
+    if (!organization) {
       console.log(`Organization ${orgId} not found, returning empty gyms list`);
       return res.json({
         success: true,
         data: [],
         count: 0,
+        pagination: paginationMeta({ nextCursor: null }, pagination),
         message: "No gyms found (organization doesn't exist yet)"
       });
     }
 
-    // Get gyms subcollection
-    const gymsRef = db.collection("organizations").doc(orgId).collection("gyms");
-    const snapshot = await gymsRef.orderBy("createdAt", "desc").limit(parseInt(limit)).get();
+    // Get the organization's gyms
+    const page = await fetchPage(pagination);
+    const gyms = page.items;
 
-    if (snapshot.empty) {
+    if (gyms.length === 0) {
       return res.json({
         success: true,
         data: [],
         count: 0,
+        pagination: paginationMeta(page, pagination),
         message: "No gyms found"
       });
     }
 
-    const gyms = [];
-    snapshot.forEach(doc => {
-      gyms.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
-
     console.log(`Fetched ${gyms.length} gyms for organization ${orgId}`);
 
     res.json({
       success: true,
       data: gyms,
-      count: gyms.length
+      count: gyms.length,
+      pagination: paginationMeta(page, pagination)
     });
   } catch (error) {
     console.error("Error fetching gyms:", error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: "Failed to fetch gyms",
       message: error.message
@@ -93,14 +116,196 @@ router.get("/organizations/:orgId/gyms", verifyAuth, async (req, res) => {
 });
 
 
-router.get("/organizations/:orgId/gyms/:gymId", verifyAuth, async (req, res) => {
+const EXPORT_COLUMNS = [
+  "id", "name", "address", "city", "phone", "email", "capacity", "capacityPolicy", "visibility", "manager", "status",
+  "openingTime", "closingTime", "openingHours", "holidays", "timezone", "amenities", "latitude", "longitude",
+  "members", "monthlyRevenue",
+  "createdAt", "updatedAt"
+];
+
+// Same filters and sort as the gym list; ?format=csv (default) or json
+router.get("/organizations/:orgId/gyms/export", verifyAuth, requirePermission("gym:read"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const format = req.query.format || "csv";
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: [`format must be one of: ${EXPORT_FORMATS.join(", ")}`]
+      });
+    }
+
+    const exported = await sendExport(res, {
+      format,
+      filename: "gyms",
+      columns: EXPORT_COLUMNS,
+      fetchPage: gymPages(orgId, req.query)
+    });
+
+    console.log(`Exported ${exported} gyms of organization ${orgId} for user ${req.user.uid}`);
+  } catch (error) {
+    console.error("Error exporting gyms:", error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to export gyms",
+      message: error.message
+    });
+  }
+});
+
+
+// CSV (text/csv) or JSON ({ gyms: [...] }) rows with the gym create fields; amenities in CSV
+// are a JSON array or ";"-separated, openingHours and holidays are JSON. ?validateOnly=true only returns the row report.
+router.post("/organizations/:orgId/gyms/import", verifyAuth, requirePermission("gym:create"), express.text({ type: "text/csv", limit: IMPORT_MAX_BODY_SIZE }), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const validateOnly = req.query.validateOnly === "true";
+
+    const rows = readImportRows(req, "gyms", { listFields: ["amenities", "openingHours", "holidays"] });
+
+    const organization = await db.organizations.get(orgId);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: "Organization not found. Please create the organization first."
+      });
+    }
+
+    const report = await importGyms(req, orgId, rows, { validateOnly });
+
+    if (report.invalid > 0 && !validateOnly) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        message: `${report.invalid} of ${report.total} rows are invalid; nothing was imported`,
+        data: report
+      });
+    }
+
+    console.log(`Gym import into organization ${orgId} by user ${req.user.uid}: ${report.created} created, ${report.invalid} invalid${validateOnly ? " (validate only)" : ""}`);
+
+    res.status(validateOnly ? 200 : 201).json({
+      success: report.invalid === 0,
+      validateOnly,
+      message: validateOnly
+        ? `${report.valid} of ${report.total} rows are valid`
+        : `Successfully imported ${report.created} gyms`,
+      data: report
+    });
+  } catch (error) {
+    console.error("Error importing gyms:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to import gyms",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:orgId/gyms/trash", verifyAuth, requirePermission("gym:delete"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const pagination = parsePagination(req.query);
+
+    const page = await db.gyms.list(orgId, { deleted: true, orderBy: [["deletedAt", "desc"]], ...pagination });
+    const gyms = page.items.map(gym => ({ ...gym, purgeAt: purgeDate(gym.deletedAt) }));
+
+    res.json({
+      success: true,
+      data: gyms,
+      count: gyms.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching deleted gyms:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to fetch deleted gyms",
+      message: error.message
+    });
+  }
+});
+
+
+// Gyms within ?radiusKm (default 10, at most 500) of ?latitude / ?longitude, nearest first
+router.get("/organizations/:orgId/gyms/nearby", verifyAuth, requirePermission("gym:read"), async (req, res) => {
+  try {
+    const search = parseNearbyQuery(req.query);
+    sendLocationResults(res, await findNearby(req.params.orgId, search), search);
+  } catch (error) {
+    console.error("Error searching nearby gyms:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to search gyms",
+      message: error.message
+    });
+  }
+});
+
+
+// Gyms inside the map viewport ?north / ?south / ?east / ?west
+router.get("/organizations/:orgId/gyms/within", verifyAuth, requirePermission("gym:read"), async (req, res) => {
+  try {
+    const search = parseBoundsQuery(req.query);
+    sendLocationResults(res, await findWithin(req.params.orgId, search), search);
+  } catch (error) {
+    console.error("Error searching gyms in bounds:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to search gyms",
+      message: error.message
+    });
+  }
+});
+
+
+// Public gym directory for the member app: gyms whose visibility is "public", in every
+// organization. No sign-in required; same parameters as the organization searches.
+router.get("/gyms/nearby", async (req, res) => {
+  try {
+    const search = parseNearbyQuery(req.query);
+    const { items, total } = await findNearby(null, search);
+    sendLocationResults(res, { items: await toPublicGyms(items), total }, search);
+  } catch (error) {
+    console.error("Error searching public gyms:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to search gyms",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/gyms/within", async (req, res) => {
+  try {
+    const search = parseBoundsQuery(req.query);
+    const { items, total } = await findWithin(null, search);
+    sendLocationResults(res, { items: await toPublicGyms(items), total }, search);
+  } catch (error) {
+    console.error("Error searching public gyms in bounds:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to search gyms",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:orgId/gyms/:gymId", verifyAuth, requirePermission("gym:read"), async (req, res) => {
   try {
     const { orgId, gymId } = req.params;
 
-    const gymRef = db.collection("organizations").doc(orgId).collection("gyms").doc(gymId);
-    const doc = await gymRef.get();
+    const gym = await db.gyms.get(orgId, gymId);
 
-    if (!doc.exists) {
+    if (!gym) {
       return res.status(404).json({
         success: false,
         error: "Gym not found"
@@ -109,10 +314,7 @@ router.get("/organizations/:orgId/gyms/:gymId", verifyAuth, async (req, res) =>
 
     res.json({
       success: true,
-      data: {
-        id: doc.id,
-        ...doc.data()
-      }
+      data: gym
     });
   } catch (error) {
     console.error("Error fetching gym:", error);
@@ -125,28 +327,61 @@ router.get("/organizations/:orgId/gyms/:gymId", verifyAuth, async (req, res) =>
 });
 
 
-router.post("/organizations/:orgId/gyms", verifyAuth, async (req, res) => {
+router.get("/organizations/:orgId/gyms/:gymId/devices", verifyAuth, requirePermission("device:read"), async (req, res) => {
   try {
-    const { orgId } = req.params;
-    const { name, address, phone, email, capacity, manager, status, openingTime, closingTime, amenities, latitude, longitude } = req.body;
+    const { orgId, gymId } = req.params;
+    const { type, status, sort } = req.query;
+    const pagination = parsePagination(req.query);
+    const orderBy = parseSort(sort, DEVICE_SORT_FIELDS, [["createdAt", "desc"]]);
 
-    // Validate required fields
-    const requiredFields = ['name', 'address', 'phone', 'email', 'capacity', 'manager'];
-    const missingFields = requiredFields.filter(field => !req.body[field]);
+    const gym = await db.gyms.get(orgId, gymId);
 
-    if (missingFields.length > 0) {
-      return res.status(400).json({
+    if (!gym) {
+      return res.status(404).json({
         success: false,
-        error: "Validation failed",
-        details: missingFields.map(field => `${field} is required`)
+        error: "Gym not found"
       });
     }
 
+    const page = await db.devices.list({
+      organizationIds: [orgId],
+      gymId,
+      type,
+      status,
+      orderBy,
+      ...pagination
+    });
+    const now = Date.now();
+    const devices = page.items.map(device => withConnectivity(device, now));
+
+    console.log(`Fetched ${devices.length} devices for gym ${gymId}`);
+
+    res.json({
+      success: true,
+      data: devices,
+      count: devices.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching gym devices:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to fetch gym devices",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/organizations/:orgId/gyms", verifyAuth, requirePermission("gym:create"), validateBody(gymSchema), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+
     console.log(`Creating gym in organization: ${orgId}`);
 
     // Verify organization exists - don't auto-create
-    const orgDoc = await db.collection("organizations").doc(orgId).get();
-    if (!orgDoc.exists) {
+    const organization = await db.organizations.get(orgId);
+    if (!organization) {
       console.log(`Organization ${orgId} not found`);
       return res.status(404).json({
         success: false,
@@ -154,44 +389,34 @@ router.post("/organizations/:orgId/gyms", verifyAuth, async (req, res) => {
       });
     }
 
-    // Prepare gym data
-    const gymData = {
-      name,
-      address,
-      phone,
-      email,
-      capacity: parseInt(capacity) || 0,
-      manager,
-      status: status || "ACTIVE",
-      openingTime: openingTime || "",
-      closingTime: closingTime || "",
-      amenities: amenities || [],
-      latitude: latitude ? parseFloat(latitude) : null,
-      longitude: longitude ? parseFloat(longitude) : null,
-      members: 0,
-      monthlyRevenue: 0,
-      organizationId: orgId,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      createdBy: req.user.uid
-    };
+    const coordinateError = checkCoordinates(req.body);
+    if (coordinateError) {
+      return invalidGym(res, [coordinateError]);
+    }
+
+    const scheduleErrors = checkSchedule(req.body);
+    if (scheduleErrors.length > 0) {
+      return invalidGym(res, scheduleErrors);
+    }
 
-    // Create gym in subcollection
-    const gymsRef = db.collection("organizations").doc(orgId).collection("gyms");
-    const docRef = await gymsRef.add(gymData);
+    // Create gym under the organization
+    const gym = await db.gyms.create(orgId, prepareGym(orgId, req.body, { createdBy: req.user.uid }));
 
-    // Fetch created document
-    const createdDoc = await docRef.get();
+    await recordAudit(req, {
+      action: "create_gym",
+      entityType: "gym",
+      entityId: gym.id,
+      organizationId: orgId,
+      after: gym
+    });
+    await emitEvent(orgId, "gym.created", { gym });
 
-    console.log(`Gym created: ${docRef.id} in organization ${orgId} by user ${req.user.uid}`);
+    console.log(`Gym created: ${gym.id} in organization ${orgId} by user ${req.user.uid}`);
 
     res.status(201).json({
       success: true,
       message: "Gym created successfully",
-      data: {
-        id: docRef.id,
-        ...createdDoc.data()
-      }
+      data: gym
     });
   } catch (error) {
     console.error("Error creating gym:", error);
@@ -204,22 +429,34 @@ router.post("/organizations/:orgId/gyms", verifyAuth, async (req, res) => {
 });
 
 
-router.put("/organizations/:orgId/gyms/:gymId", verifyAuth, async (req, res) => {
+router.put("/organizations/:orgId/gyms/:gymId", verifyAuth, requirePermission("gym:update"), validateBody(gymSchema, { partial: true }), async (req, res) => {
   try {
     const { orgId, gymId } = req.params;
-    const { name, address, phone, email, capacity, manager, status, openingTime, closingTime, amenities, latitude, longitude, members, monthlyRevenue } = req.body;
+    const { name, address, city, phone, email, capacity, capacityPolicy, visibility, manager, status, openingTime, closingTime, openingHours, holidays, timezone, amenities, latitude, longitude } = req.body;
 
     // Check if gym exists
-    const gymRef = db.collection("organizations").doc(orgId).collection("gyms").doc(gymId);
-    const doc = await gymRef.get();
+    const gym = await db.gyms.get(orgId, gymId);
 
-    if (!doc.exists) {
+    if (!gym) {
       return res.status(404).json({
         success: false,
         error: "Gym not found"
       });
     }
 
+    const coordinateError = checkCoordinates({
+      latitude: latitude !== undefined ? latitude : gym.latitude,
+      longitude: longitude !== undefined ? longitude : gym.longitude
+    });
+    if (coordinateError) {
+      return invalidGym(res, [coordinateError]);
+    }
+
+    const scheduleErrors = checkSchedule({ openingHours, holidays, timezone });
+    if (scheduleErrors.length > 0) {
+      return invalidGym(res, scheduleErrors);
+    }
+
     // Prepare update data
     const updateData = {
       updatedAt: new Date().toISOString(),
@@ -228,34 +465,48 @@ router.put("/organizations/:orgId/gyms/:gymId", verifyAuth, async (req, res) =>
 
     if (name) updateData.name = name;
     if (address) updateData.address = address;
+    if (city !== undefined) updateData.city = city;
     if (phone) updateData.phone = phone;
     if (email) updateData.email = email;
-    if (capacity !== undefined) updateData.capacity = parseInt(capacity);
+    if (capacity !== undefined) updateData.capacity = capacity;
+    if (capacityPolicy !== undefined) updateData.capacityPolicy = capacityPolicy;
+    if (visibility !== undefined) updateData.visibility = visibility;
     if (manager) updateData.manager = manager;
     if (status) updateData.status = status;
     if (openingTime !== undefined) updateData.openingTime = openingTime;
     if (closingTime !== undefined) updateData.closingTime = closingTime;
+    if (openingHours !== undefined) {
+      updateData.openingHours = openingHours && normalizeOpeningHours(openingHours);
+    } else if (openingTime !== undefined || closingTime !== undefined) {
+      // The older pair still sets the same hours for every day
+      const daily = [openingTime ?? gym.openingTime, closingTime ?? gym.closingTime];
+      updateData.openingHours = daily[0] && daily[1] ? dailyHours(...daily) : null;
+    }
+    if (holidays !== undefined) updateData.holidays = normalizeHolidays(holidays);
+    if (timezone !== undefined) updateData.timezone = timezone;
     if (amenities !== undefined) updateData.amenities = amenities;
-    if (latitude !== undefined) updateData.latitude = latitude ? parseFloat(latitude) : null;
-    if (longitude !== undefined) updateData.longitude = longitude ? parseFloat(longitude) : null;
-    if (members !== undefined) updateData.members = parseInt(members);
-    if (monthlyRevenue !== undefined) updateData.monthlyRevenue = parseFloat(monthlyRevenue);
+    if (latitude !== undefined) updateData.latitude = latitude;
+    if (longitude !== undefined) updateData.longitude = longitude;
 
-    // Update document
-    await gymRef.update(updateData);
+    // Update gym
+    const updatedGym = await db.gyms.update(orgId, gymId, updateData);
 
-    // Fetch updated document
-    const updatedDoc = await gymRef.get();
+    await recordAudit(req, {
+      action: "update_gym",
+      entityType: "gym",
+      entityId: gymId,
+      organizationId: orgId,
+      before: gym,
+      after: updatedGym
+    });
+    await emitEvent(orgId, "gym.updated", { gym: updatedGym });
 
     console.log(`Gym updated: ${gymId} in organization ${orgId} by user ${req.user.uid}`);
 
     res.json({
       success: true,
       message: "Gym updated successfully",
-      data: {
-        id: updatedDoc.id,
-        ...updatedDoc.data()
-      }
+      data: updatedGym
     });
   } catch (error) {
     console.error("Error updating gym:", error);
@@ -268,39 +519,87 @@ router.put("/organizations/:orgId/gyms/:gymId", verifyAuth, async (req, res) =>
 });
 
 
-router.delete("/organizations/:orgId/gyms/:gymId", verifyAuth, async (req, res) => {
+router.delete("/organizations/:orgId/gyms/:gymId", verifyAuth, requirePermission("gym:delete"), async (req, res) => {
   try {
     const { orgId, gymId } = req.params;
+    const { reassignTo } = req.query;
 
     // Check if gym exists
-    const gymRef = db.collection("organizations").doc(orgId).collection("gyms").doc(gymId);
-    const doc = await gymRef.get();
+    const gym = await db.gyms.get(orgId, gymId);
 
-    if (!doc.exists) {
+    if (!gym) {
       return res.status(404).json({
         success: false,
         error: "Gym not found"
       });
     }
 
-    // Delete gym
-    await gymRef.delete();
+    // Members would otherwise go on being billed for a gym in the trash until it is purged
+    const activeMembers = await db.gymMembers.countActive(orgId, gymId);
+    if (activeMembers > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Cannot delete gym with active members",
+        message: "Move the members to another gym or end their memberships first",
+        memberCount: activeMembers
+      });
+    }
+
+    // Attached devices must be moved to another gym of the organization first (?reassignTo=gymId)
+    const devices = await db.devices.findByGym(orgId, gymId);
+
+    if (devices.length > 0) {
+      if (!reassignTo) {
+        return res.status(409).json({
+          success: false,
+          error: "Cannot delete gym with attached devices",
+          message: "Reassign the devices first or pass ?reassignTo=<gymId>",
+          deviceCount: devices.length
+        });
+      }
+
+      const targetGym = reassignTo !== gymId ? await db.gyms.get(orgId, reassignTo) : null;
+      if (!targetGym) {
+        return res.status(400).json({
+          success: false,
+          error: "Validation failed",
+          details: ["reassignTo must be another gym of this organization"]
+        });
+      }
+
+      for (const device of devices) {
+        await db.devices.update(device.id, {
+          gymId: targetGym.id,
+          gymName: targetGym.name,
+          updatedAt: new Date().toISOString(),
+          lastModifiedBy: req.user.uid
+        });
+      }
 
-    // Optional: Create audit log
-    await db.collection("audit_logs").add({
+      console.log(`Reassigned ${devices.length} devices from gym ${gymId} to ${targetGym.id}`);
+    }
+
+    // Move the gym to the trash
+    const deletedGym = await db.gyms.softDelete(orgId, gymId, req.user.uid);
+
+    await recordAudit(req, {
       action: "delete_gym",
-      gymId: gymId,
+      entityType: "gym",
+      entityId: gymId,
       organizationId: orgId,
-      performedBy: req.user.uid,
-      timestamp: new Date().toISOString(),
-      details: doc.data()
+      before: gym,
+      after: deletedGym,
+      metadata: devices.length > 0 ? { reassignedTo: reassignTo, deviceIds: devices.map(device => device.id) } : null
     });
+    await emitEvent(orgId, "gym.deleted", { gym: deletedGym });
 
     console.log(`Gym deleted: ${gymId} from organization ${orgId} by user ${req.user.uid}`);
 
     res.json({
       success: true,
-      message: "Gym deleted successfully"
+      message: "Gym moved to trash",
+      purgeAt: purgeDate(deletedGym.deletedAt),
+      reassignedDevices: devices.length
     });
   } catch (error) {
     console.error("Error deleting gym:", error);
@@ -312,4 +611,62 @@ router.delete("/organizations/:orgId/gyms/:gymId", verifyAuth, async (req, res)
   }
 });
 
-export default router;
\ No newline at end of file
+router.post("/organizations/:orgId/gyms/:gymId/restore", verifyAuth, requirePermission("gym:delete"), async (req, res) => {
+  try {
+    const { orgId, gymId } = req.params;
+
+    const gym = await db.gyms.get(orgId, gymId, { includeDeleted: true });
+
+    if (!gym) {
+      return res.status(404).json({
+        success: false,
+        error: "Gym not found"
+      });
+    }
+
+    if (!gym.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        error: "Gym is not in the trash"
+      });
+    }
+
+    const organization = await db.organizations.get(orgId);
+    if (!organization) {
+      return res.status(409).json({
+        success: false,
+        error: "Organization is in the trash",
+        message: "Restore the organization first"
+      });
+    }
+
+    const restoredGym = await db.gyms.restore(orgId, gymId, req.user.uid);
+
+    await recordAudit(req, {
+      action: "restore_gym",
+      entityType: "gym",
+      entityId: gymId,
+      organizationId: orgId,
+      before: gym,
+      after: restoredGym
+    });
+    await emitEvent(orgId, "gym.restored", { gym: restoredGym });
+
+    console.log(`Gym restored: ${gymId} in organization ${orgId} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Gym restored successfully",
+      data: restoredGym
+    });
+  } catch (error) {
+    console.error("Error restoring gym:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore gym",
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,266 @@
+// routes/invoices.js
+// Gym member invoices, their payments and the organization's revenue (see services/billing.js)
+import express from "express";
+import * as db from "../db/index.js";
+import { INVOICE_STATUSES } from "../db/repositories/invoices.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { validateBody } from "../middleware/validate.js";
+import { generateInvoicesSchema, paymentSchema } from "../schemas/invoice.js";
+import { recordAudit } from "../services/audit.js";
+import { generateInvoices, getRevenue, recordPayment } from "../services/billing.js";
+import { emitEvent } from "../services/events.js";
+import { today } from "../services/gym-members.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
+
+const router = express.Router();
+
+
+// Loads the invoice for :invoiceId, answering 404 when it doesn't exist
+const loadInvoice = async (req, res) => {
+  const invoice = await db.invoices.get(req.params.orgId, req.params.invoiceId);
+
+  if (!invoice) {
+    res.status(404).json({
+      success: false,
+      error: "Invoice not found"
+    });
+    return null;
+  }
+
+  return invoice;
+};
+
+// For routes whose body fields are all optional: no body at all counts as {}
+const emptyBody = (req, res, next) => {
+  req.body ??= {};
+  next();
+};
+// Listed as an optional body in the API docs (services/openapi.js)
+emptyBody.optionalBody = true;
+
+
+// ?status, ?memberId, ?gymId and ?from / ?to (YYYY-MM-DD, bounding the period start), newest first
+router.get("/organizations/:orgId/invoices", verifyAuth, requirePermission("billing:read"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { status, memberId, gymId, from, to } = req.query;
+    const pagination = parsePagination(req.query);
+
+    if (status && !INVOICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid status",
+        message: `status must be one of: ${INVOICE_STATUSES.join(", ")}`
+      });
+    }
+
+    const page = await db.invoices.list(orgId, { status, memberId, gymId, from, to, ...pagination });
+    const invoices = page.items;
+
+    res.json({
+      success: true,
+      data: invoices,
+      count: invoices.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching invoices:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to fetch invoices",
+      message: error.message
+    });
+  }
+});
+
+
+// Runs billing for the organization now instead of waiting for the scheduled run.
+// { asOf } (YYYY-MM-DD, default today) bills the periods that started by then.
+router.post("/organizations/:orgId/invoices/generate", verifyAuth, requirePermission("billing:manage"), emptyBody, validateBody(generateInvoicesSchema), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const asOf = req.body.asOf || today();
+
+    if (asOf > today()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        message: "asOf cannot be in the future",
+        details: [{ field: "asOf", code: "in_future", message: "asOf cannot be in the future" }]
+      });
+    }
+
+    const invoices = await generateInvoices(orgId, { asOf });
+
+    if (invoices.length > 0) {
+      await recordAudit(req, {
+        action: "generate_invoices",
+        entityType: "invoice",
+        organizationId: orgId,
+        after: { asOf, invoiceIds: invoices.map(invoice => invoice.id) }
+      });
+    }
+
+    console.log(`Generated ${invoices.length} invoices for organization ${orgId} by user ${req.user.uid}`);
+
+    res.status(invoices.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `${invoices.length} invoices generated`,
+      data: invoices,
+      count: invoices.length
+    });
+  } catch (error) {
+    console.error("Error generating invoices:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to generate invoices",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:orgId/invoices/:invoiceId", verifyAuth, requirePermission("billing:read"), async (req, res) => {
+  try {
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    res.json({
+      success: true,
+      data: invoice
+    });
+  } catch (error) {
+    console.error("Error fetching invoice:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch invoice",
+      message: error.message
+    });
+  }
+});
+
+
+// A declined card answers 402 with the invoice, which keeps the failed attempt
+router.post("/organizations/:orgId/invoices/:invoiceId/payments", verifyAuth, requirePermission("billing:manage"), validateBody(paymentSchema), async (req, res) => {
+  try {
+    const { orgId, invoiceId } = req.params;
+    const { method, paymentToken, reference } = req.body;
+
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    const { data, payment, problem } = await recordPayment(invoice, {
+      method,
+      paymentToken,
+      reference,
+      performedBy: req.user.uid
+    });
+
+    // Declined attempts are recorded on the invoice too
+    const updatedInvoice = data ?? problem.data;
+    if (updatedInvoice) {
+      await recordAudit(req, {
+        action: "record_payment",
+        entityType: "invoice",
+        entityId: invoiceId,
+        organizationId: orgId,
+        before: invoice,
+        after: updatedInvoice
+      });
+    }
+
+    if (problem) {
+      const { status, ...body } = problem;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    console.log(`Invoice ${invoiceId} paid by ${method} by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Payment recorded successfully",
+      data,
+      payment
+    });
+  } catch (error) {
+    console.error("Error recording payment:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to record payment",
+      message: error.message
+    });
+  }
+});
+
+
+// Cancels an open invoice, e.g. one billed by mistake; paid invoices stay as they are
+router.post("/organizations/:orgId/invoices/:invoiceId/void", verifyAuth, requirePermission("billing:manage"), async (req, res) => {
+  try {
+    const { orgId, invoiceId } = req.params;
+
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    // Also refused while a payment is being taken
+    const updatedInvoice = invoice.status === "open" && await db.invoices.voidIfOpen(orgId, invoiceId, {
+      voidedAt: new Date().toISOString(),
+      voidedBy: req.user.uid
+    });
+
+    if (!updatedInvoice) {
+      const current = await db.invoices.get(orgId, invoiceId);
+      return res.status(409).json({
+        success: false,
+        error: current.status === "open" ? "A payment for this invoice is in progress" : `Invoice is ${current.status}`
+      });
+    }
+
+    await recordAudit(req, {
+      action: "void_invoice",
+      entityType: "invoice",
+      entityId: invoiceId,
+      organizationId: orgId,
+      before: invoice,
+      after: updatedInvoice
+    });
+    await emitEvent(orgId, "invoice.voided", { invoice: updatedInvoice });
+
+    console.log(`Invoice ${invoiceId} voided by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Invoice voided successfully",
+      data: updatedInvoice
+    });
+  } catch (error) {
+    console.error("Error voiding invoice:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to void invoice",
+      message: error.message
+    });
+  }
+});
+
+
+// Paid revenue per month over the last ?months (default 12, at most 36), with each gym's share
+router.get("/organizations/:orgId/revenue", verifyAuth, requirePermission("billing:read"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+
+    res.json({
+      success: true,
+      data: await getRevenue(orgId, { months: req.query.months })
+    });
+  } catch (error) {
+    console.error("Error fetching revenue:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch revenue",
+      message: error.message
+    });
+  }
+});
+
+export default router;
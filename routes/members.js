@@ -0,0 +1,301 @@
+// routes/members.js
+import express from "express";
+import * as db from "../db/index.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { ROLES, requirePermission } from "../middleware/permissions.js";
+import { recordAudit } from "../services/audit.js";
+
+const router = express.Router();
+
+
+// Only owners (and super admins) may hand out or take away ownership
+const canManageOwners = (membership) => ["owner", "super_admin"].includes(membership.role);
+
+const validateGymIds = async (orgId, gymIds) => {
+  const found = await db.gyms.getMany(orgId, gymIds);
+  const foundIds = found.map(gym => gym.id);
+  return gymIds.filter(gymId => !foundIds.includes(gymId));
+};
+
+
+router.get("/organizations/:orgId/members", verifyAuth, requirePermission("members:read"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+
+    const members = await db.memberships.listByOrganization(orgId);
+
+    res.json({
+      success: true,
+      data: members,
+      count: members.length
+    });
+  } catch (error) {
+    console.error("Error fetching members:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch members",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/organizations/:orgId/members", verifyAuth, requirePermission("members:manage"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { userId, email, role, gymIds = [] } = req.body;
+
+    if ((!userId && !email) || !role) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: ["userId or email, and role are required"]
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: [`role must be one of: ${ROLES.join(", ")}`]
+      });
+    }
+
+    if (role === "owner" && !canManageOwners(req.membership)) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: "Only owners can add other owners"
+      });
+    }
+
+    if (!Array.isArray(gymIds)) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: ["gymIds must be an array"]
+      });
+    }
+
+    // Resolve the user by email when no uid was given
+    let uid = userId;
+    let userEmail = email || "";
+    if (!uid) {
+      const user = await db.users.findByEmail(email);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: "User not found"
+        });
+      }
+      uid = user.id;
+    } else if (!userEmail) {
+      const user = await db.users.get(uid);
+      userEmail = user ? user.email || "" : "";
+    }
+
+    const missingGyms = await validateGymIds(orgId, gymIds);
+    if (missingGyms.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Gym not found",
+        details: missingGyms
+      });
+    }
+
+    const existing = await db.memberships.get(orgId, uid);
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: "User is already a member of this organization"
+      });
+    }
+
+    const memberData = {
+      email: userEmail,
+      role,
+      gymIds: role === "gym_manager" ? gymIds : [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      createdBy: req.user.uid
+    };
+
+    const member = await db.memberships.create(orgId, uid, memberData);
+
+    await recordAudit(req, {
+      action: "add_member",
+      entityType: "member",
+      entityId: uid,
+      organizationId: orgId,
+      after: member
+    });
+
+    console.log(`Member ${uid} added to organization ${orgId} as ${role} by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Member added successfully",
+      data: member
+    });
+  } catch (error) {
+    console.error("Error adding member:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add member",
+      message: error.message
+    });
+  }
+});
+
+
+router.put("/organizations/:orgId/members/:userId", verifyAuth, requirePermission("members:manage"), async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+    const { role, gymIds } = req.body;
+
+    const member = await db.memberships.get(orgId, userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: "Member not found"
+      });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: [`role must be one of: ${ROLES.join(", ")}`]
+      });
+    }
+
+    if (gymIds !== undefined && !Array.isArray(gymIds)) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: ["gymIds must be an array"]
+      });
+    }
+
+    if ((member.role === "owner" || role === "owner") && !canManageOwners(req.membership)) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: "Only owners can change ownership"
+      });
+    }
+
+    if (member.role === "owner" && role && role !== "owner" && await db.memberships.countByRole(orgId, "owner") <= 1) {
+      return res.status(409).json({
+        success: false,
+        error: "Cannot demote the last owner of an organization"
+      });
+    }
+
+    const updateData = {
+      updatedAt: new Date().toISOString(),
+      lastModifiedBy: req.user.uid
+    };
+
+    if (role) updateData.role = role;
+    if (gymIds !== undefined) {
+      const missingGyms = await validateGymIds(orgId, gymIds);
+      if (missingGyms.length > 0) {
+        return res.status(404).json({
+          success: false,
+          error: "Gym not found",
+          details: missingGyms
+        });
+      }
+      updateData.gymIds = gymIds;
+    }
+    if ((role || member.role) !== "gym_manager") updateData.gymIds = [];
+
+    const updatedMember = await db.memberships.update(orgId, userId, updateData);
+
+    await recordAudit(req, {
+      action: "update_member",
+      entityType: "member",
+      entityId: userId,
+      organizationId: orgId,
+      before: member,
+      after: updatedMember
+    });
+
+    console.log(`Member ${userId} updated in organization ${orgId} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Member updated successfully",
+      data: updatedMember
+    });
+  } catch (error) {
+    console.error("Error updating member:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update member",
+      message: error.message
+    });
+  }
+});
+
+
+router.delete("/organizations/:orgId/members/:userId", verifyAuth, requirePermission("members:manage"), async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+
+    const member = await db.memberships.get(orgId, userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: "Member not found"
+      });
+    }
+
+    if (member.role === "owner") {
+      if (!canManageOwners(req.membership)) {
+        return res.status(403).json({
+          success: false,
+          error: "Forbidden",
+          message: "Only owners can remove other owners"
+        });
+      }
+
+      if (await db.memberships.countByRole(orgId, "owner") <= 1) {
+        return res.status(409).json({
+          success: false,
+          error: "Cannot remove the last owner of an organization"
+        });
+      }
+    }
+
+    await db.memberships.delete(orgId, userId);
+
+    await recordAudit(req, {
+      action: "remove_member",
+      entityType: "member",
+      entityId: userId,
+      organizationId: orgId,
+      before: member
+    });
+
+    console.log(`Member ${userId} removed from organization ${orgId} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Member removed successfully"
+    });
+  } catch (error) {
+    console.error("Error removing member:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove member",
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,137 +1,208 @@
 // routes/organizations.js
 import express from "express";
-import { auth, db } from "../api/firebaseadmin.js";
+import * as db from "../db/index.js";
+import { verifyAuth } from "../middleware/auth.js";
+import {
+  authorize,
+  denyAccess,
+  getAccessibleOrganizationIds,
+  getPermittedOrganizationIds,
+  hasPermission,
+  isSuperAdmin,
+  requirePermission
+} from "../middleware/permissions.js";
+import { validateBody } from "../middleware/validate.js";
+import { organizationSchema } from "../schemas/organization.js";
+import { parseSummaryQuery, summarize } from "../services/analytics.js";
+import { recordAudit } from "../services/audit.js";
+import { emitEvent } from "../services/events.js";
+import { DEVICE_ACTIONS, cascadeDeletion, previewDeletion } from "../services/organization-deletion.js";
+import { purgeDate } from "../services/trash.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
 
 const router = express.Router();
 
 
-const verifyAuth = async (req, res, next) => {
-  try {
-    const sessionCookie = req.cookies.session;
-    const authHeader = req.headers.authorization;
-
-    let decodedClaims;
-
-    // Try session cookie first
-    if (sessionCookie) {
-      decodedClaims = await auth.verifySessionCookie(sessionCookie, true);
-    } 
-    // Try Authorization header with Bearer token
-    else if (authHeader && authHeader.startsWith('Bearer ')) {
-      const idToken = authHeader.split('Bearer ')[1];
-      decodedClaims = await auth.verifyIdToken(idToken);
-    } 
-    else {
-      return res.status(401).json({ error: "Unauthorized - No valid authentication found" });
-    }
-
-    // Attach user to request
-    req.user = decodedClaims;
-    next();
-  } catch (error) {
-    console.error("Auth verification error:", error.message);
-    res.status(401).json({ error: "Unauthorized - Invalid token" });
-  }
-};
-
-
 router.get("/organizations", verifyAuth, async (req, res) => {
   try {
-    const { limit = 100, organizationId } = req.query;
-
-    let query = db.collection("organizations");
+    const { organizationId } = req.query;
+    const pagination = parsePagination(req.query);
 
     // If specific organization requested
     if (organizationId) {
-      const doc = await db.collection("organizations").doc(organizationId).get();
-      if (!doc.exists) {
+      if (!(await authorize(req.user, organizationId, "organization:read"))) {
+        return denyAccess(res, "organization:read");
+      }
+
+      const organization = await db.organizations.get(organizationId);
+      if (!organization) {
         return res.status(404).json({ error: "Organization not found" });
       }
       return res.json({
         success: true,
-        data: { id: doc.id, ...doc.data() }
+        data: organization
       });
     }
 
-    // Get all organizations
-    const snapshot = await query.orderBy("createdAt", "desc").limit(parseInt(limit)).get();
-
-    const organizations = [];
-    snapshot.forEach(doc => {
-      organizations.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    // Super admins see every organization, everyone else only the ones they belong to
+    const orgIds = await getAccessibleOrganizationIds(req.user);
+    const page = await db.organizations.list({ ids: orgIds, ...pagination });
+    const organizations = page.items;
 
     console.log(`Fetched ${organizations.length} organizations for user ${req.user.uid}`);
 
     res.json({
       success: true,
       data: organizations,
-      count: organizations.length
+      count: organizations.length,
+      pagination: paginationMeta(page, pagination)
     });
   } catch (error) {
     console.error("Error fetching organizations:", error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({
       error: "Failed to fetch organizations",
-      message: error.message 
+      message: error.message
+    });
+  }
+});
+
+
+// Deleted organizations the caller could restore
+router.get("/organizations/trash", verifyAuth, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+
+    const orgIds = await getPermittedOrganizationIds(req.user, "organization:delete");
+    const page = await db.organizations.list({ ids: orgIds, deleted: true, ...pagination });
+    const organizations = page.items.map(organization => ({
+      ...organization,
+      purgeAt: purgeDate(organization.deletedAt)
+    }));
+
+    res.json({
+      success: true,
+      data: organizations,
+      count: organizations.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching deleted organizations:", error);
+    res.status(error.status || 500).json({
+      error: "Failed to fetch deleted organizations",
+      message: error.message
     });
   }
 });
 
 
-router.get("/organizations/:id", verifyAuth, async (req, res) => {
+// Dashboard summary of every organization, for platform staff. Same parameters as
+// GET /organizations/:id/summary.
+router.get("/organizations/summary", verifyAuth, async (req, res) => {
+  try {
+    if (!isSuperAdmin(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: "Only platform administrators can summarize every organization"
+      });
+    }
+
+    const summary = await summarize({ organizationIds: null }, parseSummaryQuery(req.query));
+
+    console.log(`Built platform summary for user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error("Error building platform summary:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to build summary",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:id", verifyAuth, requirePermission("organization:read", { orgId: req => req.params.id }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const doc = await db.collection("organizations").doc(id).get();
+    const organization = await db.organizations.get(id);
 
-    if (!doc.exists) {
-      return res.status(404).json({ 
+    if (!organization) {
+      return res.status(404).json({
         success: false,
-        error: "Organization not found" 
+        error: "Organization not found"
       });
     }
 
     res.json({
       success: true,
-      data: {
-        id: doc.id,
-        ...doc.data()
-      }
+      data: organization
     });
   } catch (error) {
     console.error("Error fetching organization:", error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Failed to fetch organization",
-      message: error.message 
+      message: error.message
     });
   }
 });
 
 
-router.post("/organizations", verifyAuth, async (req, res) => {
+// Everything the admin dashboard shows in one call. ?from / ?to (default the last 30 days) bound
+// revenue, recentChanges and the trends, bucketed by ?groupBy=day (default) | week | month;
+// ?recent sets how many recent changes are listed (default 10). members and revenue are null
+// for callers without gym_members:read / billing:read.
+router.get("/organizations/:id/summary", verifyAuth, requirePermission("organization:read", { orgId: req => req.params.id }), async (req, res) => {
   try {
-    const { name, email, phone, address, status } = req.body;
+    const { id } = req.params;
 
-    // Validate required fields
-    if (!name || !email) {
-      return res.status(400).json({ 
-        error: "Validation failed",
-        details: ["Name and email are required"] 
+    const query = parseSummaryQuery(req.query);
+
+    const organization = await db.organizations.get(id);
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: "Organization not found"
       });
     }
 
+    const summary = await summarize({
+      organizationIds: [id],
+      members: hasPermission(req.membership, "gym_members:read"),
+      revenue: hasPermission(req.membership, "billing:read")
+    }, query);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error("Error building organization summary:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to build summary",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/organizations", verifyAuth, validateBody(organizationSchema), async (req, res) => {
+  try {
+    const { name, email, phone, address, status } = req.body;
+
     // Check if organization with same email exists
-    const existingOrg = await db.collection("organizations")
-      .where("email", "==", email)
-      .limit(1)
-      .get();
-
-    if (!existingOrg.empty) {
-      return res.status(409).json({ 
-        error: "Organization with this email already exists" 
+    const existingOrg = await db.organizations.findByEmail(email);
+
+    if (existingOrg) {
+      return res.status(409).json({
+        error: "Organization with this email already exists",
+        ...(existingOrg.deletedAt && { message: "The organization is in the trash; restore it instead" })
       });
     }
 
@@ -147,45 +218,55 @@ router.post("/organizations", verifyAuth, async (req, res) => {
       createdBy: req.user.uid
     };
 
-    // Create organization
-    const docRef = await db.collection("organizations").add(organizationData);
+    // Create organization and make the creator its owner
+    const organization = await db.organizations.create(organizationData);
 
-    // Fetch created document
-    const createdDoc = await docRef.get();
+    await db.memberships.create(organization.id, req.user.uid, {
+      email: req.user.email || "",
+      role: "owner",
+      gymIds: [],
+      createdAt: organizationData.createdAt,
+      updatedAt: organizationData.createdAt,
+      createdBy: req.user.uid
+    });
+
+    await recordAudit(req, {
+      action: "create_organization",
+      entityType: "organization",
+      entityId: organization.id,
+      organizationId: organization.id,
+      after: organization
+    });
 
-    console.log(`Organization created: ${docRef.id} by user ${req.user.uid}`);
+    console.log(`Organization created: ${organization.id} by user ${req.user.uid}`);
 
     res.status(201).json({
       success: true,
       message: "Organization created successfully",
-      data: {
-        id: docRef.id,
-        ...createdDoc.data()
-      }
+      data: organization
     });
   } catch (error) {
     console.error("Error creating organization:", error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Failed to create organization",
-      message: error.message 
+      message: error.message
     });
   }
 });
 
 
-router.put("/organizations/:id", verifyAuth, async (req, res) => {
+router.put("/organizations/:id", verifyAuth, requirePermission("organization:update", { orgId: req => req.params.id }), validateBody(organizationSchema, { partial: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, email, phone, address, status } = req.body;
 
     // Check if organization exists
-    const docRef = db.collection("organizations").doc(id);
-    const doc = await docRef.get();
+    const organization = await db.organizations.get(id);
 
-    if (!doc.exists) {
-      return res.status(404).json({ 
+    if (!organization) {
+      return res.status(404).json({
         success: false,
-        error: "Organization not found" 
+        error: "Organization not found"
       });
     }
 
@@ -201,85 +282,173 @@ router.put("/organizations/:id", verifyAuth, async (req, res) => {
     if (address !== undefined) updateData.address = address;
     if (status) updateData.status = status;
 
-    // Update document
-    await docRef.update(updateData);
+    // Update organization
+    const updatedOrganization = await db.organizations.update(id, updateData);
 
-    // Fetch updated document
-    const updatedDoc = await docRef.get();
+    await recordAudit(req, {
+      action: "update_organization",
+      entityType: "organization",
+      entityId: id,
+      organizationId: id,
+      before: organization,
+      after: updatedOrganization
+    });
+    await emitEvent(id, "organization.updated", { organization: updatedOrganization });
 
     console.log(`Organization updated: ${id} by user ${req.user.uid}`);
 
     res.json({
       success: true,
       message: "Organization updated successfully",
-      data: {
-        id: updatedDoc.id,
-        ...updatedDoc.data()
-      }
+      data: updatedOrganization
     });
   } catch (error) {
     console.error("Error updating organization:", error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Failed to update organization",
-      message: error.message 
+      message: error.message
     });
   }
 });
 
 
-router.delete("/organizations/:id", verifyAuth, async (req, res) => {
+// ?dryRun=true reports what the deletion would affect without changing anything.
+// Organizations with gyms or devices need ?cascade=true, which moves the gyms to the trash and
+// unassigns the devices (or trashes them with &devices=delete). Repeating a cascade that was
+// interrupted resumes it.
+router.delete("/organizations/:id", verifyAuth, requirePermission("organization:delete", { orgId: req => req.params.id }), async (req, res) => {
   try {
     const { id } = req.params;
+    const dryRun = req.query.dryRun === "true";
+    const cascade = req.query.cascade === "true";
+    const deviceAction = req.query.devices || "unassign";
+
+    if (!DEVICE_ACTIONS.includes(deviceAction)) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: [`devices must be one of: ${DEVICE_ACTIONS.join(", ")}`]
+      });
+    }
 
     // Check if organization exists
-    const docRef = db.collection("organizations").doc(id);
-    const doc = await docRef.get();
+    const organization = await db.organizations.get(id);
 
-    if (!doc.exists) {
-      return res.status(404).json({ 
+    if (!organization) {
+      return res.status(404).json({
         success: false,
-        error: "Organization not found" 
+        error: "Organization not found"
+      });
+    }
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        data: await previewDeletion(organization, { deviceAction })
+      });
+    }
+
+    if (cascade || organization.deletion?.status === "in_progress") {
+      const result = await cascadeDeletion(req, organization, { deviceAction });
+
+      console.log(`Organization deleted: ${id} with ${result.gyms} gyms and ${result.devices} devices (${result.deviceAction}) by user ${req.user.uid}`);
+
+      return res.json({
+        success: true,
+        message: "Organization moved to trash",
+        purgeAt: purgeDate(result.organization.deletedAt),
+        data: {
+          resumed: result.resumed,
+          deviceAction: result.deviceAction,
+          gyms: result.gyms,
+          devices: result.devices
+        }
       });
     }
 
-    // Check if organization has associated devices
-    const devicesSnapshot = await db.collection("devices")
-      .where("organizationId", "==", id)
-      .limit(1)
-      .get();
+    // Check if organization has associated gyms or devices
+    const deviceCount = await db.devices.countByOrganization(id);
+    const { items: gyms } = await db.gyms.list(id, { limit: 1 });
 
-    if (!devicesSnapshot.empty) {
-      return res.status(409).json({ 
-        error: "Cannot delete organization with associated devices",
-        message: "Please reassign or delete all devices first"
+    if (deviceCount > 0 || gyms.length > 0) {
+      return res.status(409).json({
+        error: "Cannot delete organization with associated gyms or devices",
+        message: "Preview the impact with ?dryRun=true, then confirm with ?cascade=true"
       });
     }
 
-    // Delete organization
-    await docRef.delete();
+    // Move the organization to the trash
+    const deletedOrganization = await db.organizations.softDelete(id, req.user.uid);
 
-    // Optional: Create audit log
-    await db.collection("audit_logs").add({
+    await recordAudit(req, {
       action: "delete_organization",
+      entityType: "organization",
+      entityId: id,
       organizationId: id,
-      performedBy: req.user.uid,
-      timestamp: new Date().toISOString(),
-      details: doc.data()
+      before: organization,
+      after: deletedOrganization
     });
+    await emitEvent(id, "organization.deleted", { organization: deletedOrganization });
 
     console.log(`Organization deleted: ${id} by user ${req.user.uid}`);
 
     res.json({
       success: true,
-      message: "Organization deleted successfully"
+      message: "Organization moved to trash",
+      purgeAt: purgeDate(deletedOrganization.deletedAt)
     });
   } catch (error) {
     console.error("Error deleting organization:", error);
-    res.status(500).json({ 
+    res.status(500).json({
       error: "Failed to delete organization",
-      message: error.message 
+      message: error.message
+    });
+  }
+});
+
+router.post("/organizations/:id/restore", verifyAuth, requirePermission("organization:delete", { orgId: req => req.params.id }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const organization = await db.organizations.get(id, { includeDeleted: true });
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: "Organization not found"
+      });
+    }
+
+    if (!organization.deletedAt) {
+      return res.status(409).json({ error: "Organization is not in the trash" });
+    }
+
+    const restoredOrganization = await db.organizations.restore(id, req.user.uid);
+
+    await recordAudit(req, {
+      action: "restore_organization",
+      entityType: "organization",
+      entityId: id,
+      organizationId: id,
+      before: organization,
+      after: restoredOrganization
+    });
+    await emitEvent(id, "organization.restored", { organization: restoredOrganization });
+
+    console.log(`Organization restored: ${id} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Organization restored successfully",
+      data: restoredOrganization
+    });
+  } catch (error) {
+    console.error("Error restoring organization:", error);
+    res.status(500).json({
+      error: "Failed to restore organization",
+      message: error.message
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
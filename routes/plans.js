@@ -0,0 +1,263 @@
+// routes/plans.js
+// Membership plans sold to gym members. Every organization user can see them, e.g. to sign up a
+// member at the front desk; changing them takes billing:manage.
+import express from "express";
+import * as db from "../db/index.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { validateBody } from "../middleware/validate.js";
+import { planSchema } from "../schemas/plan.js";
+import { recordAudit } from "../services/audit.js";
+import { includesGym, updatePlanMembers } from "../services/billing.js";
+
+const router = express.Router();
+
+
+// Loads the plan for :planId, answering 404 when it doesn't exist
+const loadPlan = async (req, res) => {
+  const plan = await db.plans.get(req.params.orgId, req.params.planId);
+
+  if (!plan) {
+    res.status(404).json({
+      success: false,
+      error: "Plan not found"
+    });
+    return null;
+  }
+
+  return plan;
+};
+
+// Answers 400 when gymIds lists a gym the organization doesn't have
+const checkGymIds = async (req, res, gymIds) => {
+  const details = [];
+  for (const [index, gymId] of (gymIds || []).entries()) {
+    if (!(await db.gyms.get(req.params.orgId, gymId))) {
+      details.push({ field: `gymIds[${index}]`, code: "not_found", message: `Gym ${gymId} not found in this organization` });
+    }
+  }
+
+  if (details.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: "Validation failed",
+      message: details[0].message,
+      details
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Answers 409 when the plan's new gymIds leave out the home gym of members still on it
+const checkMemberGyms = async (req, res, plan, gymIds) => {
+  const stranded = (await db.gymMembers.listByPlan(req.params.orgId, plan.id))
+    .filter(member => !["cancelled", "expired"].includes(member.status) && !includesGym({ gymIds }, member.homeGymId));
+
+  if (stranded.length > 0) {
+    res.status(409).json({
+      success: false,
+      error: "Plan is in use",
+      message: `${stranded.length} gym members on this plan belong to gyms it would no longer include. Move them to another plan first.`,
+      details: stranded.map(member => ({ memberId: member.id, name: member.name, homeGymId: member.homeGymId }))
+    });
+    return false;
+  }
+
+  return true;
+};
+
+
+// ?active=true lists only the plans on sale
+router.get("/organizations/:orgId/plans", verifyAuth, requirePermission("organization:read"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { active } = req.query;
+
+    const plans = await db.plans.list(orgId, {
+      active: active === undefined ? undefined : active === "true"
+    });
+
+    res.json({
+      success: true,
+      data: plans,
+      count: plans.length
+    });
+  } catch (error) {
+    console.error("Error fetching plans:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch plans",
+      message: error.message
+    });
+  }
+});
+
+
+router.post("/organizations/:orgId/plans", verifyAuth, requirePermission("billing:manage"), validateBody(planSchema), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { name, description, price, billingInterval, gymIds, active } = req.body;
+
+    if (!(await checkGymIds(req, res, gymIds))) return;
+
+    const createdAt = new Date().toISOString();
+    const plan = await db.plans.create(orgId, {
+      name,
+      description: description || "",
+      price,
+      billingInterval,
+      gymIds: [...new Set(gymIds || [])],
+      active: active ?? true,
+      createdAt,
+      updatedAt: createdAt,
+      createdBy: req.user.uid
+    });
+
+    await recordAudit(req, {
+      action: "create_plan",
+      entityType: "plan",
+      entityId: plan.id,
+      organizationId: orgId,
+      after: plan
+    });
+
+    console.log(`Plan created: ${plan.id} for organization ${orgId} by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Plan created successfully",
+      data: plan
+    });
+  } catch (error) {
+    console.error("Error creating plan:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create plan",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:orgId/plans/:planId", verifyAuth, requirePermission("organization:read"), async (req, res) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    console.error("Error fetching plan:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch plan",
+      message: error.message
+    });
+  }
+});
+
+
+// A new price applies from each member's next invoice, a new billingInterval from each member's
+// next billing date. { active: false } takes the plan off sale; its members keep it until they
+// switch. gymIds can't drop the home gym of a member on the plan.
+router.put("/organizations/:orgId/plans/:planId", verifyAuth, requirePermission("billing:manage"), validateBody(planSchema, { partial: true }), async (req, res) => {
+  try {
+    const { orgId, planId } = req.params;
+    const { name, description, price, billingInterval, gymIds, active } = req.body;
+
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    if (!(await checkGymIds(req, res, gymIds))) return;
+    if (gymIds !== undefined && !(await checkMemberGyms(req, res, plan, gymIds))) return;
+
+    const updateData = {
+      updatedAt: new Date().toISOString(),
+      lastModifiedBy: req.user.uid
+    };
+
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+    if (price !== undefined) updateData.price = price;
+    if (billingInterval !== undefined) updateData.billingInterval = billingInterval;
+    if (gymIds !== undefined) updateData.gymIds = [...new Set(gymIds)];
+    if (active !== undefined) updateData.active = active;
+
+    const updatedPlan = await db.plans.update(orgId, planId, updateData);
+    await updatePlanMembers(orgId, plan, updatedPlan);
+
+    await recordAudit(req, {
+      action: "update_plan",
+      entityType: "plan",
+      entityId: planId,
+      organizationId: orgId,
+      before: plan,
+      after: updatedPlan
+    });
+
+    console.log(`Plan updated: ${planId} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Plan updated successfully",
+      data: updatedPlan
+    });
+  } catch (error) {
+    console.error("Error updating plan:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update plan",
+      message: error.message
+    });
+  }
+});
+
+
+// Plans that members are on can only be taken off sale
+router.delete("/organizations/:orgId/plans/:planId", verifyAuth, requirePermission("billing:manage"), async (req, res) => {
+  try {
+    const { orgId, planId } = req.params;
+
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    const members = await db.gymMembers.countByPlan(orgId, planId);
+    if (members > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Plan is in use",
+        message: `${members} gym members are on this plan. Set active to false to stop selling it.`
+      });
+    }
+
+    await db.plans.delete(orgId, planId);
+
+    await recordAudit(req, {
+      action: "delete_plan",
+      entityType: "plan",
+      entityId: planId,
+      organizationId: orgId,
+      before: plan
+    });
+
+    console.log(`Plan deleted: ${planId} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Plan deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting plan:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete plan",
+      message: error.message
+    });
+  }
+});
+
+export default router;
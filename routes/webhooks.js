@@ -0,0 +1,286 @@
+// routes/webhooks.js
+import express from "express";
+import * as db from "../db/index.js";
+import { verifyAuth } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/permissions.js";
+import { recordAudit } from "../services/audit.js";
+import {
+  DELIVERY_STATUSES,
+  WEBHOOK_EVENTS,
+  generateSecret,
+  sendTestEvent,
+  validateWebhook,
+  withoutResponseBody,
+  withoutSecret
+} from "../services/webhooks.js";
+import { paginationMeta, parsePagination } from "../utils/pagination.js";
+
+const router = express.Router();
+
+
+// Loads the webhook for :webhookId, answering 404 when it belongs to another organization
+const loadWebhook = async (req, res) => {
+  const webhook = await db.webhooks.get(req.params.webhookId);
+
+  if (!webhook || webhook.organizationId !== req.params.orgId) {
+    res.status(404).json({
+      success: false,
+      error: "Webhook not found"
+    });
+    return null;
+  }
+
+  return webhook;
+};
+
+
+router.get("/organizations/:orgId/webhooks", verifyAuth, requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+
+    const webhooks = (await db.webhooks.listByOrganization(orgId)).map(withoutSecret);
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length,
+      events: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error("Error fetching webhooks:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhooks",
+      message: error.message
+    });
+  }
+});
+
+
+// The secret is returned in full only in this response (and when it is changed)
+router.post("/organizations/:orgId/webhooks", verifyAuth, requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const { orgId } = req.params;
+    const { url, events, secret, description = "", active = true } = req.body;
+
+    const errors = validateWebhook({ url, events, secret, active });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const createdAt = new Date().toISOString();
+    const webhook = await db.webhooks.create({
+      organizationId: orgId,
+      url,
+      events: [...new Set(events)],
+      secret: secret || generateSecret(),
+      description,
+      active,
+      createdAt,
+      updatedAt: createdAt,
+      createdBy: req.user.uid
+    });
+
+    await recordAudit(req, {
+      action: "create_webhook",
+      entityType: "webhook",
+      entityId: webhook.id,
+      organizationId: orgId,
+      after: withoutSecret(webhook)
+    });
+
+    console.log(`Webhook created: ${webhook.id} for organization ${orgId} by user ${req.user.uid}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook created successfully",
+      data: webhook
+    });
+  } catch (error) {
+    console.error("Error creating webhook:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create webhook",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:orgId/webhooks/:webhookId", verifyAuth, requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({
+      success: true,
+      data: withoutSecret(webhook)
+    });
+  } catch (error) {
+    console.error("Error fetching webhook:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch webhook",
+      message: error.message
+    });
+  }
+});
+
+
+// { rotateSecret: true } replaces the secret with a generated one
+router.put("/organizations/:orgId/webhooks/:webhookId", verifyAuth, requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const { orgId, webhookId } = req.params;
+    const { url, events, secret, description, active, rotateSecret } = req.body;
+
+    const errors = validateWebhook({ url, events, secret, active }, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors
+      });
+    }
+
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const updateData = { updatedAt: new Date().toISOString() };
+    if (url !== undefined) updateData.url = url;
+    if (events !== undefined) updateData.events = [...new Set(events)];
+    if (description !== undefined) updateData.description = description;
+    if (active !== undefined) updateData.active = active;
+    if (secret !== undefined) updateData.secret = secret;
+    if (rotateSecret === true) updateData.secret = generateSecret();
+
+    const updatedWebhook = await db.webhooks.update(webhookId, updateData);
+
+    await recordAudit(req, {
+      action: "update_webhook",
+      entityType: "webhook",
+      entityId: webhookId,
+      organizationId: orgId,
+      before: withoutSecret(webhook),
+      after: withoutSecret(updatedWebhook),
+      metadata: updateData.secret ? { secretChanged: true } : null
+    });
+
+    console.log(`Webhook updated: ${webhookId} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Webhook updated successfully",
+      data: updateData.secret ? updatedWebhook : withoutSecret(updatedWebhook)
+    });
+  } catch (error) {
+    console.error("Error updating webhook:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update webhook",
+      message: error.message
+    });
+  }
+});
+
+
+router.delete("/organizations/:orgId/webhooks/:webhookId", verifyAuth, requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const { orgId, webhookId } = req.params;
+
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    await db.webhooks.delete(webhookId);
+
+    await recordAudit(req, {
+      action: "delete_webhook",
+      entityType: "webhook",
+      entityId: webhookId,
+      organizationId: orgId,
+      before: withoutSecret(webhook)
+    });
+
+    console.log(`Webhook deleted: ${webhookId} by user ${req.user.uid}`);
+
+    res.json({
+      success: true,
+      message: "Webhook deleted successfully"
+    });
+  } catch (error) {
+    console.error("Error deleting webhook:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete webhook",
+      message: error.message
+    });
+  }
+});
+
+
+router.get("/organizations/:orgId/webhooks/:webhookId/deliveries", verifyAuth, requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const { webhookId } = req.params;
+    const { status } = req.query;
+    const pagination = parsePagination(req.query);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: [`status must be one of: ${DELIVERY_STATUSES.join(", ")}`]
+      });
+    }
+
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const page = await db.webhookDeliveries.listByWebhook(webhookId, { status, ...pagination });
+    const deliveries = page.items.map(withoutResponseBody);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length,
+      pagination: paginationMeta(page, pagination)
+    });
+  } catch (error) {
+    console.error("Error fetching webhook deliveries:", error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: "Failed to fetch webhook deliveries",
+      message: error.message
+    });
+  }
+});
+
+
+// Sends a webhook.test event right away and returns how the receiver answered
+router.post("/organizations/:orgId/webhooks/:webhookId/test", verifyAuth, requirePermission("webhook:manage"), async (req, res) => {
+  try {
+    const webhook = await loadWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await sendTestEvent(webhook, req.user.uid);
+
+    console.log(`Test event sent to webhook ${webhook.id}: ${delivery.status}`);
+
+    res.json({
+      success: delivery.status === "succeeded",
+      message: delivery.status === "succeeded" ? "Test event delivered" : "Test event could not be delivered",
+      data: withoutResponseBody(delivery)
+    });
+  } catch (error) {
+    console.error("Error sending test event:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send test event",
+      message: error.message
+    });
+  }
+});
+
+export default router;
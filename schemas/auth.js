@@ -0,0 +1,9 @@
+// schemas/auth.js
+// Body of POST /auth/signup. Firebase needs passwords of 6+ characters and E.164 phone numbers.
+
+export const signupSchema = {
+  name: { type: "string", required: true, maxLength: 200 },
+  email: { type: "string", required: true, format: "email", maxLength: 254 },
+  password: { type: "string", required: true, minLength: 6, maxLength: 128 },
+  phone: { type: "string", format: "e164" }
+};
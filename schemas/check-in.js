@@ -0,0 +1,13 @@
+// schemas/check-in.js
+// Bodies of the front desk's POST .../gyms/:gymId/check-ins and .../check-outs, and of
+// POST /devices/:id/check-ins sent by access-control devices. occurredAt defaults to now.
+
+export const checkInSchema = {
+  memberId: { type: "string", required: true },
+  occurredAt: { type: "string", format: "date-time" }
+};
+
+export const deviceCheckInSchema = {
+  ...checkInSchema,
+  direction: { type: "string", required: true, enum: ["in", "out"] }
+};
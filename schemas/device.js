@@ -0,0 +1,17 @@
+// schemas/device.js
+// Bodies of POST /devices and PUT /devices/:id, and rows of the device import.
+// organizationId and gymId accept null to unassign the device.
+
+export const deviceSchema = {
+  deviceName: { type: "string", required: true, maxLength: 200 },
+  type: { type: "string", required: true, maxLength: 100 },
+  serialNumber: { type: "string", required: true, maxLength: 100 },
+  model: { type: "string", maxLength: 100 },
+  manufacturer: { type: "string", maxLength: 100 },
+  organizationId: { type: "string", nullable: true },
+  gymId: { type: "string", nullable: true },
+  status: { type: "string", maxLength: 50 },
+  location: { type: "string", maxLength: 200 },
+  ipAddress: { type: "string", format: "ip" },
+  macAddress: { type: "string", format: "mac" }
+};
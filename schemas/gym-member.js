@@ -0,0 +1,16 @@
+// schemas/gym-member.js
+// Bodies of POST /organizations/:orgId/gyms/:gymId/members and PUT .../members/:memberId.
+// The home gym comes from the URL on create; an update can move the member with homeGymId.
+// planId refers to one of the organization's active plans (db/repositories/plans.js).
+import { GYM_MEMBER_STATUSES } from "../db/repositories/gym-members.js";
+
+export const gymMemberSchema = {
+  name: { type: "string", required: true, maxLength: 200 },
+  email: { type: "string", format: "email", maxLength: 254 },
+  phone: { type: "string", format: "phone" },
+  planId: { type: "string", required: true },
+  startDate: { type: "string", required: true, format: "date" },
+  endDate: { type: "string", nullable: true, format: "date" },
+  status: { type: "string", enum: GYM_MEMBER_STATUSES },
+  homeGymId: { type: "string", updateOnly: true, required: true }
+};
@@ -0,0 +1,56 @@
+// schemas/gym.js
+// Bodies of POST /organizations/:orgId/gyms and PUT .../gyms/:gymId, and rows of the gym import.
+// members (active gym members) and monthlyRevenue (paid invoices this month) are kept up to
+// date by the server. latitude and longitude are set (or cleared) together. See
+// services/opening-hours.js for openingHours, holidays and timezone; openingTime / closingTime
+// given without openingHours set the same hours for every day.
+import { CAPACITY_POLICIES, GYM_VISIBILITIES } from "../db/repositories/gyms.js";
+import { WEEKDAYS } from "../services/opening-hours.js";
+
+const dayHours = {
+  type: "array",
+  maxLength: 12,
+  items: {
+    type: "object",
+    fields: {
+      open: { type: "string", required: true, format: "time" },
+      close: { type: "string", required: true, format: "end-time" }
+    }
+  }
+};
+
+export const gymSchema = {
+  name: { type: "string", required: true, maxLength: 200 },
+  address: { type: "string", required: true, maxLength: 500 },
+  city: { type: "string", maxLength: 100 },
+  phone: { type: "string", required: true, format: "phone" },
+  email: { type: "string", required: true, format: "email", maxLength: 254 },
+  capacity: { type: "integer", required: true, min: 1 },
+  capacityPolicy: { type: "string", enum: CAPACITY_POLICIES },
+  visibility: { type: "string", enum: GYM_VISIBILITIES },
+  manager: { type: "string", required: true, maxLength: 200 },
+  status: { type: "string", maxLength: 50 },
+  openingTime: { type: "string", format: "time" },
+  closingTime: { type: "string", format: "time" },
+  openingHours: {
+    type: "object",
+    nullable: true,
+    fields: Object.fromEntries(WEEKDAYS.map(day => [day, dayHours]))
+  },
+  holidays: {
+    type: "array",
+    maxLength: 400,
+    items: {
+      type: "object",
+      fields: {
+        date: { type: "string", required: true, format: "date" },
+        name: { type: "string", maxLength: 100 },
+        hours: dayHours
+      }
+    }
+  },
+  timezone: { type: "string", maxLength: 64 },
+  amenities: { type: "array", maxLength: 50, items: { type: "string", maxLength: 100 } },
+  latitude: { type: "number", nullable: true, min: -90, max: 90 },
+  longitude: { type: "number", nullable: true, min: -180, max: 180 }
+};
@@ -0,0 +1,16 @@
+// schemas/invoice.js
+// Body of POST /organizations/:orgId/invoices/:invoiceId/payments. Card payments go through the
+// payment processor with paymentToken; cash and bank transfers are recorded as received.
+
+export const PAYMENT_METHODS = ["card", "cash", "bank_transfer"];
+
+export const paymentSchema = {
+  method: { type: "string", required: true, enum: PAYMENT_METHODS },
+  paymentToken: { type: "string", maxLength: 200 },
+  reference: { type: "string", maxLength: 200 }
+};
+
+// Body of POST /organizations/:orgId/invoices/generate; asOf defaults to today
+export const generateInvoicesSchema = {
+  asOf: { type: "string", format: "date" }
+};
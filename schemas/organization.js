@@ -0,0 +1,10 @@
+// schemas/organization.js
+// Bodies of POST /organizations and PUT /organizations/:id
+
+export const organizationSchema = {
+  name: { type: "string", required: true, maxLength: 200 },
+  email: { type: "string", required: true, format: "email", maxLength: 254 },
+  phone: { type: "string", format: "phone" },
+  address: { type: "string", maxLength: 500 },
+  status: { type: "string", maxLength: 50 }
+};
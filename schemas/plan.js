@@ -0,0 +1,13 @@
+// schemas/plan.js
+// Bodies of POST /organizations/:orgId/plans and PUT .../plans/:planId. price is charged every
+// billing period; an empty gymIds gives access to all of the organization's gyms.
+import { BILLING_INTERVALS } from "../db/repositories/plans.js";
+
+export const planSchema = {
+  name: { type: "string", required: true, maxLength: 100 },
+  description: { type: "string", maxLength: 1000 },
+  price: { type: "number", required: true, min: 0 },
+  billingInterval: { type: "string", required: true, enum: Object.keys(BILLING_INTERVALS) },
+  gymIds: { type: "array", maxLength: 500, items: { type: "string" } },
+  active: { type: "boolean" }
+};
@@ -0,0 +1,47 @@
+// scripts/backfill-deleted-at.js
+// Sets deletedAt: null on organizations, gyms and devices created before soft delete existed.
+// Firestore equality filters skip documents that lack the field, so without this those records
+// would disappear from lists. Safe to run more than once.
+//
+//   STORAGE_BACKEND=firestore node scripts/backfill-deleted-at.js
+import dotenv from "dotenv";
+import * as db from "../db/index.js";
+
+dotenv.config({ quiet: true });
+
+const backfill = async (store) => {
+  let updated = 0;
+  for (const record of await store.find()) {
+    if (record.deletedAt === undefined) {
+      await store.update(record.id, { deletedAt: null });
+      updated++;
+    }
+  }
+  return updated;
+};
+
+try {
+  const organizationStore = db.backend.collection("organizations");
+  const gymStore = db.backend.collection("gyms", {
+    parent: { collection: "organizations", field: "organizationId" }
+  });
+
+  const organizations = await organizationStore.find();
+  let gyms = 0;
+  for (const organization of organizations) {
+    gyms += await backfill(gymStore.of(organization.id));
+  }
+
+  const counts = {
+    organizations: await backfill(organizationStore),
+    gyms,
+    devices: await backfill(db.backend.collection("devices"))
+  };
+
+  console.log(`Backfilled deletedAt on ${counts.organizations} organizations, ${counts.gyms} gyms, ${counts.devices} devices`);
+} catch (error) {
+  console.error("ERROR:", error.message);
+  process.exitCode = 1;
+} finally {
+  await db.backend.close?.();
+}
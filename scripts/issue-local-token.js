@@ -0,0 +1,38 @@
+// scripts/issue-local-token.js
+// Prints a token for AUTH_PROVIDER=local. Use it as a Bearer token or a "session" cookie.
+//
+//   LOCAL_AUTH_SECRET=dev-secret node scripts/issue-local-token.js --uid alice --email alice@example.com [--super-admin] [--expires-in 3600]
+import dotenv from "dotenv";
+import { signLocalToken } from "../auth/providers/local.js";
+
+dotenv.config({ quiet: true });
+
+const args = process.argv.slice(2);
+
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const uid = option("uid");
+
+if (!uid) {
+  console.error("Usage: node scripts/issue-local-token.js --uid <uid> [--email <email>] [--name <name>] [--super-admin] [--expires-in <seconds>]");
+  process.exit(1);
+}
+
+try {
+  const token = signLocalToken({
+    uid,
+    email: option("email"),
+    name: option("name"),
+    superAdmin: args.includes("--super-admin")
+  }, {
+    expiresIn: option("expires-in") ? parseInt(option("expires-in")) : undefined
+  });
+
+  console.log(token);
+} catch (error) {
+  console.error("ERROR:", error.message);
+  process.exit(1);
+}
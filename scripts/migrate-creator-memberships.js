@@ -0,0 +1,42 @@
+// scripts/migrate-creator-memberships.js
+// One-off migration for organizations created before memberships existed: gives the creator of
+// every organization without any membership record an owner membership. Organizations that
+// already have members are left alone, so creators who were removed or demoted stay that way.
+// Safe to run more than once.
+//
+//   STORAGE_BACKEND=postgres node scripts/migrate-creator-memberships.js [--dry-run]
+import * as db from "../db/index.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+try {
+  let migrated = 0;
+
+  for (const organization of await db.organizations.listAll()) {
+    if (!organization.createdBy) continue;
+    if ((await db.memberships.listByOrganization(organization.id)).length > 0) continue;
+
+    const user = await db.users.get(organization.createdBy);
+    const now = new Date().toISOString();
+
+    if (!dryRun) {
+      await db.memberships.create(organization.id, organization.createdBy, {
+        email: user?.email || "",
+        role: "owner",
+        gymIds: [],
+        createdAt: now,
+        updatedAt: now,
+        createdBy: "migrate-creator-memberships"
+      });
+    }
+
+    console.log(`${dryRun ? "Would add" : "Added"} owner ${organization.createdBy} to organization ${organization.id}`);
+    migrated++;
+  }
+
+  console.log(`${migrated} organizations ${dryRun ? "need" : "got"} an owner membership`);
+  await db.backend.close?.();
+} catch (error) {
+  console.error("ERROR:", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,21 @@
+// scripts/purge-trash.js
+// Permanently removes organizations, gyms and devices that have been in the trash longer than
+// TRASH_RETENTION_DAYS. The server does this periodically; run this from cron instead when
+// TRASH_PURGE_INTERVAL_MINUTES=0.
+//
+//   STORAGE_BACKEND=postgres node scripts/purge-trash.js
+import dotenv from "dotenv";
+import * as db from "../db/index.js";
+import { purgeExpired } from "../services/trash.js";
+
+dotenv.config({ quiet: true });
+
+try {
+  const purged = await purgeExpired();
+  console.log(`Purged ${purged.organizations} organizations, ${purged.gyms} gyms, ${purged.devices} devices`);
+} catch (error) {
+  console.error("ERROR:", error.message);
+  process.exitCode = 1;
+} finally {
+  await db.backend.close?.();
+}
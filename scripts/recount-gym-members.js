@@ -0,0 +1,32 @@
+// scripts/recount-gym-members.js
+// Recomputes every gym's `members` from its active gym members. Gyms created before gym members
+// were tracked hold a hand-entered number until this runs. Safe to run more than once.
+//
+//   STORAGE_BACKEND=firestore node scripts/recount-gym-members.js
+import dotenv from "dotenv";
+import * as db from "../db/index.js";
+
+dotenv.config({ quiet: true });
+
+try {
+  let gyms = 0;
+  let changed = 0;
+
+  for (const organization of await db.backend.collection("organizations").find()) {
+    for (const gym of await db.gyms.listAll(organization.id)) {
+      const members = await db.gymMembers.countActive(organization.id, gym.id);
+      if (gym.members !== members) {
+        await db.gyms.update(organization.id, gym.id, { members });
+        changed++;
+      }
+      gyms++;
+    }
+  }
+
+  console.log(`Recounted members of ${gyms} gyms, ${changed} changed`);
+} catch (error) {
+  console.error("ERROR:", error.message);
+  process.exitCode = 1;
+} finally {
+  await db.backend.close?.();
+}
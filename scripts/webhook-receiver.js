@@ -0,0 +1,44 @@
+// scripts/webhook-receiver.js
+// Local webhook receiver for development. Prints every event and checks its signature when
+// WEBHOOK_SECRET is set. --fail answers 500 to exercise retries.
+//
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [--port 4000] [--fail]
+//
+// The API only delivers to it with WEBHOOK_ALLOW_LOCALHOST=true.
+import crypto from "crypto";
+import http from "http";
+import { sign } from "../services/webhooks.js";
+
+const args = process.argv.slice(2);
+
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const port = parseInt(option("port")) || 4000;
+const fail = args.includes("--fail");
+const secret = process.env.WEBHOOK_SECRET;
+
+const verify = (req, body) => {
+  if (!secret) return "not checked (WEBHOOK_SECRET not set)";
+
+  const expected = Buffer.from(sign(secret, req.headers["x-webhook-timestamp"], body));
+  const received = Buffer.from(req.headers["x-webhook-signature"] || "");
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received) ? "valid" : "INVALID";
+};
+
+http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    console.log(`${new Date().toISOString()} ${req.headers["x-webhook-event"]} ${req.headers["x-webhook-id"]}`);
+    console.log(`  signature: ${verify(req, body)}`);
+    console.log(`  ${body}`);
+
+    res.writeHead(fail ? 500 : 200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ received: !fail }));
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}${fail ? " (failing every request)" : ""}`);
+});
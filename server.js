@@ -8,11 +8,33 @@ import authRoutes from './routes/auth.js';
 import organizationsRoutes from './routes/organizations.js';
 import devicesRoutes from './routes/devices.js';
 import gymsRoutes from './routes/gyms-routes.js';
+import gymMembersRoutes from './routes/gym-members.js';
+import checkInsRoutes from './routes/check-ins.js';
+import plansRoutes from './routes/plans.js';
+import invoicesRoutes from './routes/invoices.js';
+import membersRoutes from './routes/members.js';
+import deviceCommandsRoutes from './routes/device-commands.js';
+import firmwareRoutes from './routes/firmware.js';
+import auditLogsRoutes from './routes/audit-logs.js';
+import webhooksRoutes from './routes/webhooks.js';
+import eventsRoutes from './routes/events.js';
+import docsRoutes from './routes/docs.js';
+import { startBilling } from './services/billing.js';
+import { buildOpenApiDocument, listRoutes } from './services/openapi.js';
+import { startTrashPurge } from './services/trash.js';
+import { startWebhookRetries } from './services/webhooks.js';
 
 dotenv.config();
 
 const app = express();
 
+// Behind a load balancer set TRUST_PROXY (hop count or addresses) so req.ip, which audit
+// logs record, is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -22,7 +44,8 @@ app.use(cors({
 }));
 
 // Body parser
-app.use(express.json());
+// Raised from express's 100kb default so bulk imports fit
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Cookie parser (for session cookies)
@@ -34,23 +57,54 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use('/api', authRoutes);          
-app.use('/api', organizationsRoutes); 
-app.use('/api', devicesRoutes);       
-app.use('/api', gymsRoutes);          
+// Routers mounted under /api, grouped as the API docs list them
+const API_ROUTES = [
+  { tag: 'Authentication', router: authRoutes },
+  { tag: 'Organizations', router: organizationsRoutes },
+  { tag: 'Devices', router: devicesRoutes },
+  { tag: 'Gyms', router: gymsRoutes },
+  { tag: 'Gym Members', router: gymMembersRoutes },
+  { tag: 'Check-ins', router: checkInsRoutes },
+  { tag: 'Plans', router: plansRoutes },
+  { tag: 'Billing', router: invoicesRoutes },
+  { tag: 'Members', router: membersRoutes },
+  { tag: 'Device Commands', router: deviceCommandsRoutes },
+  { tag: 'Firmware', router: firmwareRoutes },
+  { tag: 'Audit Logs', router: auditLogsRoutes },
+  { tag: 'Webhooks', router: webhooksRoutes },
+  { tag: 'Live Events', router: eventsRoutes },
+  { tag: 'Documentation', router: docsRoutes }
+];
+
+for (const { router } of API_ROUTES) {
+  app.use('/api', router);
+}
+
+// The root listing, the 404 handler and the startup log all come from the OpenAPI document
+app.locals.apiDocument = buildOpenApiDocument({
+  title: 'Webapps Middleware API',
+  version: '1.0.0',
+  basePath: '/api',
+  routes: API_ROUTES
+});
+const apiRoutes = listRoutes(app.locals.apiDocument);
+const routeName = ({ method, path }) => `${method} ${path}`;
+
+const routesByTag = {};
+for (const route of apiRoutes) {
+  (routesByTag[route.tag] = routesByTag[route.tag] || []).push(route);
+}
 
 // Root route
 app.get('/', (req, res) => {
   res.json({ 
     message: 'API Server Running',
-    version: '1.0.0',
-    endpoints: {
-      health: '/health',
-      auth: '/api/auth',
-      organizations: '/api/organizations',
-      devices: '/api/organizations/:orgId/devices',
-      gyms: '/api/organizations/:orgId/gyms'
-    }
+    version: app.locals.apiDocument.info.version,
+    docs: '/api/docs',
+    openapi: '/api/openapi.json',
+    endpoints: Object.fromEntries(
+      Object.entries(routesByTag).map(([tag, routes]) => [tag, routes.map(routeName)])
+    )
   });
 });
 
@@ -63,29 +117,7 @@ app.use((req, res) => {
     error: 'Route not found',
     method: req.method,
     path: req.path,
-    availableRoutes: [
-      'POST /api/auth/signup',
-      'POST /api/auth/login',
-      'POST /api/auth/google-login',
-      'GET /api/auth/profile',
-      'POST /api/auth/logout',
-      'GET /api/auth/test',
-      'GET /api/organizations',
-      'POST /api/organizations',
-      'GET /api/organizations/:id',
-      'PUT /api/organizations/:id',
-      'DELETE /api/organizations/:id',
-      'GET /api/organizations/:orgId/devices',
-      'POST /api/organizations/:orgId/devices',
-      'GET /api/organizations/:orgId/devices/:deviceId',
-      'PUT /api/organizations/:orgId/devices/:deviceId',
-      'DELETE /api/organizations/:orgId/devices/:deviceId',
-      'GET /api/organizations/:orgId/gyms',
-      'POST /api/organizations/:orgId/gyms',
-      'GET /api/organizations/:orgId/gyms/:gymId',
-      'PUT /api/organizations/:orgId/gyms/:gymId',
-      'DELETE /api/organizations/:orgId/gyms/:gymId'
-    ]
+    availableRoutes: apiRoutes.map(routeName)
   });
 });
 
@@ -101,37 +133,25 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 
+startTrashPurge();
+startWebhookRetries();
+startBilling();
+
 app.listen(PORT, () => {
   console.log();
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
+  console.log(`Auth provider: ${process.env.AUTH_PROVIDER || 'firebase'}`);
+  console.log(`Storage backend: ${process.env.STORAGE_BACKEND || 'firestore'}`);
   console.log('\nAvailable Routes:');
-  console.log('  Authentication:');
-  console.log('    POST   /api/auth/signup');
-  console.log('    POST   /api/auth/login');
-  console.log('    POST   /api/auth/google-login');
-  console.log('    GET    /api/auth/profile');
-  console.log('    POST   /api/auth/logout');
-  console.log('    GET    /api/auth/test');
-  console.log('\n  Organizations:');
-  console.log('    GET    /api/organizations');
-  console.log('    POST   /api/organizations');
-  console.log('    GET    /api/organizations/:id');
-  console.log('    PUT    /api/organizations/:id');
-  console.log('    DELETE /api/organizations/:id');
-  console.log('\n  Devices:');
-  console.log('    GET    /api/organizations/:orgId/devices');
-  console.log('    POST   /api/organizations/:orgId/devices');
-  console.log('    GET    /api/organizations/:orgId/devices/:deviceId');
-  console.log('    PUT    /api/organizations/:orgId/devices/:deviceId');
-  console.log('    DELETE /api/organizations/:orgId/devices/:deviceId');
-  console.log('\n  Gyms:');
-  console.log('    GET    /api/organizations/:orgId/gyms');
-  console.log('    POST   /api/organizations/:orgId/gyms');
-  console.log('    GET    /api/organizations/:orgId/gyms/:gymId');
-  console.log('    PUT    /api/organizations/:orgId/gyms/:gymId');
-  console.log('    DELETE /api/organizations/:orgId/gyms/:gymId');
+  for (const [tag, routes] of Object.entries(routesByTag)) {
+    console.log(`\n  ${tag}:`);
+    for (const { method, path } of routes) {
+      console.log(`    ${method.padEnd(6)} ${path}`);
+    }
+  }
+  console.log('\nAPI docs: /api/docs');
 });
 
 export default app;
\ No newline at end of file
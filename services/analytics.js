@@ -0,0 +1,200 @@
+// services/analytics.js
+// Dashboard summary of one or all organizations: current totals for gyms, devices, gym members
+// and revenue, the records changed most recently, and how many devices were added and gyms
+// opened per day, week or month of the requested range. Totals describe the present; revenue,
+// recent changes and trends are limited to the range. Records in the trash are left out.
+// Totals come from aggregate queries; only the recent changes and the records created in the
+// range are read.
+import * as db from "../db/index.js";
+import { GYM_MEMBER_STATUSES } from "../db/repositories/gym-members.js";
+import { BILLING_CURRENCY } from "./billing.js";
+
+export const SUMMARY_GROUPS = ["day", "week", "month"];
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 366;
+const DEFAULT_RECENT = 10;
+const MAX_RECENT = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// { value: count } from aggregate() groups; records without the field count as "unknown"
+const countsByGroup = (groups) => {
+  const counts = {};
+  for (const { group, count } of groups) {
+    const key = group ?? "unknown";
+    counts[key] = (counts[key] || 0) + count;
+  }
+  return counts;
+};
+
+// Start of the UTC bucket holding the time, as YYYY-MM-DD; weeks start on Monday
+const bucketStart = (groupBy, time) => {
+  const date = new Date(time);
+  if (groupBy === "month") {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString().slice(0, 10);
+  }
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (groupBy === "week") {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  }
+  return day.toISOString().slice(0, 10);
+};
+
+const nextBucket = (groupBy, bucket) => {
+  const date = new Date(`${bucket}T00:00:00Z`);
+  if (groupBy === "month") date.setUTCMonth(date.getUTCMonth() + 1);
+  else date.setUTCDate(date.getUTCDate() + (groupBy === "week" ? 7 : 1));
+  return date.toISOString().slice(0, 10);
+};
+
+// Reads ?from / ?to (ISO dates or timestamps, default the last 30 days), ?groupBy and ?recent
+export const parseSummaryQuery = ({ from, to, groupBy = "day", recent } = {}) => {
+  if (!SUMMARY_GROUPS.includes(groupBy)) {
+    throw badRequest(`groupBy must be one of: ${SUMMARY_GROUPS.join(", ")}`);
+  }
+
+  const end = to ? Date.parse(to) : Date.now();
+  const start = from ? Date.parse(from) : end - DEFAULT_RANGE_DAYS * DAY_MS;
+  if (isNaN(start) || isNaN(end) || start >= end) {
+    throw badRequest("from and to must be ISO dates or timestamps with from before to");
+  }
+
+  const buckets = [];
+  for (let bucket = bucketStart(groupBy, start); `${bucket}T00:00:00.000Z` < new Date(end).toISOString(); bucket = nextBucket(groupBy, bucket)) {
+    buckets.push(bucket);
+    if (buckets.length > MAX_BUCKETS) {
+      throw badRequest(`The range holds more than ${MAX_BUCKETS} ${groupBy} buckets; use a larger groupBy`);
+    }
+  }
+
+  const requested = parseInt(recent);
+  return {
+    from: new Date(start).toISOString(),
+    to: new Date(end).toISOString(),
+    groupBy,
+    buckets,
+    recent: isNaN(requested) ? DEFAULT_RECENT : Math.min(Math.max(requested, 0), MAX_RECENT)
+  };
+};
+
+// Number of records created in each bucket of the range
+const trend = ({ from, to, groupBy, buckets }, records) => {
+  const counts = new Map(buckets.map(bucket => [bucket, 0]));
+  for (const { createdAt } of records) {
+    if (!createdAt || createdAt < from || createdAt >= to) continue;
+    const bucket = bucketStart(groupBy, createdAt);
+    counts.set(bucket, (counts.get(bucket) || 0) + 1);
+  }
+  return [...counts].map(([bucket, count]) => ({ bucket, count }));
+};
+
+// Records changed within the range, already newest first
+const recentChanges = (entityType, records, describe) => records.map(record => ({
+  entityType,
+  id: record.id,
+  organizationId: record.organizationId || null,
+  ...describe(record),
+  change: record.createdAt === record.updatedAt ? "created" : "updated",
+  changedAt: record.updatedAt
+}));
+
+// organizationIds: the organizations to summarize, or null for every organization (devices then
+// include unassigned ones). members / revenue: false leaves out sections the caller can't see.
+export const summarize = async ({ organizationIds = null, members = true, revenue = true }, query) => {
+  const scope = { organizationIds };
+
+  // Gyms and devices leave with a deleted organization (see services/organization-deletion.js),
+  // its gym members and invoices don't: those of organizations in the trash are taken back out
+  const trashedIds = organizationIds === null ? (await db.organizations.listTrashed()).map(organization => organization.id) : [];
+  const trashedScope = { organizationIds: trashedIds };
+
+  const [organizationCount, gymTotals, devicesByType, devicesByStatus] = await Promise.all([
+    organizationIds === null ? db.organizations.countActive() : organizationIds.length,
+    db.gyms.totalsByStatus(scope),
+    db.devices.countBy("type", scope),
+    db.devices.countBy("status", scope)
+  ]);
+
+  const summary = {
+    range: { from: query.from, to: query.to, groupBy: query.groupBy },
+    organizations: organizationCount,
+    gyms: {
+      total: gymTotals.reduce((sum, { count }) => sum + count, 0),
+      byStatus: countsByGroup(gymTotals),
+      totalCapacity: gymTotals.reduce((sum, totals) => sum + totals.sum.capacity, 0)
+    },
+    devices: {
+      total: devicesByType.reduce((sum, { count }) => sum + count, 0),
+      byType: countsByGroup(devicesByType),
+      byStatus: countsByGroup(devicesByStatus),
+      unassigned: organizationIds === null
+        ? countsByGroup(await db.devices.countBy("organizationId")).unknown || 0
+        : 0
+    },
+    members: null,
+    revenue: null
+  };
+
+  if (members) {
+    const byStatus = Object.fromEntries(GYM_MEMBER_STATUSES.map(status => [status, 0]));
+    for (const { group, count } of await db.gymMembers.countByStatus(scope)) {
+      byStatus[group ?? "unknown"] = (byStatus[group ?? "unknown"] || 0) + count;
+    }
+    if (trashedIds.length > 0) {
+      for (const { group, count } of await db.gymMembers.countByStatus(trashedScope)) {
+        byStatus[group ?? "unknown"] -= count;
+      }
+    }
+    summary.members = {
+      total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      active: byStatus.active,
+      byStatus
+    };
+  }
+
+  if (revenue) {
+    const paid = await db.invoices.totalPaidBetween(query.from, query.to, scope);
+    if (trashedIds.length > 0) {
+      const trashed = await db.invoices.totalPaidBetween(query.from, query.to, trashedScope);
+      paid.count -= trashed.count;
+      paid.amount -= trashed.amount;
+    }
+    summary.revenue = {
+      currency: BILLING_CURRENCY,
+      thisMonth: roundAmount(gymTotals.reduce((sum, totals) => sum + totals.sum.monthlyRevenue, 0)),
+      inRange: roundAmount(paid.amount),
+      paidInvoices: paid.count
+    };
+  }
+
+  const recent = { ...scope, limit: query.recent };
+  const [changedGyms, changedDevices, createdGyms, createdDevices] = await Promise.all([
+    query.recent > 0 ? db.gyms.listChangedBetween(query.from, query.to, recent) : [],
+    query.recent > 0 ? db.devices.listChangedBetween(query.from, query.to, recent) : [],
+    db.gyms.listCreatedBetween(query.from, query.to, scope),
+    db.devices.listCreatedBetween(query.from, query.to, scope)
+  ]);
+
+  summary.recentChanges = [
+    ...recentChanges("gym", changedGyms, gym => ({ name: gym.name, status: gym.status })),
+    ...recentChanges("device", changedDevices, device => ({ name: device.deviceName, status: device.status }))
+  ]
+    .sort((a, b) => b.changedAt.localeCompare(a.changedAt))
+    .slice(0, query.recent);
+
+  summary.trends = {
+    devicesAdded: trend(query, createdDevices),
+    gymsOpened: trend(query, createdGyms)
+  };
+
+  return summary;
+};
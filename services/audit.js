@@ -0,0 +1,60 @@
+// services/audit.js
+// Records who changed what. Each entry stores the actor, the target entity, a field-level
+// diff of the change and the request's IP and user agent. Audit failures are logged but
+// never fail the request that triggered them.
+import * as db from "../db/index.js";
+
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// { field: { from, to } } for every top-level field that differs
+export const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (field === "id") continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (!isSame(from, to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+const actorFrom = (req) => {
+  if (req?.user) return { actorType: "user", performedBy: req.user.uid, actorEmail: req.user.email || null };
+  if (req?.device) return { actorType: "device", performedBy: req.device.id, actorEmail: null };
+  return { actorType: "anonymous", performedBy: null, actorEmail: null };
+};
+
+// actor overrides the request's caller, e.g. for login events where req.user is not set yet.
+// req may be null for changes made outside a request, such as scheduled jobs.
+export const recordAudit = async (req, {
+  action,
+  entityType,
+  entityId = null,
+  organizationId = null,
+  before = null,
+  after = null,
+  metadata = null,
+  actor = null
+}) => {
+  try {
+    await db.auditLogs.record({
+      action,
+      entityType,
+      entityId,
+      organizationId,
+      ...actorFrom(req),
+      ...actor,
+      changes: diff(before, after),
+      metadata,
+      ip: req?.ip || null,
+      userAgent: req?.get("user-agent") || null
+    });
+  } catch (error) {
+    console.error(`Failed to record audit log for ${action}:`, error.message);
+  }
+};
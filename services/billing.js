@@ -0,0 +1,358 @@
+// services/billing.js
+// Gym member billing. Each member is billed in periods of their plan's billing interval, counted
+// from billingAnchorDate; nextBillingDate is the start of the next period to invoice.
+// generateInvoices() opens one invoice per due period, priced at the plan's current price. The
+// server runs it for every organization every BILLING_RUN_INTERVAL_MINUTES (default 60, 0
+// disables it), along with expiring memberships past their endDate. A gym's monthlyRevenue is
+// the total of its invoices paid this (UTC) month.
+import * as db from "../db/index.js";
+import { BILLING_INTERVALS } from "../db/repositories/plans.js";
+import { invoiceId } from "../db/repositories/invoices.js";
+import { getPaymentProcessor } from "../payments/index.js";
+import { recordAudit } from "./audit.js";
+import { emitEvent } from "./events.js";
+import { expireMemberships, today } from "./gym-members.js";
+
+export const BILLING_CURRENCY = (process.env.BILLING_CURRENCY || "USD").toUpperCase();
+
+export const INVOICE_DUE_DAYS = parseInt(process.env.INVOICE_DUE_DAYS ?? "14");
+
+const RUN_INTERVAL_MINUTES = parseInt(process.env.BILLING_RUN_INTERVAL_MINUTES ?? "60");
+
+// A member who fell far behind (e.g. the job was off) is caught up over several runs
+const MAX_PERIODS_PER_RUN = 12;
+
+const REVENUE_MAX_MONTHS = 36;
+
+// A payment lock older than this was left by a request that died and may be taken over
+const PAYMENT_LOCK_MS = 2 * 60 * 1000;
+
+const SYSTEM_ACTOR = { actorType: "system", performedBy: "billing", actorEmail: null };
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Adds months to a YYYY-MM-DD date, keeping the day of month where it exists
+// (2024-01-31 + 1 month is 2024-02-29)
+export const addMonths = (date, months) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+const addDays = (date, days) => {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+const periodStart = ({ billingAnchorDate, billingIntervalMonths }, cycle) =>
+  addMonths(billingAnchorDate, cycle * billingIntervalMonths);
+
+// Billing fields of a member starting (or restarting) billing on `from` with the plan
+export const startBillingFields = (plan, from) => ({
+  billingAnchorDate: from,
+  billingIntervalMonths: BILLING_INTERVALS[plan.billingInterval],
+  billingCycles: 0,
+  nextBillingDate: from
+});
+
+// Billing fields to store after a member's plan or status changes, or null when billing carries
+// on as before. A new billing interval applies from the next billing date; a member coming back
+// to active is not billed for the time they were away.
+export const rebillFields = (member, updated, plan) => {
+  if (updated.status !== "active" || !plan) return null;
+
+  const interval = BILLING_INTERVALS[plan.billingInterval];
+  const resumed = member.status !== "active" && member.nextBillingDate < today();
+
+  if (!member.billingAnchorDate || resumed) {
+    return startBillingFields(plan, [updated.startDate, today()].sort().pop());
+  }
+  if (interval !== member.billingIntervalMonths) {
+    return startBillingFields(plan, member.nextBillingDate);
+  }
+  return null;
+};
+
+// Problem with the member's plan, or null: it must exist, be on sale and cover the home gym
+export const checkPlan = (plan, gymId, { allowInactive = false } = {}) => {
+  if (!plan) {
+    return { field: "planId", code: "not_found", message: "planId does not match a plan of this organization" };
+  }
+  if (!plan.active && !allowInactive) {
+    return { field: "planId", code: "inactive", message: `The ${plan.name} plan is no longer offered` };
+  }
+  if (!includesGym(plan, gymId)) {
+    return { field: "planId", code: "gym_not_included", message: `The ${plan.name} plan does not include gym ${gymId}` };
+  }
+  return null;
+};
+
+export const includesGym = (plan, gymId) => !plan.gymIds?.length || plan.gymIds.includes(gymId);
+
+// Carries a plan change over to the plan's members: a new name is copied to their plan field and
+// a new billing interval applies from each member's next billing date, as it does when a member
+// switches plans. Resolves to the number of members updated.
+export const updatePlanMembers = async (orgId, plan, updatedPlan) => {
+  const renamed = updatedPlan.name !== plan.name;
+  const rebilled = updatedPlan.billingInterval !== plan.billingInterval;
+  if (!renamed && !rebilled) return 0;
+
+  const members = await db.gymMembers.listByPlan(orgId, plan.id);
+  for (const member of members) {
+    await db.gymMembers.update(orgId, member.id, {
+      ...(renamed && { plan: updatedPlan.name }),
+      ...(rebilled && member.billingAnchorDate && startBillingFields(updatedPlan, member.nextBillingDate)),
+      updatedAt: new Date().toISOString()
+    });
+  }
+  return members.length;
+};
+
+// Opens the invoices of every period that started on or before asOf (YYYY-MM-DD). Members are
+// not billed past their endDate; the last period is cut short at it. Resolves to the invoices
+// created.
+export const generateInvoices = async (orgId, { asOf = today() } = {}) => {
+  const created = [];
+  const plans = new Map();
+  const issuedAt = new Date().toISOString();
+
+  for (const member of await db.gymMembers.listDueForBilling(orgId, asOf)) {
+    if (!plans.has(member.planId)) {
+      plans.set(member.planId, await db.plans.get(orgId, member.planId));
+    }
+    const plan = plans.get(member.planId);
+    if (!plan) continue;
+
+    let cycle = member.billingCycles || 0;
+    for (let period = 0; period < MAX_PERIODS_PER_RUN; period++) {
+      const start = periodStart(member, cycle);
+      if (start > asOf || (member.endDate && start > member.endDate)) break;
+
+      const end = addDays(periodStart(member, cycle + 1), -1);
+      const id = invoiceId(member.id, start);
+
+      if (!(await db.invoices.get(orgId, id))) {
+        const invoice = await db.invoices.create(orgId, {
+          number: `INV-${start.replace(/-/g, "")}-${member.id.slice(0, 8).toUpperCase()}`,
+          memberId: member.id,
+          memberName: member.name,
+          memberEmail: member.email || "",
+          planId: plan.id,
+          planName: plan.name,
+          gymId: member.homeGymId,
+          periodStart: start,
+          periodEnd: member.endDate && member.endDate < end ? member.endDate : end,
+          amount: roundAmount(plan.price),
+          currency: BILLING_CURRENCY,
+          status: "open",
+          dueDate: addDays([start, asOf].sort().pop(), INVOICE_DUE_DAYS),
+          issuedAt,
+          paidAt: null,
+          payments: [],
+          paymentLockedAt: null
+        }, id);
+
+        created.push(invoice);
+        await emitEvent(orgId, "invoice.created", { invoice });
+      }
+      cycle++;
+    }
+
+    await db.gymMembers.update(orgId, member.id, {
+      billingCycles: cycle,
+      nextBillingDate: periodStart(member, cycle)
+    });
+  }
+
+  return created;
+};
+
+// Recomputes the gym's monthlyRevenue from the invoices paid this month
+export const refreshRevenue = async (orgId, gymId, now = new Date()) => {
+  const gym = await db.gyms.get(orgId, gymId, { includeDeleted: true });
+  if (!gym) return null;
+
+  const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  const paid = await db.invoices.listPaidBetween(orgId, from.toISOString(), to.toISOString(), { gymId });
+
+  const monthlyRevenue = roundAmount(paid.reduce((sum, invoice) => sum + invoice.amount, 0));
+  if (gym.monthlyRevenue === monthlyRevenue) return gym;
+
+  const updatedGym = await db.gyms.update(orgId, gymId, { monthlyRevenue, updatedAt: new Date().toISOString() });
+  if (!updatedGym.deletedAt) {
+    await emitEvent(orgId, "gym.updated", { gym: updatedGym });
+  }
+  return updatedGym;
+};
+
+// Resolves to { data, payment } or { problem } holding the status and response body (with the
+// invoice when a card payment was declined). Card payments are charged through the payment
+// processor; cash and bank transfers are recorded as received. The invoice is locked while the
+// payment is taken, so parallel requests can't both pay it.
+export const recordPayment = async (invoice, { method, paymentToken, reference, performedBy }) => {
+  const orgId = invoice.organizationId;
+
+  if (invoice.status !== "open") {
+    return { problem: { status: 409, error: `Invoice is ${invoice.status}` } };
+  }
+  if (method === "card" && !paymentToken) {
+    return {
+      problem: {
+        status: 400,
+        error: "Validation failed",
+        message: "paymentToken is required for card payments",
+        details: [{ field: "paymentToken", code: "required", message: "paymentToken is required for card payments" }]
+      }
+    };
+  }
+
+  const currentLock = invoice.paymentLockedAt ?? null;
+  const lockedAt = new Date().toISOString();
+  const locked = !(currentLock && Date.now() - Date.parse(currentLock) < PAYMENT_LOCK_MS) &&
+    await db.invoices.lockForPayment(orgId, invoice.id, currentLock, lockedAt);
+  if (!locked) {
+    return { problem: { status: 409, error: "Another payment for this invoice is in progress" } };
+  }
+
+  let charge = null;
+  if (method === "card") {
+    try {
+      charge = await getPaymentProcessor().charge({
+        amount: locked.amount,
+        currency: locked.currency,
+        paymentToken,
+        description: `Invoice ${locked.number}`,
+        idempotencyKey: `${locked.id}_${locked.payments.length}`
+      });
+    } catch (error) {
+      await db.invoices.completePayment(orgId, invoice.id, lockedAt, {});
+      throw error;
+    }
+  }
+
+  const createdAt = new Date().toISOString();
+  const payment = {
+    method,
+    amount: locked.amount,
+    currency: locked.currency,
+    status: charge ? charge.status : "succeeded",
+    chargeId: charge?.id || null,
+    failureMessage: charge?.failureMessage || null,
+    reference: reference || null,
+    createdAt,
+    createdBy: performedBy
+  };
+
+  const paid = payment.status === "succeeded";
+  const data = await db.invoices.completePayment(orgId, invoice.id, lockedAt, {
+    payments: [...locked.payments, payment],
+    ...(paid && { status: "paid", paidAt: createdAt })
+  });
+  if (!data) {
+    throw new Error(`Lost the payment lock of invoice ${invoice.id}${payment.chargeId ? ` after charge ${payment.chargeId}` : ""}`);
+  }
+
+  if (!paid) {
+    await emitEvent(orgId, "invoice.payment_failed", { invoice: data, payment });
+    return {
+      problem: { status: 402, error: "Payment failed", message: payment.failureMessage, data }
+    };
+  }
+
+  await emitEvent(orgId, "invoice.paid", { invoice: data, payment });
+  await refreshRevenue(orgId, invoice.gymId);
+
+  return { data, payment };
+};
+
+// Paid revenue per UTC month, oldest first, over the last `months` months including this one
+export const getRevenue = async (orgId, { months = 12, now = new Date() } = {}) => {
+  const count = Math.min(Math.max(parseInt(months) || 12, 1), REVENUE_MAX_MONTHS);
+
+  const buckets = [];
+  for (let offset = count - 1; offset >= 0; offset--) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset, 1));
+    buckets.push({ month: start.toISOString().slice(0, 7), revenue: 0, paidInvoices: 0, byGym: {} });
+  }
+
+  const from = `${buckets[0].month}-01T00:00:00.000Z`;
+  const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+  const byMonth = new Map(buckets.map(bucket => [bucket.month, bucket]));
+
+  for (const invoice of await db.invoices.listPaidBetween(orgId, from, to)) {
+    const bucket = byMonth.get(invoice.paidAt.slice(0, 7));
+    if (!bucket) continue;
+    bucket.revenue += invoice.amount;
+    bucket.paidInvoices++;
+    bucket.byGym[invoice.gymId] = (bucket.byGym[invoice.gymId] || 0) + invoice.amount;
+  }
+
+  return {
+    currency: BILLING_CURRENCY,
+    months: buckets.map(bucket => ({
+      ...bucket,
+      revenue: roundAmount(bucket.revenue),
+      byGym: Object.fromEntries(Object.entries(bucket.byGym).map(([gymId, amount]) => [gymId, roundAmount(amount)]))
+    })),
+    total: roundAmount(buckets.reduce((sum, bucket) => sum + bucket.revenue, 0))
+  };
+};
+
+// One billing run for every organization: opens due invoices, expires memberships past their
+// endDate (after billing their last period) and brings every gym's monthlyRevenue up to date
+// (it drops back to 0 when a new month starts)
+export const runBilling = async () => {
+  let invoices = 0;
+  let expired = 0;
+
+  for (const organization of await db.organizations.listActive()) {
+    const created = await generateInvoices(organization.id);
+    if (created.length) {
+      await recordAudit(null, {
+        action: "generate_invoices",
+        entityType: "invoice",
+        organizationId: organization.id,
+        after: { asOf: today(), invoiceIds: created.map(invoice => invoice.id) },
+        actor: SYSTEM_ACTOR
+      });
+      invoices += created.length;
+    }
+
+    expired += (await expireMemberships(organization.id, today(), SYSTEM_ACTOR)).length;
+
+    for (const gym of await db.gyms.listAll(organization.id)) {
+      await refreshRevenue(organization.id, gym.id);
+    }
+  }
+
+  return { invoices, expired };
+};
+
+export const startBilling = () => {
+  if (!RUN_INTERVAL_MINUTES) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { invoices, expired } = await runBilling();
+      if (invoices || expired) {
+        console.log(`Billing run opened ${invoices} invoices and expired ${expired} memberships`);
+      }
+    } catch (error) {
+      console.error("Error running billing:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Don't keep the process alive just for the billing timer
+  const timer = setInterval(run, RUN_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
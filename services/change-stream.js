@@ -0,0 +1,72 @@
+// services/change-stream.js
+// In-process fan-out of change events to live subscribers (GET /organizations/:orgId/events).
+// The last SSE_REPLAY_BUFFER_SIZE events of each organization are kept so a client reconnecting
+// with Last-Event-ID gets what it missed. Event IDs are "<boot id>-<sequence>"; an ID from
+// before a restart, or one that has already left the buffer, can't be replayed and the client
+// is told to resync instead. Subscribers only see events published by the same process.
+import crypto from "crypto";
+
+const BUFFER_SIZE = parseInt(process.env.SSE_REPLAY_BUFFER_SIZE) || 500;
+
+const BOOT_ID = crypto.randomBytes(4).toString("hex");
+
+// organizationId -> { sequence, buffer, listeners }
+const streams = new Map();
+
+const streamFor = (orgId) => {
+  if (!streams.has(orgId)) {
+    streams.set(orgId, { sequence: 0, buffer: [], listeners: new Set() });
+  }
+  return streams.get(orgId);
+};
+
+const sequenceOf = (eventId) => {
+  const [bootId, sequence] = String(eventId).split("-");
+  const parsed = parseInt(sequence);
+  return bootId === BOOT_ID && !isNaN(parsed) ? parsed : null;
+};
+
+export const publish = (orgId, type, data) => {
+  const stream = streamFor(orgId);
+  stream.sequence++;
+
+  const event = {
+    id: `${BOOT_ID}-${stream.sequence}`,
+    type,
+    organizationId: orgId,
+    createdAt: new Date().toISOString(),
+    data
+  };
+
+  stream.buffer.push(event);
+  if (stream.buffer.length > BUFFER_SIZE) stream.buffer.shift();
+
+  for (const listener of stream.listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error("Change stream listener failed:", error.message);
+    }
+  }
+
+  return event;
+};
+
+// Returns a function that unsubscribes the listener
+export const subscribe = (orgId, listener) => {
+  const stream = streamFor(orgId);
+  stream.listeners.add(listener);
+  return () => stream.listeners.delete(listener);
+};
+
+// Events published after lastEventId, or null when they can't be replayed
+export const eventsSince = (orgId, lastEventId) => {
+  const sequence = sequenceOf(lastEventId);
+  const stream = streams.get(orgId);
+  if (sequence === null || !stream || sequence > stream.sequence) return null;
+
+  const oldest = stream.buffer.length ? sequenceOf(stream.buffer[0].id) : stream.sequence + 1;
+  if (sequence < oldest - 1) return null;
+
+  return stream.buffer.filter(event => sequenceOf(event.id) > sequence);
+};
@@ -0,0 +1,350 @@
+// services/check-ins.js
+// Gym visits. A check-in opens a visit and the member's check-out closes it; a gym's occupancy
+// is its number of open visits. Visits left open longer than CHECK_IN_MAX_HOURS (default 12),
+// e.g. after a missed check-out, stop counting and are closed when the member checks in again.
+// A check-in that would exceed the gym's capacity is rejected, or accepted with a warning when
+// the gym's capacityPolicy is "warn". Members can only check in at gyms their plan includes.
+// A check-in claims the member, and the gym when it has a capacity, until its visit is created,
+// so check-ins arriving together (two desks, a gate and the desk) are checked one at a time.
+import * as db from "../db/index.js";
+import { includesGym } from "./billing.js";
+import { emitEvent } from "./events.js";
+import { effectiveStatus, today } from "./gym-members.js";
+
+export const CHECK_IN_MAX_HOURS = parseInt(process.env.CHECK_IN_MAX_HOURS) || 12;
+
+export const ATTENDANCE_GROUPS = ["hour", "day", "hourOfDay", "dayOfWeek"];
+
+const ATTENDANCE_MAX_DAYS = 366;
+
+// Timestamps a little ahead of the server's clock are accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// A claim older than this was left by a request that died and may be taken over
+const CHECK_IN_CLAIM_MS = 30 * 1000;
+
+// How long a check-in waits for another one at the same gym to finish
+const GYM_CLAIM_ATTEMPTS = 20;
+const GYM_CLAIM_RETRY_MS = 25;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+const staleCutoff = (now = Date.now()) => new Date(now - CHECK_IN_MAX_HOURS * HOUR_MS).toISOString();
+
+const describeOccupancy = (gym, occupancy) => ({
+  gymId: gym.id,
+  gymName: gym.name,
+  occupancy,
+  capacity: gym.capacity ?? null,
+  available: gym.capacity ? Math.max(gym.capacity - occupancy, 0) : null,
+  utilization: gym.capacity ? Math.round((occupancy / gym.capacity) * 1000) / 10 : null,
+  atCapacity: !!gym.capacity && occupancy >= gym.capacity
+});
+
+export const getOccupancy = async (gym) =>
+  describeOccupancy(gym, await db.checkIns.countOpen(gym.organizationId, gym.id, staleCutoff()));
+
+// Occupancy of every gym of the organization, from a single query
+export const getOrganizationOccupancy = async (orgId, gyms) => {
+  const open = await db.checkIns.listOpen(orgId, staleCutoff());
+  const counts = new Map();
+  for (const checkIn of open) {
+    counts.set(checkIn.gymId, (counts.get(checkIn.gymId) || 0) + 1);
+  }
+  return gyms.map(gym => describeOccupancy(gym, counts.get(gym.id) || 0));
+};
+
+const notifyOccupancy = (gym, occupancy) =>
+  emitEvent(gym.organizationId, "gym.occupancy_changed", describeOccupancy(gym, occupancy));
+
+const resolveTime = (occurredAt) => {
+  if (!occurredAt) return { time: new Date().toISOString() };
+  if (Date.parse(occurredAt) > Date.now() + CLOCK_SKEW_MS) {
+    return {
+      problem: {
+        status: 400,
+        error: "Validation failed",
+        details: [{ field: "occurredAt", code: "in_future", message: "occurredAt cannot be in the future" }]
+      }
+    };
+  }
+  return { time: new Date(occurredAt).toISOString() };
+};
+
+// Resolves to { data, occupancy, warning } or { problem } holding the status and response body.
+// source is "manual" (front desk, performedBy is the user) or "device" (deviceId).
+export const checkIn = async (gym, { memberId, occurredAt, source, deviceId = null, performedBy = null }) => {
+  const orgId = gym.organizationId;
+
+  const { time, problem } = resolveTime(occurredAt);
+  if (problem) return { problem };
+
+  const member = await db.gymMembers.get(orgId, memberId);
+  if (!member) {
+    return { problem: { status: 404, error: "Gym member not found" } };
+  }
+  const status = effectiveStatus(member, today());
+  if (status !== "active") {
+    return {
+      problem: {
+        status: 409,
+        error: "Membership is not active",
+        message: `The membership is ${status}`
+      }
+    };
+  }
+
+  const plan = member.planId ? await db.plans.get(orgId, member.planId) : null;
+  if (plan && !includesGym(plan, gym.id)) {
+    return {
+      problem: {
+        status: 409,
+        error: "Plan does not include this gym",
+        message: `The ${plan.name} plan does not give access to gym ${gym.id}`
+      }
+    };
+  }
+
+  const memberClaim = await claim(current => db.gymMembers.claimCheckIn(orgId, memberId, current, new Date().toISOString()), member);
+  if (!memberClaim) {
+    return { problem: { status: 409, error: "Member is already being checked in" } };
+  }
+
+  try {
+    return await startVisit(gym, member, { time, source, deviceId, performedBy });
+  } finally {
+    await db.gymMembers.releaseCheckIn(orgId, memberId, memberClaim.checkInClaimedAt);
+  }
+};
+
+// Takes over the record's check-in claim unless another check-in holds it. Resolves to the
+// claimed record, or null.
+const claim = async (claimWith, record) => {
+  const current = record.checkInClaimedAt ?? null;
+  if (current && Date.now() - Date.parse(current) < CHECK_IN_CLAIM_MS) return null;
+  return claimWith(current);
+};
+
+// Claims the gym, waiting a moment for a check-in that holds it
+const claimGym = async (gym) => {
+  for (let attempt = 0; attempt < GYM_CLAIM_ATTEMPTS; attempt++) {
+    const current = attempt === 0 ? gym : await db.gyms.get(gym.organizationId, gym.id);
+    if (!current) return null;
+
+    const claimed = await claim(expected => db.gyms.claimCheckIn(gym.organizationId, gym.id, expected, new Date().toISOString()), current);
+    if (claimed) return claimed;
+
+    await new Promise(resolve => setTimeout(resolve, GYM_CLAIM_RETRY_MS));
+  }
+  return null;
+};
+
+// The rest of checkIn(), once the member is claimed
+const startVisit = async (gym, member, { time, source, deviceId, performedBy }) => {
+  const orgId = gym.organizationId;
+
+  const openVisit = await db.checkIns.findOpenByMember(orgId, member.id);
+  if (openVisit) {
+    if (openVisit.checkedInAt >= staleCutoff()) {
+      return {
+        problem: {
+          status: 409,
+          error: "Member is already checked in",
+          message: `Checked in at gym ${openVisit.gymId} since ${openVisit.checkedInAt}`,
+          checkInId: openVisit.id
+        }
+      };
+    }
+    // Missed check-out: the visit counts as having lasted the maximum
+    await db.checkIns.update(orgId, openVisit.id, {
+      checkedOutAt: new Date(Date.parse(openVisit.checkedInAt) + CHECK_IN_MAX_HOURS * HOUR_MS).toISOString(),
+      autoCheckedOut: true
+    });
+  }
+
+  // Without a capacity there is nothing to count against
+  if (!gym.capacity) {
+    return admit(gym, member, { time, source, deviceId, performedBy });
+  }
+
+  const gymClaim = await claimGym(gym);
+  if (!gymClaim) {
+    return { problem: { status: 503, error: "Gym is busy", message: "Other check-ins at this gym are in progress; try again" } };
+  }
+
+  try {
+    return await admit(gym, member, { time, source, deviceId, performedBy });
+  } finally {
+    await db.gyms.releaseCheckIn(orgId, gym.id, gymClaim.checkInClaimedAt);
+  }
+};
+
+// Opens the visit unless the gym is at capacity
+const admit = async (gym, member, { time, source, deviceId, performedBy }) => {
+  const orgId = gym.organizationId;
+
+  const occupancy = await db.checkIns.countOpen(orgId, gym.id, staleCutoff());
+  let warning = null;
+
+  if (gym.capacity && occupancy >= gym.capacity) {
+    if (gym.capacityPolicy === "warn") {
+      warning = `The gym is at capacity (${occupancy} of ${gym.capacity})`;
+    } else {
+      return {
+        problem: {
+          status: 409,
+          error: "Gym is at capacity",
+          message: `${occupancy} of ${gym.capacity} places are taken`,
+          occupancy,
+          capacity: gym.capacity
+        }
+      };
+    }
+  }
+
+  const data = await db.checkIns.create(orgId, {
+    gymId: gym.id,
+    memberId: member.id,
+    memberName: member.name,
+    homeGymId: member.homeGymId,
+    checkedInAt: time,
+    checkedOutAt: null,
+    source,
+    deviceId,
+    overCapacity: !!warning,
+    createdBy: performedBy,
+    createdAt: new Date().toISOString()
+  });
+
+  await notifyOccupancy(gym, occupancy + 1);
+
+  return { data, occupancy: occupancy + 1, warning };
+};
+
+// Closes the member's open visit at this gym. Resolves like checkIn().
+export const checkOut = async (gym, { memberId, occurredAt, deviceId = null, performedBy = null }) => {
+  const orgId = gym.organizationId;
+
+  const { time, problem } = resolveTime(occurredAt);
+  if (problem) return { problem };
+
+  const openVisit = await db.checkIns.findOpenByMember(orgId, memberId);
+  if (!openVisit || openVisit.gymId !== gym.id) {
+    return { problem: { status: 409, error: "Member is not checked in at this gym" } };
+  }
+
+  const data = await db.checkIns.update(orgId, openVisit.id, {
+    // A check-out can't come before its check-in
+    checkedOutAt: time > openVisit.checkedInAt ? time : openVisit.checkedInAt,
+    checkedOutBy: performedBy,
+    checkOutDeviceId: deviceId
+  });
+
+  const occupancy = await db.checkIns.countOpen(orgId, gym.id, staleCutoff());
+  await notifyOccupancy(gym, occupancy);
+
+  return { data, occupancy, warning: null };
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Calendar parts of an instant in the time zone
+const localParts = (formatter, time) => {
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(({ type, value }) => [type, value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour),
+    weekday: parts.weekday.toLowerCase()
+  };
+};
+
+const bucketKey = (groupBy, parts) => {
+  switch (groupBy) {
+    case "hour": return `${parts.date}T${String(parts.hour).padStart(2, "0")}:00`;
+    case "day": return parts.date;
+    case "hourOfDay": return parts.hour;
+    default: return parts.weekday;
+  }
+};
+
+// Check-ins per bucket between from and to (ISO timestamps, to excluded), in the given IANA
+// time zone. hour / day are consecutive periods; hourOfDay / dayOfWeek add up all the periods
+// in the range, for spotting busy times.
+export const getAttendance = async (gym, { from, to, groupBy = "hourOfDay", timezone = "UTC" }) => {
+  if (!ATTENDANCE_GROUPS.includes(groupBy)) {
+    throw badRequest(`groupBy must be one of: ${ATTENDANCE_GROUPS.join(", ")}`);
+  }
+
+  const end = to ? Date.parse(to) : Date.now();
+  const start = from ? Date.parse(from) : end - 30 * DAY_MS;
+  if (isNaN(start) || isNaN(end) || start >= end) {
+    throw badRequest("from and to must be ISO timestamps with from before to");
+  }
+  if (end - start > ATTENDANCE_MAX_DAYS * DAY_MS) {
+    throw badRequest(`The range can span at most ${ATTENDANCE_MAX_DAYS} days`);
+  }
+
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      weekday: "long"
+    });
+  } catch {
+    throw badRequest(`Unknown time zone "${timezone}"`);
+  }
+
+  // Every bucket of the range, including empty ones
+  const buckets = new Map();
+  const addBucket = (key) => {
+    if (!buckets.has(key)) buckets.set(key, { bucket: key, checkIns: 0, totalMinutes: 0, completedVisits: 0 });
+    return buckets.get(key);
+  };
+  if (groupBy === "hourOfDay") {
+    for (let hour = 0; hour < 24; hour++) addBucket(hour);
+  } else if (groupBy === "dayOfWeek") {
+    WEEKDAYS.forEach(addBucket);
+  } else {
+    for (let time = start - (start % HOUR_MS); time < end; time += HOUR_MS) {
+      addBucket(bucketKey(groupBy, localParts(formatter, Math.max(time, start))));
+    }
+  }
+
+  const visits = await db.checkIns.listBetween(
+    gym.organizationId, gym.id, new Date(start).toISOString(), new Date(end).toISOString()
+  );
+
+  for (const visit of visits) {
+    const bucket = addBucket(bucketKey(groupBy, localParts(formatter, visit.checkedInAt)));
+    bucket.checkIns++;
+    if (visit.checkedOutAt && !visit.autoCheckedOut) {
+      bucket.completedVisits++;
+      bucket.totalMinutes += (Date.parse(visit.checkedOutAt) - Date.parse(visit.checkedInAt)) / 60000;
+    }
+  }
+
+  return {
+    gymId: gym.id,
+    from: new Date(start).toISOString(),
+    to: new Date(end).toISOString(),
+    timezone,
+    groupBy,
+    totalCheckIns: visits.length,
+    buckets: [...buckets.values()].map(({ totalMinutes, completedVisits, ...bucket }) => ({
+      ...bucket,
+      averageVisitMinutes: completedVisits ? Math.round(totalMinutes / completedVisits) : null
+    }))
+  };
+};
@@ -0,0 +1,129 @@
+// services/device-commands.js
+// Remote commands queued for devices. A command moves through
+//   pending -> delivered (device pulled it) -> acknowledged (device started it)
+//           -> succeeded | failed
+// and ends as timed_out when it is not finished before its expiresAt. Timeouts are
+// applied lazily whenever commands are read, so no background job is needed.
+import * as db from "../db/index.js";
+
+export const COMMAND_TYPES = ["reboot", "sync_config", "lock", "unlock", "custom"];
+
+export const COMMAND_STATUSES = ["pending", "delivered", "acknowledged", "succeeded", "failed", "timed_out"];
+
+const OPEN_STATUSES = ["pending", "delivered", "acknowledged"];
+
+// Statuses a device may report when acknowledging a command
+export const ACK_STATUSES = ["acknowledged", "succeeded", "failed"];
+
+export const COMMAND_TIMEOUT_SECONDS = parseInt(process.env.DEVICE_COMMAND_TIMEOUT_SECONDS) || 3600;
+
+const MAX_COMMAND_TIMEOUT_SECONDS = 7 * 24 * 60 * 60;
+
+export const validateCommand = ({ type, payload, timeoutSeconds }) => {
+  const errors = [];
+
+  if (!COMMAND_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${COMMAND_TYPES.join(", ")}`);
+  }
+  if (type === "custom" && (payload === undefined || payload === null)) {
+    errors.push("payload is required for custom commands");
+  }
+  if (payload !== undefined && payload !== null && (typeof payload !== "object" || Array.isArray(payload))) {
+    errors.push("payload must be an object");
+  }
+  if (timeoutSeconds !== undefined &&
+      (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > MAX_COMMAND_TIMEOUT_SECONDS)) {
+    errors.push(`timeoutSeconds must be an integer between 1 and ${MAX_COMMAND_TIMEOUT_SECONDS}`);
+  }
+
+  return errors;
+};
+
+export const enqueueCommand = (device, { type, payload, timeoutSeconds = COMMAND_TIMEOUT_SECONDS }, createdBy) => {
+  const createdAt = new Date();
+
+  return db.deviceCommands.create({
+    deviceId: device.id,
+    organizationId: device.organizationId || null,
+    type,
+    payload: payload || {},
+    status: "pending",
+    createdAt: createdAt.toISOString(),
+    updatedAt: createdAt.toISOString(),
+    expiresAt: new Date(createdAt.getTime() + timeoutSeconds * 1000).toISOString(),
+    createdBy,
+    deliveredAt: null,
+    acknowledgedAt: null,
+    completedAt: null,
+    result: null,
+    error: null
+  });
+};
+
+// Marks an unfinished command as timed out once it is past its expiresAt
+export const expireIfOverdue = async (command, now = Date.now()) => {
+  if (!OPEN_STATUSES.includes(command.status) || new Date(command.expiresAt).getTime() > now) {
+    return command;
+  }
+
+  const timestamp = new Date(now).toISOString();
+  return db.deviceCommands.update(command.id, {
+    status: "timed_out",
+    completedAt: timestamp,
+    updatedAt: timestamp
+  });
+};
+
+// Hands the device its unfinished commands, marking pending ones as delivered
+export const pullCommands = async (deviceId) => {
+  const now = Date.now();
+  const deliveredAt = new Date(now).toISOString();
+  const commands = [];
+
+  for (const command of await db.deviceCommands.listOpenByDevice(deviceId)) {
+    const current = await expireIfOverdue(command, now);
+    if (current.status === "timed_out") continue;
+
+    if (current.status === "pending") {
+      commands.push(await db.deviceCommands.update(current.id, {
+        status: "delivered",
+        deliveredAt,
+        updatedAt: deliveredAt
+      }));
+    } else {
+      commands.push(current);
+    }
+  }
+
+  return commands;
+};
+
+// Records the device's report on a command. Throws with a status for reports that
+// don't fit the command's current state.
+export const acknowledgeCommand = async (command, { status, result, error }) => {
+  const current = await expireIfOverdue(command);
+
+  if (!OPEN_STATUSES.includes(current.status)) {
+    const conflict = new Error(`Command is already ${current.status}`);
+    conflict.status = 409;
+    throw conflict;
+  }
+
+  const timestamp = new Date().toISOString();
+  const patch = {
+    status,
+    updatedAt: timestamp,
+    acknowledgedAt: current.acknowledgedAt || timestamp
+  };
+
+  // Devices that skip the pull (e.g. commands pushed out of band) still count as delivered
+  if (!current.deliveredAt) patch.deliveredAt = timestamp;
+
+  if (status !== "acknowledged") {
+    patch.completedAt = timestamp;
+    patch.result = result ?? null;
+    patch.error = error ?? null;
+  }
+
+  return db.deviceCommands.update(current.id, patch);
+};
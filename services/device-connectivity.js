@@ -0,0 +1,25 @@
+// services/device-connectivity.js
+// Connectivity is derived from the last heartbeat rather than stored, so it is always current:
+//   online  - seen within DEVICE_ONLINE_TIMEOUT_SECONDS (default 120)
+//   stale   - seen within DEVICE_OFFLINE_TIMEOUT_SECONDS (default 600)
+//   offline - not seen for longer, or never
+export const ONLINE_TIMEOUT_SECONDS = parseInt(process.env.DEVICE_ONLINE_TIMEOUT_SECONDS) || 120;
+export const OFFLINE_TIMEOUT_SECONDS = Math.max(
+  parseInt(process.env.DEVICE_OFFLINE_TIMEOUT_SECONDS) || 600,
+  ONLINE_TIMEOUT_SECONDS
+);
+
+export const getConnectivity = (device, now = Date.now()) => {
+  if (!device.lastSeenAt) return "offline";
+
+  const secondsSinceSeen = (now - new Date(device.lastSeenAt).getTime()) / 1000;
+
+  if (secondsSinceSeen <= ONLINE_TIMEOUT_SECONDS) return "online";
+  if (secondsSinceSeen <= OFFLINE_TIMEOUT_SECONDS) return "stale";
+  return "offline";
+};
+
+export const withConnectivity = (device, now = Date.now()) => ({
+  ...device,
+  connectivity: getConnectivity(device, now)
+});
@@ -0,0 +1,120 @@
+// services/device-credentials.js
+// Device provisioning. An admin creates a one-time enrollment token for a device's serial
+// number, the device exchanges it for an API key ("dk_<keyId>.<secret>") and then sends
+// that key as "Authorization: Device <key>". Only SHA-256 hashes of tokens and secrets are
+// stored; both are random enough that a plain hash is sufficient.
+import crypto from "crypto";
+import * as db from "../db/index.js";
+
+export const ENROLLMENT_TOKEN_TTL_MINUTES = parseInt(process.env.DEVICE_ENROLLMENT_TOKEN_TTL_MINUTES) || 60;
+
+const API_KEY_PATTERN = /^dk_([a-f0-9]{16})\.([A-Za-z0-9_-]{43})$/;
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const randomSecret = () => crypto.randomBytes(32).toString("base64url");
+
+const credentialError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+export const createEnrollmentToken = async (device, createdBy) => {
+  const token = `det_${randomSecret()}`;
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + ENROLLMENT_TOKEN_TTL_MINUTES * 60 * 1000);
+
+  await db.deviceEnrollmentTokens.create(hash(token), {
+    deviceId: device.id,
+    serialNumber: device.serialNumber,
+    createdAt: createdAt.toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    createdBy,
+    usedAt: null
+  });
+
+  return { token, expiresAt: expiresAt.toISOString() };
+};
+
+// Revokes every active key of the device, e.g. before issuing a new one
+export const revokeCredentials = async (deviceId, revokedBy) => {
+  const credentials = await db.deviceCredentials.listActiveByDevice(deviceId);
+  const revokedAt = new Date().toISOString();
+
+  for (const credential of credentials) {
+    await db.deviceCredentials.update(credential.id, { revokedAt, revokedBy });
+  }
+
+  await db.devices.update(deviceId, { credential: null });
+  return credentials.length;
+};
+
+// Replaces the device's key; the returned apiKey is the only time the secret is visible
+export const issueCredential = async (deviceId, issuedBy) => {
+  await revokeCredentials(deviceId, issuedBy);
+
+  const keyId = crypto.randomBytes(8).toString("hex");
+  const secret = randomSecret();
+  const issuedAt = new Date().toISOString();
+
+  await db.deviceCredentials.create(keyId, {
+    deviceId,
+    secretHash: hash(secret),
+    issuedAt,
+    issuedBy,
+    revokedAt: null
+  });
+
+  await db.devices.update(deviceId, {
+    credential: { keyId, issuedAt, issuedBy }
+  });
+
+  return { keyId, apiKey: `dk_${keyId}.${secret}`, issuedAt };
+};
+
+// Exchanges an enrollment token for an API key. Tokens work once, before they expire,
+// and only for the serial number they were created for.
+export const enrollDevice = async (serialNumber, token) => {
+  const tokenHash = hash(token);
+  const enrollment = await db.deviceEnrollmentTokens.get(tokenHash);
+
+  if (!enrollment || enrollment.usedAt || enrollment.serialNumber !== serialNumber ||
+      new Date(enrollment.expiresAt).getTime() < Date.now()) {
+    throw credentialError("Invalid or expired enrollment token", 401);
+  }
+
+  const device = await db.devices.get(enrollment.deviceId);
+  if (!device || device.serialNumber !== serialNumber) {
+    throw credentialError("Invalid or expired enrollment token", 401);
+  }
+
+  // Parallel enrollments with the same token: only the one that claims it gets a key
+  if (!(await db.deviceEnrollmentTokens.markUsed(tokenHash, new Date().toISOString()))) {
+    throw credentialError("Invalid or expired enrollment token", 401);
+  }
+
+  const credential = await issueCredential(device.id, `device:${device.id}`);
+  await db.devices.update(device.id, { enrolledAt: credential.issuedAt });
+
+  return { device, ...credential };
+};
+
+// Resolves an API key to its device, or null when the key is unknown or revoked
+export const authenticateDevice = async (apiKey) => {
+  const match = API_KEY_PATTERN.exec(apiKey || "");
+  if (!match) return null;
+
+  const [, keyId, secret] = match;
+  const credential = await db.deviceCredentials.get(keyId);
+  if (!credential || credential.revokedAt) return null;
+
+  const expected = Buffer.from(credential.secretHash, "hex");
+  const actual = Buffer.from(hash(secret), "hex");
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  const device = await db.devices.get(credential.deviceId);
+  if (!device || device.credential?.keyId !== keyId) return null;
+
+  return device;
+};
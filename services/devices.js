@@ -0,0 +1,96 @@
+// services/devices.js
+// Rules for creating a device, shared by POST /devices and the device import. Permissions are
+// checked by the callers.
+import * as db from "../db/index.js";
+
+export const GYM_REQUIRES_ORGANIZATION = {
+  field: "gymId",
+  code: "requires_organization",
+  message: "A gym can only be assigned to a device that belongs to an organization"
+};
+
+// Takes input already checked against schemas/device.js. Resolves to { data } with the record
+// to store, or { problem } holding the status, response body and the offending field of the
+// first rule the input breaks. getOrganization / getGym let an import cache lookups across rows.
+export const prepareDevice = async (input, {
+  createdBy,
+  getOrganization = (orgId) => db.organizations.get(orgId),
+  getGym = (orgId, gymId) => db.gyms.get(orgId, gymId)
+}) => {
+  const {
+    deviceName,
+    type,
+    serialNumber,
+    model,
+    manufacturer,
+    organizationId,
+    gymId,
+    status,
+    location,
+    ipAddress,
+    macAddress
+  } = input;
+
+  // Check if device with same serial number exists
+  const existingDevice = await db.devices.findBySerialNumber(serialNumber);
+
+  if (existingDevice) {
+    return {
+      problem: {
+        status: 409,
+        field: "serialNumber",
+        code: "duplicate",
+        error: "Device with this serial number already exists",
+        ...(existingDevice.deletedAt && { message: "The device is in the trash; restore it instead" })
+      }
+    };
+  }
+
+  // If organizationId is provided, verify it exists
+  let organization = null;
+  if (organizationId) {
+    organization = await getOrganization(organizationId);
+    if (!organization) {
+      return { problem: { status: 404, field: "organizationId", code: "not_found", error: "Organization not found" } };
+    }
+  }
+
+  // A gym can only be assigned together with the organization it belongs to
+  let gym = null;
+  if (gymId) {
+    if (!organizationId) {
+      return {
+        problem: {
+          status: 400,
+          error: "Validation failed",
+          details: [GYM_REQUIRES_ORGANIZATION]
+        }
+      };
+    }
+    gym = await getGym(organizationId, gymId);
+    if (!gym) {
+      return { problem: { status: 404, field: "gymId", code: "not_found", error: "Gym not found in this organization" } };
+    }
+  }
+
+  return {
+    data: {
+      deviceName,
+      type,
+      serialNumber,
+      model: model || "",
+      manufacturer: manufacturer || "",
+      organizationId: organizationId || null,
+      organizationName: organization ? organization.name : "Unassigned",
+      gymId: gym ? gym.id : null,
+      gymName: gym ? gym.name : null,
+      status: status || "active",
+      location: location || "",
+      ipAddress: ipAddress || "",
+      macAddress: macAddress || "",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      createdBy
+    }
+  };
+};
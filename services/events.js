@@ -0,0 +1,12 @@
+// services/events.js
+// Change events for organizations, gyms, devices and invoices (see WEBHOOK_EVENTS for the types).
+// emitEvent() publishes each one to the live change stream and to the organization's webhooks.
+import { publish } from "./change-stream.js";
+import { deliverEvent } from "./webhooks.js";
+
+export const emitEvent = async (organizationId, type, data) => {
+  if (!organizationId) return;
+
+  publish(organizationId, type, data);
+  await deliverEvent(organizationId, type, data);
+};
@@ -0,0 +1,43 @@
+// services/exports.js
+// Streams a filtered list as a CSV or JSON download, fetching it page by page up to
+// EXPORT_MAX_ROWS rows.
+import { toCsvRow } from "../utils/csv.js";
+
+export const EXPORT_FORMATS = ["csv", "json"];
+
+export const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS) || 10000;
+
+const PAGE_SIZE = 500;
+
+// fetchPage({ limit, cursor }) returns a { items, nextCursor } page; columns pick and order
+// the CSV fields. Resolves to the number of exported rows.
+export const sendExport = async (res, { format, filename, columns, fetchPage, transform = item => item }) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}-${date}.${format}"`);
+
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.write(toCsvRow(columns));
+  } else {
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.write("[");
+  }
+
+  let exported = 0;
+  let cursor;
+  do {
+    const page = await fetchPage({ limit: Math.min(PAGE_SIZE, EXPORT_MAX_ROWS - exported), cursor });
+    for (const item of page.items.map(transform)) {
+      if (format === "csv") {
+        res.write(toCsvRow(columns.map(column => item[column])));
+      } else {
+        res.write(`${exported > 0 ? "," : ""}\n${JSON.stringify(item)}`);
+      }
+      exported++;
+    }
+    cursor = page.nextCursor;
+  } while (cursor && exported < EXPORT_MAX_ROWS);
+
+  res.end(format === "csv" ? "" : "\n]\n");
+  return exported;
+};
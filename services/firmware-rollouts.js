@@ -0,0 +1,176 @@
+// services/firmware-rollouts.js
+// Staged OTA rollouts. Creating a rollout snapshots its target devices; each target gets a
+// stable bucket (0-99) and is offered the update once the rollout's percentage exceeds its
+// bucket, so raising the percentage widens the rollout without reshuffling who got it first.
+// Devices poll for offers and report progress:
+//   pending -> downloading -> installing -> succeeded | failed
+import crypto from "crypto";
+import * as db from "../db/index.js";
+
+export const ROLLOUT_STATUSES = ["active", "paused", "completed"];
+
+export const TARGET_STATUSES = ["pending", "downloading", "installing", "succeeded", "failed"];
+
+const OPEN_TARGET_STATUSES = ["pending", "downloading", "installing"];
+
+// Statuses a device may report for its update
+export const REPORT_STATUSES = ["downloading", "installing", "succeeded", "failed"];
+
+const DEVICE_BATCH_SIZE = 500;
+
+export const bucketFor = (rolloutId, deviceId) => {
+  const digest = crypto.createHash("sha256").update(`${rolloutId}:${deviceId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+};
+
+// Empty compatibility lists accept any device type or model
+export const isCompatible = (release, device) =>
+  (!release.deviceTypes?.length || release.deviceTypes.includes(device.type)) &&
+  (!release.models?.length || release.models.includes(device.model));
+
+const listAllDevices = async (organizationIds) => {
+  const devices = [];
+  let cursor;
+  do {
+    const page = await db.devices.list({ organizationIds, limit: DEVICE_BATCH_SIZE, cursor });
+    devices.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return devices;
+};
+
+// Devices a rollout would reach. organizationId null means every organization (super admins
+// only); models and deviceIds narrow the selection further.
+export const resolveTargets = async (release, { organizationId = null, models = [], deviceIds = [] }) => {
+  let devices = deviceIds.length
+    ? await db.devices.getMany(deviceIds)
+    : await listAllDevices(organizationId ? [organizationId] : null);
+
+  if (organizationId) devices = devices.filter(device => device.organizationId === organizationId);
+  if (models.length) devices = devices.filter(device => models.includes(device.model));
+
+  const targets = [];
+  const skipped = { incompatible: [], upToDate: [] };
+
+  for (const device of devices) {
+    if (!isCompatible(release, device)) {
+      skipped.incompatible.push(device.id);
+    } else if (device.firmwareVersion === release.version) {
+      skipped.upToDate.push(device.id);
+    } else {
+      targets.push(device);
+    }
+  }
+
+  return { targets, skipped };
+};
+
+export const createRollout = async (release, devices, { organizationId = null, models = [], deviceIds = [], percentage }, createdBy) => {
+  const createdAt = new Date().toISOString();
+
+  const rollout = await db.firmwareRollouts.create({
+    firmwareId: release.id,
+    version: release.version,
+    organizationId,
+    targeting: { models, deviceIds },
+    percentage,
+    status: "active",
+    targetCount: devices.length,
+    createdAt,
+    updatedAt: createdAt,
+    createdBy
+  });
+
+  for (const device of devices) {
+    await db.firmwareRolloutTargets.create(rollout.id, device.id, {
+      organizationId: device.organizationId || null,
+      previousVersion: device.firmwareVersion || null,
+      bucket: bucketFor(rollout.id, device.id),
+      status: "pending",
+      error: null,
+      updatedAt: createdAt
+    });
+  }
+
+  return rollout;
+};
+
+export const summarizeRollout = async (rolloutId) => {
+  const counts = await Promise.all(TARGET_STATUSES.map(status => db.firmwareRolloutTargets.countByStatus(rolloutId, status)));
+  return Object.fromEntries(TARGET_STATUSES.map((status, index) => [status, counts[index]]));
+};
+
+// Completes a fully staged rollout once no target is still in progress
+const completeIfFinished = async (rollout) => {
+  if (rollout.status !== "active" || rollout.percentage < 100) return rollout;
+
+  const summary = await summarizeRollout(rollout.id);
+  if (OPEN_TARGET_STATUSES.some(status => summary[status] > 0)) return rollout;
+
+  const completedAt = new Date().toISOString();
+  return db.firmwareRollouts.update(rollout.id, { status: "completed", completedAt, updatedAt: completedAt });
+};
+
+export const updatePercentage = async (rollout, percentage) => {
+  const updated = await db.firmwareRollouts.update(rollout.id, {
+    percentage,
+    updatedAt: new Date().toISOString()
+  });
+  return completeIfFinished(updated);
+};
+
+export const setRolloutStatus = (rollout, status) => db.firmwareRollouts.update(rollout.id, {
+  status,
+  updatedAt: new Date().toISOString()
+});
+
+// The update currently offered to a device: the newest active rollout that still has the
+// device in progress and has been staged far enough to include it
+export const findOffer = async (deviceId) => {
+  const targets = await db.firmwareRolloutTargets.listOpenByDevice(deviceId, OPEN_TARGET_STATUSES);
+  if (targets.length === 0) return null;
+
+  const rollouts = await db.firmwareRollouts.getMany(targets.map(target => target.rolloutId));
+  const offers = rollouts
+    .map(rollout => ({ rollout, target: targets.find(target => target.rolloutId === rollout.id) }))
+    .filter(({ rollout, target }) => rollout.status === "active" && target.bucket < rollout.percentage)
+    .sort((a, b) => b.rollout.createdAt.localeCompare(a.rollout.createdAt));
+
+  if (offers.length === 0) return null;
+
+  const release = await db.firmwareReleases.get(offers[0].rollout.firmwareId);
+  return release ? { ...offers[0], release } : null;
+};
+
+// Records a device's progress report. Throws with a status for reports that don't fit the
+// target's current state.
+export const reportProgress = async (device, rollout, { status, error }) => {
+  const target = await db.firmwareRolloutTargets.get(rollout.id, device.id);
+
+  if (!target) {
+    const notFound = new Error("Device is not part of this rollout");
+    notFound.status = 404;
+    throw notFound;
+  }
+  if (!OPEN_TARGET_STATUSES.includes(target.status)) {
+    const conflict = new Error(`Update is already ${target.status}`);
+    conflict.status = 409;
+    throw conflict;
+  }
+
+  const timestamp = new Date().toISOString();
+  const patch = { status, updatedAt: timestamp };
+  if (status === "failed") patch.error = error || "Unknown error";
+  if (status === "succeeded" || status === "failed") patch.completedAt = timestamp;
+
+  const updatedTarget = await db.firmwareRolloutTargets.update(rollout.id, device.id, patch);
+
+  if (status === "succeeded") {
+    await db.devices.update(device.id, { firmwareVersion: rollout.version, firmwareUpdatedAt: timestamp });
+  }
+  if (status === "succeeded" || status === "failed") {
+    await completeIfFinished(rollout);
+  }
+
+  return updatedTarget;
+};
@@ -0,0 +1,139 @@
+// services/gym-locations.js
+// Location searches for gyms: "near me" within a radius, sorted by distance, and everything
+// inside a map viewport. Distances are great-circle kilometres. Gyms without coordinates never
+// match. orgId: null searches the public gym directory, i.e. gyms of every organization whose
+// visibility is "public", which only shows the fields in PUBLIC_GYM_FIELDS.
+import * as db from "../db/index.js";
+
+export const DEFAULT_RADIUS_KM = 10;
+export const MAX_RADIUS_KM = 500;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.2;
+
+export const PUBLIC_GYM_FIELDS = [
+  "id", "organizationId", "name", "address", "city", "phone", "email", "capacity", "status",
+  "openingTime", "closingTime", "openingHours", "holidays", "timezone", "amenities", "latitude", "longitude"
+];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Haversine distance between two { latitude, longitude } points
+export const distanceKm = (from, to) => {
+  const dLatitude = toRadians(to.latitude - from.latitude);
+  const dLongitude = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const parseNumber = (query, name, { min, max, required = true, fallback } = {}) => {
+  const value = query[name];
+  if (value === undefined || value === "") {
+    if (required) throw badRequest(`${name} is required`);
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw badRequest(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const parseLimit = (query) => Math.round(parseNumber(query, "limit", { min: 1, max: MAX_LIMIT, required: false, fallback: DEFAULT_LIMIT }));
+
+// Reads ?latitude, ?longitude, ?radiusKm (default 10) and ?limit (default 50)
+export const parseNearbyQuery = (query) => ({
+  latitude: parseNumber(query, "latitude", { min: -90, max: 90 }),
+  longitude: parseNumber(query, "longitude", { min: -180, max: 180 }),
+  radiusKm: parseNumber(query, "radiusKm", { min: 0, max: MAX_RADIUS_KM, required: false, fallback: DEFAULT_RADIUS_KM }),
+  limit: parseLimit(query)
+});
+
+// Reads the viewport edges ?north, ?south, ?east, ?west and ?limit. A west edge east of the east
+// edge means the viewport crosses the antimeridian.
+export const parseBoundsQuery = (query) => {
+  const bounds = {
+    north: parseNumber(query, "north", { min: -90, max: 90 }),
+    south: parseNumber(query, "south", { min: -90, max: 90 }),
+    east: parseNumber(query, "east", { min: -180, max: 180 }),
+    west: parseNumber(query, "west", { min: -180, max: 180 }),
+    limit: parseLimit(query)
+  };
+  if (bounds.south > bounds.north) {
+    throw badRequest("south cannot be greater than north");
+  }
+  return bounds;
+};
+
+const hasCoordinates = (gym) => typeof gym.latitude === "number" && typeof gym.longitude === "number";
+
+const roundDistance = (km) => Math.round(km * 100) / 100;
+
+// Gyms within radiusKm of the point, nearest first, each with its distanceKm
+export const findNearby = async (orgId, { latitude, longitude, radiusKm, limit }) => {
+  const latitudeDelta = radiusKm / KM_PER_DEGREE_LATITUDE;
+  const candidates = await db.gyms.listByLatitude(
+    orgId,
+    Math.max(latitude - latitudeDelta, -90),
+    Math.min(latitude + latitudeDelta, 90)
+  );
+
+  const matches = candidates
+    .filter(hasCoordinates)
+    .map(gym => ({ gym, distance: distanceKm({ latitude, longitude }, gym) }))
+    .filter(({ distance }) => distance <= radiusKm)
+    .sort((a, b) => a.distance - b.distance);
+
+  return {
+    items: matches.slice(0, limit).map(({ gym, distance }) => ({ ...gym, distanceKm: roundDistance(distance) })),
+    total: matches.length
+  };
+};
+
+// Gyms inside the viewport, nearest to its center first
+export const findWithin = async (orgId, { north, south, east, west, limit }) => {
+  const crossesAntimeridian = west > east;
+  const insideLongitude = (longitude) => crossesAntimeridian
+    ? longitude >= west || longitude <= east
+    : longitude >= west && longitude <= east;
+
+  const center = {
+    latitude: (north + south) / 2,
+    longitude: crossesAntimeridian ? ((west + east + 360) / 2 + 180) % 360 - 180 : (west + east) / 2
+  };
+
+  const matches = (await db.gyms.listByLatitude(orgId, south, north))
+    .filter(gym => hasCoordinates(gym) && insideLongitude(gym.longitude))
+    .map(gym => ({ gym, distance: distanceKm(center, gym) }))
+    .sort((a, b) => a.distance - b.distance);
+
+  return {
+    items: matches.slice(0, limit).map(({ gym }) => gym),
+    total: matches.length
+  };
+};
+
+// What the public gym directory shows of a gym, with its organization's name
+export const toPublicGyms = async (gyms) => {
+  const orgIds = [...new Set(gyms.map(gym => gym.organizationId))];
+  const organizations = orgIds.length > 0 ? await db.organizations.getMany(orgIds) : [];
+  const names = new Map(organizations.map(organization => [organization.id, organization.name]));
+
+  return gyms
+    .filter(gym => names.has(gym.organizationId))
+    .map(gym => ({
+      ...Object.fromEntries(PUBLIC_GYM_FIELDS.map(field => [field, gym[field] ?? null])),
+      organizationName: names.get(gym.organizationId),
+      ...(gym.distanceKm !== undefined && { distanceKm: gym.distanceKm })
+    }));
+};
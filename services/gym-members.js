@@ -0,0 +1,65 @@
+// services/gym-members.js
+// A gym's `members` is the number of its active gym members. It is recomputed whenever one of
+// them is added, changed or removed; scripts/recount-gym-members.js recomputes every gym.
+// A membership expires the day after its endDate: the billing run moves it to "expired", and
+// until then check-ins already treat it as expired.
+import * as db from "../db/index.js";
+import { recordAudit } from "./audit.js";
+import { emitEvent } from "./events.js";
+
+export const today = () => new Date().toISOString().slice(0, 10);
+
+export const refreshMemberCount = async (orgId, gymId) => {
+  const gym = await db.gyms.get(orgId, gymId, { includeDeleted: true });
+  if (!gym) return null;
+
+  const members = await db.gymMembers.countActive(orgId, gymId);
+  if (gym.members === members) return gym;
+
+  const updatedGym = await db.gyms.update(orgId, gymId, { members, updatedAt: new Date().toISOString() });
+  if (!updatedGym.deletedAt) {
+    await emitEvent(orgId, "gym.updated", { gym: updatedGym });
+  }
+  return updatedGym;
+};
+
+// The status a member has on asOf (YYYY-MM-DD): active memberships past their endDate are expired
+export const effectiveStatus = ({ status, endDate }, asOf) =>
+  status === "active" && endDate && endDate < asOf ? "expired" : status;
+
+// Moves the organization's active members whose endDate is before asOf to expired and recounts
+// their gyms. Resolves to the members expired.
+export const expireMemberships = async (orgId, asOf, actor) => {
+  const ended = await db.gymMembers.listEnded(orgId, asOf);
+  const gymIds = new Set();
+
+  for (const member of ended) {
+    const updatedMember = await db.gymMembers.update(orgId, member.id, {
+      status: "expired",
+      updatedAt: new Date().toISOString()
+    });
+    await recordAudit(null, {
+      action: "expire_gym_member",
+      entityType: "gym_member",
+      entityId: member.id,
+      organizationId: orgId,
+      before: member,
+      after: updatedMember,
+      actor
+    });
+    gymIds.add(member.homeGymId);
+  }
+
+  for (const gymId of gymIds) {
+    await refreshMemberCount(orgId, gymId);
+  }
+  return ended;
+};
+
+// Returns the validation error when the membership would end before it starts
+export const checkMemberDates = ({ startDate, endDate }) => {
+  if (startDate && endDate && endDate < startDate) {
+    return { field: "endDate", code: "before_start", message: "endDate cannot be before startDate" };
+  }
+  return null;
+};
@@ -0,0 +1,50 @@
+// services/gyms.js
+// Rules for creating a gym, shared by POST /organizations/:orgId/gyms and the gym import.
+// The input is checked against schemas/gym.js (and checkCoordinates / checkSchedule) and the
+// organization by the callers.
+import { dailyHours, normalizeHolidays, normalizeOpeningHours } from "./opening-hours.js";
+
+// Returns the record to store
+export const prepareGym = (orgId, input, { createdBy }) => {
+  const { name, address, city, phone, email, capacity, capacityPolicy, visibility, manager, status, openingTime, closingTime, openingHours, holidays, timezone, amenities, latitude, longitude } = input;
+
+  return {
+    name,
+    address,
+    city: city || "",
+    phone,
+    email,
+    capacity,
+    capacityPolicy: capacityPolicy || "reject",
+    visibility: visibility || "private",
+    manager,
+    status: status || "ACTIVE",
+    openingTime: openingTime || "",
+    closingTime: closingTime || "",
+    openingHours: openingHours
+      ? normalizeOpeningHours(openingHours)
+      : openingTime && closingTime ? dailyHours(openingTime, closingTime) : null,
+    holidays: normalizeHolidays(holidays || []),
+    timezone: timezone || "UTC",
+    amenities: amenities || [],
+    latitude: latitude ?? null,
+    longitude: longitude ?? null,
+    members: 0,
+    monthlyRevenue: 0,
+    organizationId: orgId,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    createdBy
+  };
+};
+
+// Returns the validation error when only one of latitude / longitude is set
+export const checkCoordinates = ({ latitude, longitude }) => {
+  const hasLatitude = latitude !== undefined && latitude !== null;
+  const hasLongitude = longitude !== undefined && longitude !== null;
+  if (hasLatitude !== hasLongitude) {
+    const field = hasLatitude ? "longitude" : "latitude";
+    return { field, code: "required", message: `${field} is required when ${hasLatitude ? "latitude" : "longitude"} is set` };
+  }
+  return null;
+};
@@ -0,0 +1,230 @@
+// services/imports.js
+// Bulk import of devices and gyms from CSV or JSON. Every row is checked with the same schema and
+// rules as the create routes before anything is written; when any row fails nothing is imported
+// and the report lists the { field, code, message } errors of each row. validateOnly stops after
+// the checks.
+import * as db from "../db/index.js";
+import { authorize } from "../middleware/permissions.js";
+import { deviceSchema } from "../schemas/device.js";
+import { gymSchema } from "../schemas/gym.js";
+import { parseCsv } from "../utils/csv.js";
+import { validate } from "../utils/validation.js";
+import { recordAudit } from "./audit.js";
+import { prepareDevice } from "./devices.js";
+import { emitEvent } from "./events.js";
+import { checkCoordinates, prepareGym } from "./gyms.js";
+import { checkSchedule } from "./opening-hours.js";
+
+export const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+
+// Largest CSV body the import routes accept; JSON bodies are limited by JSON_BODY_LIMIT
+export const IMPORT_MAX_BODY_SIZE = process.env.IMPORT_MAX_BODY_SIZE || "5mb";
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// CSV cells are strings; empty cells count as missing and list cells hold JSON (as exported,
+// which also carries object fields such as openingHours) or ";"-separated values
+const fromCsvRow = (row, listFields) => Object.fromEntries(
+  Object.entries(row)
+    .filter(([, value]) => value.trim() !== "")
+    .map(([field, value]) => {
+      if (!listFields.includes(field)) return [field, value.trim()];
+      if (/^[[{]/.test(value.trim())) {
+        try {
+          return [field, JSON.parse(value)];
+        } catch {
+          // fall back to splitting
+        }
+      }
+      return [field, value.split(";").map(item => item.trim()).filter(Boolean)];
+    })
+);
+
+// Rows of an import request: a CSV body (Content-Type text/csv) or JSON, either an array of
+// rows or { [key]: [...] }. Throws with status 400 when the body can't be used.
+export const readImportRows = (req, key, { listFields = [] } = {}) => {
+  let rows;
+
+  if (typeof req.body === "string") {
+    try {
+      rows = parseCsv(req.body).map(row => fromCsvRow(row, listFields));
+    } catch (error) {
+      throw badRequest(`Invalid CSV: ${error.message}`);
+    }
+  } else {
+    rows = Array.isArray(req.body) ? req.body : req.body?.[key];
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== "object" || Array.isArray(row))) {
+      throw badRequest(`Send text/csv, or JSON with a "${key}" array of objects`);
+    }
+  }
+
+  if (rows.length === 0) {
+    throw badRequest("The import contains no rows");
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw badRequest(`An import can contain at most ${IMPORT_MAX_ROWS} rows`);
+  }
+
+  return rows;
+};
+
+// Columns of the exports that are set by the server, skipped so an export can be imported again
+const DEVICE_EXPORT_ONLY_FIELDS = [
+  "id", "organizationName", "gymName", "connectivity", "firmwareVersion", "lastSeenAt", "createdAt", "updatedAt"
+];
+const GYM_EXPORT_ONLY_FIELDS = ["id", "members", "monthlyRevenue", "createdAt", "updatedAt"];
+
+const checkRow = (schema, row, exportOnlyFields) => validate(
+  schema,
+  Object.fromEntries(Object.entries(row).filter(([field]) => !exportOnlyFields.includes(field))),
+  { coerce: true }
+);
+
+const problemErrors = ({ field = null, code, error, details, message }) =>
+  details || [{ field, code, message: message ? `${error}: ${message}` : error }];
+
+const memoize = (load) => {
+  const cache = new Map();
+  return (...args) => {
+    const key = args.join("/");
+    if (!cache.has(key)) cache.set(key, load(...args));
+    return cache.get(key);
+  };
+};
+
+// Checks every row, then creates them all when none failed (and validateOnly is off)
+const runImport = async (rows, { check, create, validateOnly }) => {
+  const report = [];
+
+  for (let index = 0; index < rows.length; index++) {
+    const { data, errors, label } = await check(rows[index], index);
+    report.push({ row: index + 1, ...label, status: errors.length ? "invalid" : "valid", errors, data });
+  }
+
+  const invalid = report.filter(entry => entry.status === "invalid").length;
+  const summary = () => ({
+    total: rows.length,
+    valid: rows.length - invalid,
+    invalid,
+    created: report.filter(entry => entry.status === "created").length,
+    rows: report.map(({ data, ...entry }) => entry)
+  });
+
+  if (invalid > 0 || validateOnly) {
+    return summary();
+  }
+
+  for (const entry of report) {
+    const record = await create(entry.data);
+    entry.status = "created";
+    entry.id = record.id;
+  }
+
+  return summary();
+};
+
+// Rows without an organizationId go to defaultOrganizationId. Serial numbers must be unique
+// across the database and the file.
+export const importDevices = (req, rows, { defaultOrganizationId = null, validateOnly = false } = {}) => {
+  const getOrganization = memoize(orgId => db.organizations.get(orgId));
+  const getGym = memoize((orgId, gymId) => db.gyms.get(orgId, gymId));
+  const canCreate = memoize(orgId => authorize(req.user, orgId || null, "device:create"));
+  const serialRows = new Map();
+
+  return runImport(rows, {
+    validateOnly,
+
+    check: async (row, index) => {
+      const label = { serialNumber: row.serialNumber || null };
+
+      const { value, errors } = checkRow(deviceSchema, row, DEVICE_EXPORT_ONLY_FIELDS);
+      if (errors.length > 0) {
+        return { label, errors };
+      }
+
+      const input = { ...value, organizationId: value.organizationId || defaultOrganizationId };
+
+      if (!(await canCreate(input.organizationId || ""))) {
+        const scope = input.organizationId ? `organization ${input.organizationId}` : "unassigned devices";
+        return {
+          label,
+          errors: [{
+            field: "organizationId",
+            code: "forbidden",
+            message: `You do not have the "device:create" permission for ${scope}`
+          }]
+        };
+      }
+
+      const { data, problem } = await prepareDevice(input, { createdBy: req.user.uid, getOrganization, getGym });
+      if (problem) {
+        return { label, errors: problemErrors(problem) };
+      }
+
+      if (serialRows.has(data.serialNumber)) {
+        return {
+          label,
+          errors: [{
+            field: "serialNumber",
+            code: "duplicate",
+            message: `Serial number is already used on row ${serialRows.get(data.serialNumber)}`
+          }]
+        };
+      }
+      serialRows.set(data.serialNumber, index + 1);
+
+      return { label, data, errors: [] };
+    },
+
+    create: async (data) => {
+      const device = await db.devices.create(data);
+
+      await recordAudit(req, {
+        action: "create_device",
+        entityType: "device",
+        entityId: device.id,
+        organizationId: device.organizationId,
+        after: device,
+        metadata: { import: true }
+      });
+      await emitEvent(device.organizationId, "device.created", { device });
+
+      return device;
+    }
+  });
+};
+
+export const importGyms = (req, orgId, rows, { validateOnly = false } = {}) => runImport(rows, {
+  validateOnly,
+
+  check: async (row) => {
+    const label = { name: row.name || null };
+    const { value, errors } = checkRow(gymSchema, row, GYM_EXPORT_ONLY_FIELDS);
+    const coordinateError = checkCoordinates(value);
+    if (coordinateError) errors.push(coordinateError);
+    if (errors.length === 0) errors.push(...checkSchedule(value));
+    return errors.length > 0
+      ? { label, errors }
+      : { label, data: prepareGym(orgId, value, { createdBy: req.user.uid }), errors: [] };
+  },
+
+  create: async (data) => {
+    const gym = await db.gyms.create(orgId, data);
+
+    await recordAudit(req, {
+      action: "create_gym",
+      entityType: "gym",
+      entityId: gym.id,
+      organizationId: orgId,
+      after: gym,
+      metadata: { import: true }
+    });
+    await emitEvent(orgId, "gym.created", { gym });
+
+    return gym;
+  }
+});
@@ -0,0 +1,167 @@
+// services/openapi.js
+// Builds the OpenAPI 3 document of the API from the mounted routers, so it can't drift from what
+// is served. Every route becomes an operation and the middleware it runs fills in the rest:
+//   verifyAuth / verifyDeviceAuth  -> security requirement
+//   requirePermission(permission)  -> x-permission and a 403 response
+//   validateBody(schema)           -> request body built from the schemas/ rules
+import { verifyAuth } from "../middleware/auth.js";
+import { verifyDeviceAuth } from "../middleware/device-auth.js";
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, "{$1}");
+
+const operationId = (method, path) =>
+  method + path.replace(/[^A-Za-z0-9]+(\w?)/g, (match, next) => next.toUpperCase());
+
+const toJsonSchema = (rules) => {
+  const isArray = rules.type === "array";
+  const schema = { type: rules.type || "string" };
+
+  if (rules.nullable) schema.nullable = true;
+  if (rules.format) schema.format = rules.format;
+  if (rules.enum) schema.enum = rules.enum;
+  if (rules.min !== undefined) schema.minimum = rules.min;
+  if (rules.max !== undefined) schema.maximum = rules.max;
+  if (rules.minLength !== undefined) schema[isArray ? "minItems" : "minLength"] = rules.minLength;
+  if (rules.maxLength !== undefined) schema[isArray ? "maxItems" : "maxLength"] = rules.maxLength;
+  if (rules.items) schema.items = toJsonSchema(rules.items);
+  if (rules.fields) Object.assign(schema, bodySchema(rules.fields));
+
+  return schema;
+};
+
+// JSON Schema of a body validated with validateBody(schema, { partial })
+export const bodySchema = (schema, { partial = false } = {}) => {
+  const fields = Object.entries(schema).filter(([, rules]) => partial || !rules.updateOnly);
+  const required = partial ? [] : fields.filter(([, rules]) => rules.required).map(([field]) => field);
+
+  return {
+    type: "object",
+    properties: Object.fromEntries(fields.map(([field, rules]) => [field, toJsonSchema(rules)])),
+    ...(required.length > 0 && { required }),
+    additionalProperties: false
+  };
+};
+
+const errorResponse = (description, schema = "Error") => ({
+  description,
+  content: { "application/json": { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+const describeRoute = (tag, method, path, handlers) => {
+  const operation = {
+    tags: [tag],
+    operationId: operationId(method, path),
+    responses: {
+      "2XX": { description: "Successful response" }
+    },
+    security: []
+  };
+
+  const parameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: { type: "string" }
+  }));
+  if (parameters.length > 0) operation.parameters = parameters;
+
+  for (const handler of handlers) {
+    if (handler === verifyAuth) {
+      operation.security = [{ bearerAuth: [] }, { sessionCookie: [] }];
+      operation.responses["401"] = errorResponse("Missing or invalid credentials");
+    } else if (handler === verifyDeviceAuth) {
+      operation.security = [{ deviceKey: [] }];
+      operation.responses["401"] = errorResponse("Missing or invalid device credential");
+    } else if (handler.permission) {
+      operation["x-permission"] = handler.permission;
+      operation.description = `Requires the "${handler.permission}" permission in the organization.`;
+      operation.responses["403"] = errorResponse("The caller lacks the permission");
+    } else if (handler.schema) {
+      operation.requestBody = {
+        required: !handlers.some(other => other.optionalBody),
+        content: { "application/json": { schema: bodySchema(handler.schema, { partial: handler.partial }) } }
+      };
+      operation.responses["400"] = errorResponse("The body failed validation", "ValidationError");
+    }
+  }
+
+  operation.responses["500"] = errorResponse("Unexpected server error");
+  return operation;
+};
+
+// routes: [{ tag, router }] in the order they are mounted under basePath
+export const buildOpenApiDocument = ({ title, version, basePath, routes }) => {
+  const paths = {};
+
+  for (const { tag, router } of routes) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const { path, methods, stack } = layer.route;
+      const handlers = stack.map(routeLayer => routeLayer.handle);
+
+      for (const method of Object.keys(methods).filter(method => methods[method])) {
+        const openApiPath = toOpenApiPath(path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][method] = describeRoute(tag, method, path, handlers);
+      }
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title, version },
+    servers: [{ url: basePath }],
+    tags: [...new Set(routes.map(({ tag }) => tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", description: "ID token of the signed-in user" },
+        sessionCookie: { type: "apiKey", in: "cookie", name: "session" },
+        deviceKey: { type: "apiKey", in: "header", name: "Authorization", description: 'Device API key sent as "Device <key>"' }
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            error: { type: "string" },
+            message: { type: "string" }
+          }
+        },
+        ValidationError: {
+          type: "object",
+          properties: {
+            success: { type: "boolean" },
+            error: { type: "string" },
+            message: { type: "string" },
+            details: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string", nullable: true },
+                  code: { type: "string" },
+                  message: { type: "string" }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+};
+
+// Every operation of the document as { tag, method: "GET", path: "/api/organizations/:id" }
+export const listRoutes = (document) => {
+  const basePath = document.servers?.[0]?.url || "";
+
+  return Object.entries(document.paths).flatMap(([path, operations]) =>
+    Object.entries(operations).map(([method, operation]) => ({
+      tag: operation.tags[0],
+      method: method.toUpperCase(),
+      path: basePath + path.replace(/\{(\w+)\}/g, ":$1")
+    }))
+  );
+};
@@ -0,0 +1,177 @@
+// services/opening-hours.js
+// Weekly opening hours of a gym. openingHours maps each weekday to its open intervals
+// ({ open: "06:00", close: "22:00" }, close may be "24:00"); a day without intervals is closed,
+// so [{ open: "00:00", close: "24:00" }] is open around the clock. holidays replace the hours of
+// single dates ({ date, name, hours }, no hours = closed all day). Times are local to the gym's
+// IANA timezone. Gyms that only have the older openingTime / closingTime pair are open those
+// hours every day.
+
+export const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatters = new Map();
+
+// Intl formatter of the time zone, or null when the zone is unknown
+const formatterFor = (timezone) => {
+  if (!formatters.has(timezone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        weekday: "long"
+      });
+    } catch {
+      // unknown time zone
+    }
+    formatters.set(timezone, formatter);
+  }
+  return formatters.get(timezone);
+};
+
+export const isValidTimezone = (timezone) => formatterFor(timezone) !== null;
+
+// Same hours every day from an openingTime / closingTime pair. A closing time before the opening
+// time runs past midnight; equal times mean open around the clock.
+export const dailyHours = (openingTime, closingTime) => {
+  let hours;
+  if (openingTime === closingTime) {
+    hours = [{ open: "00:00", close: "24:00" }];
+  } else if (closingTime < openingTime) {
+    hours = [{ open: "00:00", close: closingTime }, { open: openingTime, close: "24:00" }];
+  } else {
+    hours = [{ open: openingTime, close: closingTime }];
+  }
+  return Object.fromEntries(WEEKDAYS.map(day => [day, hours.map(interval => ({ ...interval }))]));
+};
+
+// Validation errors of a day's intervals: each must close after it opens and none may overlap
+const checkIntervals = (field, intervals, errors) => {
+  const sorted = intervals
+    .map((interval, index) => ({ ...interval, index }))
+    .sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+
+  for (const interval of sorted) {
+    if (toMinutes(interval.close) <= toMinutes(interval.open)) {
+      errors.push({
+        field: `${field}[${interval.index}]`,
+        code: "invalid_interval",
+        message: `${field}[${interval.index}] must close after it opens; split intervals that run past midnight over two days`
+      });
+    }
+  }
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (toMinutes(sorted[i].open) < toMinutes(sorted[i - 1].close)) {
+      errors.push({
+        field: `${field}[${sorted[i].index}]`,
+        code: "overlapping_intervals",
+        message: `${field}[${sorted[i].index}] overlaps ${field}[${sorted[i - 1].index}]`
+      });
+    }
+  }
+};
+
+// Checks the rules the schema can't express, on a body that passed schemas/gym.js. Returns the
+// { field, code, message } errors.
+export const checkSchedule = ({ openingHours, holidays, timezone }) => {
+  const errors = [];
+
+  if (timezone && !isValidTimezone(timezone)) {
+    errors.push({ field: "timezone", code: "invalid_value", message: `timezone "${timezone}" is not a known IANA time zone` });
+  }
+
+  for (const [day, intervals] of Object.entries(openingHours || {})) {
+    checkIntervals(`openingHours.${day}`, intervals, errors);
+  }
+
+  const dates = new Set();
+  (holidays || []).forEach((holiday, index) => {
+    if (dates.has(holiday.date)) {
+      errors.push({ field: `holidays[${index}].date`, code: "duplicate", message: `holidays lists ${holiday.date} more than once` });
+    }
+    dates.add(holiday.date);
+    checkIntervals(`holidays[${index}].hours`, holiday.hours || [], errors);
+  });
+
+  return errors;
+};
+
+// The weekly hours to store: every weekday, closed days as []
+export const normalizeOpeningHours = (openingHours) =>
+  Object.fromEntries(WEEKDAYS.map(day => [day, openingHours[day] || []]));
+
+export const normalizeHolidays = (holidays) => [...holidays]
+  .map(({ date, name, hours }) => ({ date, name: name || "", hours: hours || [] }))
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+// The gym's weekly hours, or null when it has none. Gyms stored before openingHours existed
+// fall back to their openingTime / closingTime.
+export const weeklySchedule = (gym) => {
+  if (gym.openingHours !== undefined) return gym.openingHours;
+  if (gym.openingTime && gym.closingTime) return dailyHours(gym.openingTime, gym.closingTime);
+  return null;
+};
+
+// Whether the gym is open at the instant. Gyms without hours count as closed.
+export const isOpenAt = (gym, time) => {
+  const schedule = weeklySchedule(gym);
+  const formatter = formatterFor(gym.timezone || "UTC");
+  if (!schedule || !formatter) return false;
+
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(time)).map(({ type, value }) => [type, value]));
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  const minutes = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+
+  const holiday = (gym.holidays || []).find(entry => entry.date === date);
+  const intervals = holiday ? holiday.hours || [] : schedule[parts.weekday.toLowerCase()] || [];
+
+  return intervals.some(({ open, close }) => minutes >= toMinutes(open) && minutes < toMinutes(close));
+};
+
+// Reads ?openAt (ISO timestamp) or ?openNow=true; null when neither is set
+export const parseOpenAt = ({ openAt, openNow }) => {
+  if (openAt) {
+    const time = Date.parse(openAt);
+    if (isNaN(time)) throw badRequest("openAt must be an ISO 8601 timestamp");
+    return time;
+  }
+  return openNow === "true" ? Date.now() : null;
+};
+
+// Wraps a fetchPage({ limit, cursor }) of gyms so it only returns the gyms open at `time`. It
+// reads full pages until `limit` open gyms are found; when that happens partway through a page,
+// the next page starts right after the last gym returned (cursorAfter(gym)), so none are skipped.
+export const openAtPages = (fetchPage, time, cursorAfter) => async ({ limit, cursor }) => {
+  const items = [];
+  let nextCursor = cursor;
+  do {
+    const page = await fetchPage({ limit, cursor: nextCursor });
+    nextCursor = page.nextCursor;
+
+    for (const [index, gym] of page.items.entries()) {
+      if (!isOpenAt(gym, time)) continue;
+      items.push(gym);
+      if (items.length === limit) {
+        return { items, nextCursor: index < page.items.length - 1 ? cursorAfter(gym) : nextCursor };
+      }
+    }
+  } while (nextCursor);
+
+  return { items, nextCursor: null };
+};
@@ -0,0 +1,186 @@
+// services/organization-deletion.js
+// Deleting an organization cascades to its dependents:
+//   gyms         -> moved to the trash
+//   devices      -> unassigned from the organization, or moved to the trash
+//   memberships  -> kept while the organization is in the trash so its owners can restore it,
+//                   removed when it is purged
+// The cascade is recorded on the organization as `deletion` before anything else changes and
+// each step only picks up records that are still attached, so a cascade that stopped halfway
+// is resumed by running it again.
+import * as db from "../db/index.js";
+import { recordAudit } from "./audit.js";
+import { emitEvent } from "./events.js";
+
+export const DEVICE_ACTIONS = ["unassign", "delete"];
+
+const BATCH_SIZE = 100;
+
+const listAll = async (fetchPage) => {
+  const items = [];
+  let cursor;
+  do {
+    const page = await fetchPage({ limit: BATCH_SIZE, cursor });
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return items;
+};
+
+const activeGyms = (orgId) => listAll(options => db.gyms.list(orgId, options));
+
+const activeDevices = (orgId) => listAll(options => db.devices.list({ organizationIds: [orgId], ...options }));
+
+// Everything a cascade of this organization would touch
+export const previewDeletion = async (organization, { deviceAction = "unassign" } = {}) => {
+  const [gyms, devices, memberships] = await Promise.all([
+    activeGyms(organization.id),
+    activeDevices(organization.id),
+    db.memberships.listByOrganization(organization.id)
+  ]);
+
+  const members = [];
+  for (const { userId, role } of memberships) {
+    const user = await db.users.get(userId);
+    members.push({
+      userId,
+      email: user?.email || null,
+      displayName: user?.displayName || null,
+      role
+    });
+  }
+
+  return {
+    organization: { id: organization.id, name: organization.name },
+    gyms: {
+      action: "delete",
+      count: gyms.length,
+      items: gyms.map(gym => ({ id: gym.id, name: gym.name }))
+    },
+    devices: {
+      action: deviceAction,
+      count: devices.length,
+      items: devices.map(device => ({
+        id: device.id,
+        deviceName: device.deviceName,
+        serialNumber: device.serialNumber,
+        gymId: device.gymId || null
+      }))
+    },
+    members: {
+      action: "remove_on_purge",
+      count: members.length,
+      items: members
+    },
+    memberships: {
+      action: "remove_on_purge",
+      count: memberships.length
+    }
+  };
+};
+
+const cascadeMetadata = (organizationId) => ({ cascade: "organization_deletion", organizationId });
+
+const cascadeDevices = async (req, orgId, deviceAction) => {
+  let processed = 0;
+
+  // Handled devices drop out of the organization's active list, so keep taking the first batch
+  for (;;) {
+    const { items: devices } = await db.devices.list({ organizationIds: [orgId], limit: BATCH_SIZE });
+    if (devices.length === 0) return processed;
+
+    for (const device of devices) {
+      const updated = deviceAction === "delete"
+        ? await db.devices.softDelete(device.id, req.user.uid)
+        : await db.devices.update(device.id, {
+          organizationId: null,
+          organizationName: "Unassigned",
+          gymId: null,
+          gymName: null,
+          updatedAt: new Date().toISOString()
+        });
+
+      await recordAudit(req, {
+        action: deviceAction === "delete" ? "delete_device" : "unassign_device",
+        entityType: "device",
+        entityId: device.id,
+        organizationId: orgId,
+        before: device,
+        after: updated,
+        metadata: cascadeMetadata(orgId)
+      });
+      await emitEvent(orgId, deviceAction === "delete" ? "device.deleted" : "device.updated", { device: updated });
+      processed++;
+    }
+  }
+};
+
+const cascadeGyms = async (req, orgId) => {
+  let processed = 0;
+
+  for (;;) {
+    const { items: gyms } = await db.gyms.list(orgId, { limit: BATCH_SIZE });
+    if (gyms.length === 0) return processed;
+
+    for (const gym of gyms) {
+      const deletedGym = await db.gyms.softDelete(orgId, gym.id, req.user.uid);
+
+      await recordAudit(req, {
+        action: "delete_gym",
+        entityType: "gym",
+        entityId: gym.id,
+        organizationId: orgId,
+        before: gym,
+        after: deletedGym,
+        metadata: cascadeMetadata(orgId)
+      });
+      await emitEvent(orgId, "gym.deleted", { gym: deletedGym });
+      processed++;
+    }
+  }
+};
+
+// Runs (or resumes) the cascade and moves the organization to the trash. An interrupted
+// cascade keeps the device action it was started with.
+export const cascadeDeletion = async (req, organization, { deviceAction = "unassign" } = {}) => {
+  const orgId = organization.id;
+
+  const deletion = organization.deletion?.status === "in_progress"
+    ? organization.deletion
+    : {
+      status: "in_progress",
+      deviceAction,
+      startedAt: new Date().toISOString(),
+      startedBy: req.user.uid
+    };
+
+  if (deletion !== organization.deletion) {
+    await db.organizations.update(orgId, { deletion });
+  }
+
+  const devices = await cascadeDevices(req, orgId, deletion.deviceAction);
+  const gyms = await cascadeGyms(req, orgId);
+
+  const deletedOrganization = await db.organizations.softDelete(orgId, req.user.uid);
+  const completedOrganization = await db.organizations.update(orgId, {
+    deletion: { ...deletion, status: "completed", completedAt: deletedOrganization.deletedAt }
+  });
+
+  await recordAudit(req, {
+    action: "delete_organization",
+    entityType: "organization",
+    entityId: orgId,
+    organizationId: orgId,
+    before: organization,
+    after: completedOrganization,
+    metadata: { cascade: true, deviceAction: deletion.deviceAction, gyms, devices }
+  });
+  await emitEvent(orgId, "organization.deleted", { organization: completedOrganization });
+
+  return {
+    organization: completedOrganization,
+    deviceAction: deletion.deviceAction,
+    resumed: organization.deletion?.status === "in_progress",
+    gyms,
+    devices
+  };
+};
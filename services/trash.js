@@ -0,0 +1,141 @@
+// services/trash.js
+// Deleted organizations, gyms and devices stay in the trash for TRASH_RETENTION_DAYS
+// (default 30) and can be restored until then. purgeExpired() removes them for good; the
+// server runs it every TRASH_PURGE_INTERVAL_MINUTES (default 60, 0 disables it) and
+// scripts/purge-trash.js runs it once, e.g. from cron.
+import * as db from "../db/index.js";
+import { recordAudit } from "./audit.js";
+
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES ?? "60");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SYSTEM_ACTOR = { actorType: "system", performedBy: "trash-purge", actorEmail: null };
+
+// When a record deleted at `deletedAt` will be purged
+export const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+
+// A gym's members and visits go with it
+const purgeGymRecords = async (orgId, gymId) => {
+  for (const checkIn of await db.checkIns.listByGym(orgId, gymId)) {
+    await db.checkIns.delete(orgId, checkIn.id);
+  }
+
+  for (const member of await db.gymMembers.listByGym(orgId, gymId)) {
+    await db.gymMembers.delete(orgId, member.id);
+    await recordAudit(null, {
+      action: "purge_gym_member",
+      entityType: "gym_member",
+      entityId: member.id,
+      organizationId: orgId,
+      before: member,
+      actor: SYSTEM_ACTOR
+    });
+  }
+};
+
+// Keys, enrollment tokens and the command queue of a device go with it
+const purgeDeviceRecords = async (deviceId) => {
+  await db.deviceCredentials.deleteByDevice(deviceId);
+  await db.deviceEnrollmentTokens.deleteByDevice(deviceId);
+  await db.deviceCommands.deleteByDevice(deviceId);
+};
+
+export const purgeExpired = async (now = Date.now()) => {
+  const cutoff = new Date(now - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+  const purged = { devices: 0, gyms: 0, organizations: 0 };
+
+  for (const device of await db.devices.listDeletedBefore(cutoff)) {
+    await purgeDeviceRecords(device.id);
+    await db.devices.delete(device.id);
+    await recordAudit(null, {
+      action: "purge_device",
+      entityType: "device",
+      entityId: device.id,
+      organizationId: device.organizationId,
+      before: device,
+      actor: SYSTEM_ACTOR
+    });
+    purged.devices++;
+  }
+
+  for (const gym of await db.gyms.listDeletedBefore(cutoff)) {
+    await purgeGymRecords(gym.organizationId, gym.id);
+    await db.gyms.delete(gym.organizationId, gym.id);
+    await recordAudit(null, {
+      action: "purge_gym",
+      entityType: "gym",
+      entityId: gym.id,
+      organizationId: gym.organizationId,
+      before: gym,
+      actor: SYSTEM_ACTOR
+    });
+    purged.gyms++;
+  }
+
+  // An organization takes its gyms (and their members), plans, invoices, webhooks (and their
+  // delivery logs) and memberships with it
+  for (const organization of await db.organizations.listDeletedBefore(cutoff)) {
+    for (const gym of await db.gyms.listAll(organization.id)) {
+      await purgeGymRecords(organization.id, gym.id);
+      await db.gyms.delete(organization.id, gym.id);
+      purged.gyms++;
+    }
+    for (const invoice of await db.invoices.listAll(organization.id)) {
+      await db.invoices.delete(organization.id, invoice.id);
+    }
+    for (const plan of await db.plans.list(organization.id)) {
+      await db.plans.delete(organization.id, plan.id);
+    }
+    for (const webhook of await db.webhooks.listByOrganization(organization.id)) {
+      await db.webhookDeliveries.deleteByWebhook(webhook.id);
+      await db.webhooks.delete(webhook.id);
+    }
+    for (const membership of await db.memberships.listByOrganization(organization.id)) {
+      await db.memberships.delete(organization.id, membership.userId);
+      await recordAudit(null, {
+        action: "purge_member",
+        entityType: "member",
+        entityId: membership.id,
+        organizationId: organization.id,
+        before: membership,
+        actor: SYSTEM_ACTOR
+      });
+    }
+
+    await db.organizations.delete(organization.id);
+    await recordAudit(null, {
+      action: "purge_organization",
+      entityType: "organization",
+      entityId: organization.id,
+      organizationId: organization.id,
+      before: organization,
+      actor: SYSTEM_ACTOR
+    });
+    purged.organizations++;
+  }
+
+  return purged;
+};
+
+export const startTrashPurge = () => {
+  if (!PURGE_INTERVAL_MINUTES) return null;
+
+  const run = async () => {
+    try {
+      const purged = await purgeExpired();
+      if (purged.devices || purged.gyms || purged.organizations) {
+        console.log(`Purged trash: ${purged.organizations} organizations, ${purged.gyms} gyms, ${purged.devices} devices`);
+      }
+    } catch (error) {
+      console.error("Error purging trash:", error.message);
+    }
+  };
+
+  // Don't keep the process alive just for the purge timer
+  const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
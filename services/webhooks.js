@@ -0,0 +1,284 @@
+// services/webhooks.js
+// Outgoing webhooks. deliverEvent() queues one delivery per subscribed webhook and tries it
+// right away; failed deliveries are retried with exponential backoff
+// (WEBHOOK_RETRY_BASE_SECONDS * 2^(attempt - 1)) until WEBHOOK_MAX_ATTEMPTS is reached.
+// Each request carries
+//   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the secret>
+// scripts/webhook-receiver.js is a local receiver that verifies them. Receivers must be on public
+// addresses; WEBHOOK_ALLOW_LOCALHOST=true also allows loopback ones, for that local receiver.
+// The delivery log keeps the receiver's status code and a SHA-256 hash of its response, never
+// the response itself.
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import * as db from "../db/index.js";
+import { checkHostname, publicLookup } from "../utils/network.js";
+
+export const WEBHOOK_EVENTS = [
+  "organization.updated", "organization.deleted", "organization.restored",
+  "gym.created", "gym.updated", "gym.deleted", "gym.restored", "gym.occupancy_changed",
+  "device.created", "device.updated", "device.status_changed", "device.deleted", "device.restored",
+  "invoice.created", "invoice.paid", "invoice.payment_failed", "invoice.voided"
+];
+
+export const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const RETRY_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS ?? "15");
+
+const ADDRESS_OPTIONS = { allowLoopback: process.env.WEBHOOK_ALLOW_LOCALHOST === "true" };
+
+const RETRY_BATCH_SIZE = 50;
+const MAX_ERROR_LENGTH = 200;
+
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+export const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+// Secrets are only shown in full when a webhook is created or its secret changes
+export const withoutSecret = ({ secret, ...webhook }) => ({
+  ...webhook,
+  secretHint: secret ? `${secret.slice(0, 10)}...` : null
+});
+
+// Deliveries logged before response bodies stopped being stored may still hold one
+export const withoutResponseBody = ({ responseBody, ...delivery }) => delivery;
+
+export const validateWebhook = ({ url, events, secret, active }, { partial = false } = {}) => {
+  const errors = [];
+
+  if (url !== undefined || !partial) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // reported below
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      errors.push("url must be a valid http(s) URL");
+    } else {
+      const problem = checkHostname(parsed.hostname, ADDRESS_OPTIONS);
+      if (problem) errors.push(`url must point to a public host: ${problem}`);
+    }
+  }
+
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0) {
+      errors.push("events must be a non-empty array");
+    } else {
+      const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        errors.push(`Unknown events: ${unknown.join(", ")}. Expected any of: ${WEBHOOK_EVENTS.join(", ")}`);
+      }
+    }
+  }
+
+  if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+    errors.push("secret must be a string of at least 16 characters");
+  }
+  if (active !== undefined && typeof active !== "boolean") {
+    errors.push("active must be a boolean");
+  }
+
+  return errors;
+};
+
+const retryDelayMs = (attempts) => RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+// While an attempt is in flight the delivery is leased so the retry loop leaves it alone
+const leaseUntil = () => new Date(Date.now() + TIMEOUT_MS * 2).toISOString();
+
+// POSTs the body without following redirects. Resolves to the status code and the SHA-256 of
+// the response body.
+const request = (url, { headers, body }) => new Promise((resolve, reject) => {
+  const hostProblem = checkHostname(url.hostname, ADDRESS_OPTIONS);
+  if (hostProblem) return reject(new Error(hostProblem));
+
+  const client = url.protocol === "https:" ? https : http;
+  const req = client.request(url, {
+    method: "POST",
+    headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+    lookup: publicLookup(ADDRESS_OPTIONS),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  }, (res) => {
+    const bodyHash = crypto.createHash("sha256");
+    res.on("data", chunk => bodyHash.update(chunk));
+    res.on("end", () => resolve({ status: res.statusCode, bodyHash: bodyHash.digest("hex") }));
+    res.on("error", reject);
+  });
+
+  req.on("error", reject);
+  req.end(body);
+});
+
+const post = async (webhook, delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+
+  try {
+    const response = await request(new URL(webhook.url), {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "webapps-middleware-webhooks",
+        "X-Webhook-Id": delivery.payload.id,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": sign(webhook.secret, timestamp, body)
+      },
+      body
+    });
+    const ok = response.status >= 200 && response.status < 300;
+
+    return {
+      ok,
+      responseStatus: response.status,
+      responseBodyHash: response.bodyHash,
+      error: ok ? null : `Receiver responded with ${response.status}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      responseStatus: null,
+      responseBodyHash: null,
+      error: error.name === "AbortError" ? `Timed out after ${TIMEOUT_MS}ms` : error.message.slice(0, MAX_ERROR_LENGTH),
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+// Makes one attempt and schedules the next one if it failed. Resolves to null when another
+// process is already attempting the delivery.
+export const attemptDelivery = async (due) => {
+  const delivery = await db.webhookDeliveries.lease(due.id, due.nextAttemptAt, leaseUntil());
+  if (!delivery) return null;
+
+  const webhook = await db.webhooks.get(delivery.webhookId);
+
+  if (!webhook) {
+    return db.webhookDeliveries.update(delivery.id, {
+      status: "failed",
+      error: "Webhook was deleted",
+      nextAttemptAt: null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  const result = await post(webhook, delivery);
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+
+  let status = "pending";
+  let nextAttemptAt = new Date(now.getTime() + retryDelayMs(attempts)).toISOString();
+  if (result.ok) {
+    status = "succeeded";
+    nextAttemptAt = null;
+  } else if (attempts >= delivery.maxAttempts) {
+    status = "failed";
+    nextAttemptAt = null;
+  }
+
+  return db.webhookDeliveries.update(delivery.id, {
+    status,
+    attempts,
+    nextAttemptAt,
+    lastAttemptAt: now.toISOString(),
+    responseStatus: result.responseStatus,
+    responseBodyHash: result.responseBodyHash,
+    error: result.error,
+    durationMs: result.durationMs,
+    updatedAt: now.toISOString()
+  });
+};
+
+const queueDelivery = (webhook, event, payload, { maxAttempts = MAX_ATTEMPTS } = {}) => {
+  const createdAt = new Date().toISOString();
+
+  return db.webhookDeliveries.create({
+    webhookId: webhook.id,
+    organizationId: webhook.organizationId,
+    event,
+    payload,
+    status: "pending",
+    attempts: 0,
+    maxAttempts,
+    nextAttemptAt: leaseUntil(),
+    lastAttemptAt: null,
+    responseStatus: null,
+    responseBodyHash: null,
+    error: null,
+    createdAt,
+    updatedAt: createdAt
+  });
+};
+
+const buildPayload = (organizationId, event, data) => ({
+  id: `evt_${crypto.randomUUID().replace(/-/g, "")}`,
+  type: event,
+  createdAt: new Date().toISOString(),
+  organizationId,
+  data
+});
+
+// Notifies the organization's subscribers. Never throws, so callers don't have to guard it,
+// and doesn't wait for the receivers.
+export const deliverEvent = async (organizationId, event, data) => {
+  try {
+    const webhooks = await db.webhooks.findSubscribed(organizationId, event);
+    const payload = buildPayload(organizationId, event, data);
+
+    for (const webhook of webhooks) {
+      const delivery = await queueDelivery(webhook, event, payload);
+      attemptDelivery(delivery).catch(error => {
+        console.error(`Webhook delivery ${delivery.id} failed:`, error.message);
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to emit webhook event ${event}:`, error.message);
+  }
+};
+
+// Sends a webhook.test event once, without retries, and returns the finished delivery
+export const sendTestEvent = async (webhook, triggeredBy) => {
+  const payload = buildPayload(webhook.organizationId, "webhook.test", {
+    webhookId: webhook.id,
+    triggeredBy
+  });
+  const delivery = await queueDelivery(webhook, "webhook.test", payload, { maxAttempts: 1 });
+  return attemptDelivery(delivery);
+};
+
+export const retryDueDeliveries = async () => {
+  const due = await db.webhookDeliveries.listDue(new Date().toISOString(), RETRY_BATCH_SIZE);
+  for (const delivery of due) {
+    await attemptDelivery(delivery);
+  }
+  return due.length;
+};
+
+export const startWebhookRetries = () => {
+  if (!RETRY_INTERVAL_SECONDS) return null;
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryDueDeliveries();
+    } catch (error) {
+      console.error("Error retrying webhook deliveries:", error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  // Don't keep the process alive just for the retry timer
+  const timer = setInterval(run, RETRY_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,45 @@
+// storage/adapters/local.js
+// Stores files on the local disk under FILE_STORAGE_DIR (default ./uploads).
+import fs from "fs";
+import path from "path";
+
+export const createLocalStorage = ({ root = process.env.FILE_STORAGE_DIR || "uploads" } = {}) => {
+  const baseDir = path.resolve(root);
+
+  // Keys are relative paths such as "firmware/<id>/<file>"; refuse anything escaping the root
+  const resolve = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
@@ -0,0 +1,25 @@
+// storage/index.js
+// File storage used for uploads such as firmware images. Every adapter exposes
+// save(key, buffer), exists(key), createReadStream(key) and delete(key).
+import dotenv from "dotenv";
+import { createLocalStorage } from "./adapters/local.js";
+
+dotenv.config();
+
+const adapters = {
+  local: createLocalStorage
+};
+
+let storage;
+
+// Selected with FILE_STORAGE (local), defaults to local
+export const getFileStorage = () => {
+  if (!storage) {
+    const name = process.env.FILE_STORAGE || "local";
+    if (!adapters[name]) {
+      throw new Error(`Unknown FILE_STORAGE "${name}". Expected one of: ${Object.keys(adapters).join(", ")}`);
+    }
+    storage = adapters[name]();
+  }
+  return storage;
+};
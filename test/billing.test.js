@@ -0,0 +1,249 @@
+// test/billing.test.js
+import { createOrganization, startApi } from "./helpers.js";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import * as db from "../db/index.js";
+import invoicesRoutes from "../routes/invoices.js";
+import organizationsRoutes from "../routes/organizations.js";
+import plansRoutes from "../routes/plans.js";
+import { generateInvoices, recordPayment, startBillingFields } from "../services/billing.js";
+
+// An active member of a 49.90 monthly plan billed from startDate
+const addMember = async (orgId, { startDate, endDate = null }) => {
+  const gym = await db.gyms.create(orgId, { name: "Downtown", status: "active", createdAt: new Date().toISOString() });
+  const plan = await db.plans.create(orgId, { name: "Monthly", price: 49.9, billingInterval: "monthly", active: true, gymIds: [] });
+  return db.gymMembers.create(orgId, {
+    name: "Pat Member",
+    email: "pat@example.com",
+    status: "active",
+    homeGymId: gym.id,
+    planId: plan.id,
+    startDate,
+    endDate,
+    ...startBillingFields(plan, startDate)
+  });
+};
+
+describe("invoicing", () => {
+  let orgId;
+
+  before(async () => {
+    orgId = (await db.organizations.create({ name: "Billing", email: "billing@example.com" })).id;
+  });
+
+  test("opens one invoice per period up to asOf", async () => {
+    const member = await addMember(orgId, { startDate: "2026-01-15" });
+
+    const invoices = await generateInvoices(orgId, { asOf: "2026-03-20" });
+    assert.deepEqual(invoices.map(invoice => [invoice.periodStart, invoice.periodEnd]), [
+      ["2026-01-15", "2026-02-14"],
+      ["2026-02-15", "2026-03-14"],
+      ["2026-03-15", "2026-04-14"]
+    ]);
+    assert.ok(invoices.every(invoice => invoice.memberId === member.id && invoice.amount === 49.9 && invoice.status === "open"));
+
+    const updated = await db.gymMembers.get(orgId, member.id);
+    assert.equal(updated.nextBillingDate, "2026-04-15");
+  });
+
+  test("never bills a period twice", async () => {
+    assert.deepEqual(await generateInvoices(orgId, { asOf: "2026-03-20" }), []);
+  });
+
+  test("stops at the member's endDate", async () => {
+    const member = await addMember(orgId, { startDate: "2026-05-01", endDate: "2026-06-10" });
+
+    const invoices = (await generateInvoices(orgId, { asOf: "2026-08-01" })).filter(invoice => invoice.memberId === member.id);
+    assert.deepEqual(invoices.map(invoice => [invoice.periodStart, invoice.periodEnd]), [
+      ["2026-05-01", "2026-05-31"],
+      ["2026-06-01", "2026-06-10"]
+    ]);
+  });
+});
+
+describe("payments", () => {
+  let orgId;
+  let invoices;
+
+  before(async () => {
+    orgId = (await db.organizations.create({ name: "Payments", email: "payments@example.com" })).id;
+    await addMember(orgId, { startDate: "2026-01-01" });
+    invoices = await generateInvoices(orgId, { asOf: "2026-06-01" });
+  });
+
+  test("a cash payment marks the invoice paid", async () => {
+    const { data, payment, problem } = await recordPayment(invoices[0], { method: "cash", performedBy: "alice" });
+
+    assert.equal(problem, undefined);
+    assert.equal(data.status, "paid");
+    assert.ok(data.paidAt);
+    assert.equal(data.paymentLockedAt, null);
+    assert.equal(payment.amount, 49.9);
+    assert.deepEqual(data.payments, [payment]);
+  });
+
+  test("a paid invoice can't be paid again", async () => {
+    const paid = await db.invoices.get(orgId, invoices[0].id);
+    const { problem } = await recordPayment(paid, { method: "cash", performedBy: "alice" });
+
+    assert.equal(problem.status, 409);
+  });
+
+  test("a declined card leaves the invoice open with the failed attempt", async () => {
+    const { problem } = await recordPayment(invoices[1], { method: "card", paymentToken: "tok_declined", performedBy: "alice" });
+
+    assert.equal(problem.status, 402);
+    assert.equal(problem.data.status, "open");
+    assert.equal(problem.data.payments[0].status, "failed");
+    assert.equal(problem.data.paymentLockedAt, null);
+  });
+
+  test("card payments need a payment token", async () => {
+    const { problem } = await recordPayment(invoices[2], { method: "card", performedBy: "alice" });
+
+    assert.equal(problem.status, 400);
+  });
+
+  test("a card payment succeeds after a declined one", async () => {
+    const invoice = await db.invoices.get(orgId, invoices[1].id);
+    const { data } = await recordPayment(invoice, { method: "card", paymentToken: "tok_visa", performedBy: "alice" });
+
+    assert.equal(data.status, "paid");
+    assert.deepEqual(data.payments.map(payment => payment.status), ["failed", "succeeded"]);
+  });
+
+  test("parallel payments of the same invoice only take one", async () => {
+    const results = await Promise.all([
+      recordPayment(invoices[2], { method: "card", paymentToken: "tok_visa", performedBy: "alice" }),
+      recordPayment(invoices[2], { method: "card", paymentToken: "tok_visa", performedBy: "bob" })
+    ]);
+
+    assert.equal(results.filter(result => result.data).length, 1);
+    assert.equal(results.find(result => result.problem).problem.status, 409);
+    assert.equal((await db.invoices.get(orgId, invoices[2].id)).payments.length, 1);
+  });
+
+  test("a stale payment lock is taken over", async () => {
+    const stale = await db.invoices.update(orgId, invoices[3].id, { paymentLockedAt: "2026-01-01T00:00:00.000Z" });
+    const { data } = await recordPayment(stale, { method: "bank_transfer", reference: "TR-1", performedBy: "alice" });
+
+    assert.equal(data.status, "paid");
+  });
+});
+
+describe("payment API", () => {
+  let api;
+  let orgId;
+  let invoice;
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, invoicesRoutes);
+    orgId = (await createOrganization(api, "olga", "Olga Fitness")).id;
+    await addMember(orgId, { startDate: "2026-01-01" });
+    [invoice] = await generateInvoices(orgId, { asOf: "2026-01-01" });
+  });
+
+  after(() => api.close());
+
+  test("members without billing:manage can't take payments", async () => {
+    await db.memberships.create(orgId, "gina", { role: "gym_manager", gymIds: [] });
+
+    const { status } = await api.request("POST", `/organizations/${orgId}/invoices/${invoice.id}/payments`, {
+      as: "gina",
+      body: { method: "cash" }
+    });
+    assert.equal(status, 403);
+  });
+
+  test("parallel requests pay the invoice once", async () => {
+    const responses = await Promise.all([1, 2, 3].map(() => api.request("POST", `/organizations/${orgId}/invoices/${invoice.id}/payments`, {
+      as: "olga",
+      body: { method: "card", paymentToken: "tok_visa" }
+    })));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 409, 409]);
+
+    const { body } = await api.request("GET", `/organizations/${orgId}/invoices/${invoice.id}`, { as: "olga" });
+    assert.equal(body.data.status, "paid");
+    assert.equal(body.data.payments.length, 1);
+  });
+
+  test("a paid invoice can't be voided", async () => {
+    const { status } = await api.request("POST", `/organizations/${orgId}/invoices/${invoice.id}/void`, { as: "olga" });
+    assert.equal(status, 409);
+  });
+});
+
+describe("plan changes", () => {
+  let api;
+  let orgId;
+  let gyms;
+  let plan;
+  let member;
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, plansRoutes, invoicesRoutes);
+    orgId = (await createOrganization(api, "paula", "Paula Fitness")).id;
+    gyms = [
+      await db.gyms.create(orgId, { name: "Downtown", status: "active" }),
+      await db.gyms.create(orgId, { name: "Uptown", status: "active" })
+    ];
+
+    const { body } = await api.request("POST", `/organizations/${orgId}/plans`, {
+      as: "paula",
+      body: { name: "Monthly", price: 49.9, billingInterval: "monthly" }
+    });
+    plan = body.data;
+    member = await db.gymMembers.create(orgId, {
+      name: "Pat Member",
+      status: "active",
+      homeGymId: gyms[0].id,
+      planId: plan.id,
+      plan: plan.name,
+      startDate: "2026-01-15",
+      endDate: null,
+      ...startBillingFields(plan, "2026-01-15")
+    });
+  });
+
+  after(() => api.close());
+
+  const updatePlan = (body) => api.request("PUT", `/organizations/${orgId}/plans/${plan.id}`, { as: "paula", body });
+
+  test("a new name is copied to the plan's members", async () => {
+    assert.equal((await updatePlan({ name: "Standard" })).status, 200);
+
+    assert.equal((await db.gymMembers.get(orgId, member.id)).plan, "Standard");
+  });
+
+  test("a new billing interval applies from each member's next billing date", async () => {
+    await generateInvoices(orgId, { asOf: "2026-02-20" });
+    assert.equal((await db.gymMembers.get(orgId, member.id)).nextBillingDate, "2026-03-15");
+
+    assert.equal((await updatePlan({ billingInterval: "quarterly" })).status, 200);
+
+    const rebilled = await db.gymMembers.get(orgId, member.id);
+    assert.equal(rebilled.billingAnchorDate, "2026-03-15");
+    assert.equal(rebilled.billingIntervalMonths, 3);
+
+    const [invoice] = await generateInvoices(orgId, { asOf: "2026-03-20" });
+    assert.deepEqual([invoice.periodStart, invoice.periodEnd], ["2026-03-15", "2026-06-14"]);
+  });
+
+  test("gymIds can't leave out a member's home gym", async () => {
+    const { status, body } = await updatePlan({ gymIds: [gyms[1].id] });
+
+    assert.equal(status, 409);
+    assert.deepEqual(body.details, [{ memberId: member.id, name: "Pat Member", homeGymId: gyms[0].id }]);
+    assert.deepEqual((await db.plans.get(orgId, plan.id)).gymIds, []);
+
+    assert.equal((await updatePlan({ gymIds: [gyms[0].id] })).status, 200);
+  });
+
+  test("invoices can be generated without a body", async () => {
+    const { status, body } = await api.request("POST", `/organizations/${orgId}/invoices/generate`, { as: "paula" });
+
+    assert.ok([200, 201].includes(status), JSON.stringify(body));
+    assert.equal(body.success, true);
+  });
+});
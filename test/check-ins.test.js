@@ -0,0 +1,131 @@
+// test/check-ins.test.js
+import { createOrganization, startApi } from "./helpers.js";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import * as db from "../db/index.js";
+import checkInsRoutes from "../routes/check-ins.js";
+import organizationsRoutes from "../routes/organizations.js";
+import { CHECK_IN_MAX_HOURS, checkIn } from "../services/check-ins.js";
+
+describe("check-ins", () => {
+  let api;
+  let orgId;
+
+  const createGym = (fields) => db.gyms.create(orgId, { name: "Gym", organizationId: orgId, ...fields });
+
+  const createMember = (gym, fields = {}) => db.gymMembers.create(orgId, {
+    name: "Pat",
+    plan: "Monthly",
+    startDate: "2024-01-01",
+    endDate: null,
+    status: "active",
+    homeGymId: gym.id,
+    ...fields
+  });
+
+  const checkInAt = (gym, member) => api.request("POST", `/organizations/${orgId}/gyms/${gym.id}/check-ins`, {
+    as: "alice",
+    body: { memberId: member.id }
+  });
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, checkInsRoutes);
+    orgId = (await createOrganization(api, "alice")).id;
+  });
+
+  after(() => api.close());
+
+  test("admits members up to the gym's capacity", async () => {
+    const gym = await createGym({ capacity: 2 });
+    const members = [await createMember(gym), await createMember(gym), await createMember(gym)];
+
+    const first = await checkInAt(gym, members[0]);
+    assert.equal(first.status, 201);
+    assert.equal(first.body.occupancy, 1);
+    assert.equal((await checkInAt(gym, members[1])).status, 201);
+
+    const refused = await checkInAt(gym, members[2]);
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.error, "Gym is at capacity");
+    assert.equal(refused.body.occupancy, 2);
+  });
+
+  test("a check-out frees the place", async () => {
+    const gym = await createGym({ capacity: 1 });
+    const [inside, waiting] = [await createMember(gym), await createMember(gym)];
+    await checkInAt(gym, inside);
+
+    const checkedOut = await api.request("POST", `/organizations/${orgId}/gyms/${gym.id}/check-outs`, {
+      as: "alice",
+      body: { memberId: inside.id }
+    });
+    assert.equal(checkedOut.status, 200);
+    assert.equal(checkedOut.body.occupancy, 0);
+
+    assert.equal((await checkInAt(gym, waiting)).status, 201);
+  });
+
+  test("gyms with the warn policy admit over capacity with a warning", async () => {
+    const gym = await createGym({ capacity: 1, capacityPolicy: "warn" });
+    await checkInAt(gym, await createMember(gym));
+
+    const { status, body } = await checkInAt(gym, await createMember(gym));
+    assert.equal(status, 201);
+    assert.equal(body.data.overCapacity, true);
+    assert.match(body.warning, /at capacity/);
+  });
+
+  test("visits left open too long stop counting", async () => {
+    const gym = await createGym({ capacity: 1 });
+    const forgotten = await createMember(gym);
+    await db.checkIns.create(orgId, {
+      gymId: gym.id,
+      memberId: forgotten.id,
+      checkedInAt: new Date(Date.now() - (CHECK_IN_MAX_HOURS + 1) * 60 * 60 * 1000).toISOString(),
+      checkedOutAt: null
+    });
+
+    assert.equal((await checkInAt(gym, await createMember(gym))).status, 201);
+  });
+
+  test("a member can't check in twice", async () => {
+    const gym = await createGym({ capacity: 10 });
+    const member = await createMember(gym);
+    await checkInAt(gym, member);
+
+    const { status } = await checkInAt(gym, member);
+    assert.equal(status, 409);
+  });
+
+  test("expired memberships are refused", async () => {
+    const gym = await createGym({ capacity: 10 });
+    const member = await createMember(gym, { endDate: "2024-01-31" });
+
+    const { status, body } = await checkInAt(gym, member);
+    assert.equal(status, 409);
+    assert.equal(body.message, "The membership is expired");
+  });
+
+  test("parallel check-ins don't overfill the gym", async () => {
+    const gym = await createGym({ capacity: 2 });
+    const members = [];
+    for (let index = 0; index < 6; index++) {
+      members.push(await createMember(gym));
+    }
+
+    const results = await Promise.all(members.map(member => checkIn(gym, { memberId: member.id, source: "manual" })));
+
+    assert.equal(results.filter(result => result.data).length, 2);
+    assert.equal((await db.checkIns.list(orgId, { gymId: gym.id, open: true })).items.length, 2);
+  });
+
+  test("parallel check-ins of one member open one visit", async () => {
+    const gym = await createGym({});
+    const member = await createMember(gym);
+
+    const results = await Promise.all([1, 2, 3].map(() => checkIn(gym, { memberId: member.id, source: "manual" })));
+
+    assert.equal(results.filter(result => result.data).length, 1);
+    assert.equal((await db.checkIns.list(orgId, { memberId: member.id })).items.length, 1);
+  });
+});
@@ -0,0 +1,105 @@
+// test/device-connectivity.test.js
+import { createOrganization, startApi } from "./helpers.js";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import * as db from "../db/index.js";
+import devicesRoutes from "../routes/devices.js";
+import organizationsRoutes from "../routes/organizations.js";
+import { issueCredential } from "../services/device-credentials.js";
+import { OFFLINE_TIMEOUT_SECONDS, ONLINE_TIMEOUT_SECONDS, getConnectivity } from "../services/device-connectivity.js";
+
+describe("device heartbeats", () => {
+  let api;
+  let device;
+  let asDevice;
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, devicesRoutes);
+    const organization = await createOrganization(api, "alice");
+    device = await db.devices.create({
+      deviceName: "Front door",
+      type: "access_control",
+      serialNumber: "SN-1",
+      organizationId: organization.id,
+      createdAt: new Date().toISOString()
+    });
+
+    const { apiKey } = await issueCredential(device.id, "alice");
+    asDevice = { headers: { Authorization: `Device ${apiKey}` } };
+  });
+
+  after(() => api.close());
+
+  test("a device that never reported is offline", async () => {
+    const { status, body } = await api.request("GET", `/devices/${device.id}`, { as: "alice" });
+    assert.equal(status, 200);
+    assert.equal(body.data.connectivity, "offline");
+  });
+
+  test("a heartbeat without a body marks the device online", async () => {
+    const { status, body } = await api.request("POST", `/devices/${device.id}/heartbeat`, asDevice);
+    assert.equal(status, 200);
+    assert.equal(body.data.connectivity, "online");
+
+    const stored = await db.devices.get(device.id);
+    assert.equal(stored.lastSeenAt, body.data.lastSeenAt);
+    assert.deepEqual(stored.lastHeartbeat, { firmwareVersion: null, uptime: null, ipAddress: null, receivedAt: stored.lastSeenAt });
+  });
+
+  test("records what the device reports", async () => {
+    const { status } = await api.request("POST", `/devices/${device.id}/heartbeat`, {
+      ...asDevice,
+      body: { firmwareVersion: "2.1.0", uptime: 3600, ipAddress: "10.0.0.5" }
+    });
+    assert.equal(status, 200);
+
+    const stored = await db.devices.get(device.id);
+    assert.equal(stored.firmwareVersion, "2.1.0");
+    assert.equal(stored.ipAddress, "10.0.0.5");
+    assert.equal(stored.lastHeartbeat.uptime, 3600);
+  });
+
+  test("refuses malformed fields", async () => {
+    const { status, body } = await api.request("POST", `/devices/${device.id}/heartbeat`, {
+      ...asDevice,
+      body: { uptime: -1 }
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body.details, ["uptime must be a non-negative number of seconds"]);
+  });
+
+  test("a device can only report for itself", async () => {
+    const other = await db.devices.create({ deviceName: "Back door", serialNumber: "SN-2", organizationId: device.organizationId });
+    const { apiKey } = await issueCredential(other.id, "alice");
+
+    const { status } = await api.request("POST", `/devices/${device.id}/heartbeat`, {
+      headers: { Authorization: `Device ${apiKey}` }
+    });
+    assert.equal(status, 403);
+  });
+
+  test("users can't report for a device", async () => {
+    const { status } = await api.request("POST", `/devices/${device.id}/heartbeat`, { as: "alice" });
+    assert.equal(status, 401);
+  });
+});
+
+describe("getConnectivity", () => {
+  const now = Date.parse("2024-06-01T12:00:00Z");
+  const seenSecondsAgo = (seconds) => ({ lastSeenAt: new Date(now - seconds * 1000).toISOString() });
+
+  test("is online within the online timeout", () => {
+    assert.equal(getConnectivity(seenSecondsAgo(0), now), "online");
+    assert.equal(getConnectivity(seenSecondsAgo(ONLINE_TIMEOUT_SECONDS), now), "online");
+  });
+
+  test("is stale until the offline timeout", () => {
+    assert.equal(getConnectivity(seenSecondsAgo(ONLINE_TIMEOUT_SECONDS + 1), now), "stale");
+    assert.equal(getConnectivity(seenSecondsAgo(OFFLINE_TIMEOUT_SECONDS), now), "stale");
+  });
+
+  test("is offline after that, or without any heartbeat", () => {
+    assert.equal(getConnectivity(seenSecondsAgo(OFFLINE_TIMEOUT_SECONDS + 1), now), "offline");
+    assert.equal(getConnectivity({}, now), "offline");
+  });
+});
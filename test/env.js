@@ -0,0 +1,10 @@
+// test/env.js
+// Settings of the test runs: everything runs against the memory backend with local auth tokens.
+// Imported before anything that reads them.
+process.env.STORAGE_BACKEND = "memory";
+process.env.AUTH_PROVIDER = "local";
+process.env.LOCAL_AUTH_SECRET = "test-secret";
+process.env.PAYMENT_PROCESSOR = "fake";
+
+// The webhook tests deliver to a receiver on localhost
+process.env.WEBHOOK_ALLOW_LOCALHOST = "true";
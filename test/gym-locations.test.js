@@ -0,0 +1,99 @@
+// test/gym-locations.test.js
+import { createOrganization, startApi } from "./helpers.js";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import * as db from "../db/index.js";
+import gymsRoutes from "../routes/gyms-routes.js";
+import organizationsRoutes from "../routes/organizations.js";
+import { distanceKm, PUBLIC_GYM_FIELDS } from "../services/gym-locations.js";
+
+describe("gym location searches", () => {
+  let api;
+  let orgId;
+
+  const createGym = (name, fields) => db.gyms.create(orgId, { name, organizationId: orgId, status: "ACTIVE", ...fields });
+
+  const search = (path, query) => api.request("GET", `/organizations/${orgId}/gyms/${path}?${new URLSearchParams(query)}`, { as: "alice" });
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, gymsRoutes);
+    orgId = (await createOrganization(api, "alice", "Alice Gyms")).id;
+
+    await createGym("Mitte", { latitude: 52.5219, longitude: 13.4132, visibility: "public", manager: "Sam" });
+    await createGym("Kreuzberg", { latitude: 52.4986, longitude: 13.4033, visibility: "private" });
+    await createGym("Potsdam", { latitude: 52.3906, longitude: 13.0645, visibility: "public" });
+    await createGym("Unmapped", { latitude: null, longitude: null, visibility: "public" });
+    await createGym("Suva", { latitude: -18.1416, longitude: 178.4419, visibility: "private" });
+    await createGym("Apia", { latitude: -13.8333, longitude: -171.7667, visibility: "private" });
+  });
+
+  after(() => api.close());
+
+  test("nearby finds gyms within the radius, nearest first", async () => {
+    const { status, body } = await search("nearby", { latitude: 52.52, longitude: 13.405, radiusKm: 5 });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(gym => gym.name), ["Mitte", "Kreuzberg"]);
+    assert.ok(body.data[0].distanceKm < body.data[1].distanceKm);
+    assert.equal(body.total, 2);
+
+    const wider = await search("nearby", { latitude: 52.52, longitude: 13.405, radiusKm: 50, limit: 2 });
+    assert.equal(wider.body.count, 2);
+    assert.equal(wider.body.total, 3);
+  });
+
+  test("nearby rejects missing or out of range parameters", async () => {
+    const missing = await search("nearby", { longitude: 13.405 });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.message, "latitude is required");
+
+    assert.equal((await search("nearby", { latitude: 52.52, longitude: 13.405, radiusKm: 501 })).status, 400);
+    assert.equal((await search("nearby", { latitude: 91, longitude: 13.405 })).status, 400);
+  });
+
+  test("within finds the gyms inside the viewport", async () => {
+    const { status, body } = await search("within", { north: 52.6, south: 52.45, east: 13.5, west: 13.3 });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(gym => gym.name).sort(), ["Kreuzberg", "Mitte"]);
+
+    const inverted = await search("within", { north: 52.45, south: 52.6, east: 13.5, west: 13.3 });
+    assert.equal(inverted.status, 400);
+  });
+
+  test("within handles a viewport across the antimeridian", async () => {
+    const { body } = await search("within", { north: -10, south: -20, east: -170, west: 175 });
+
+    assert.deepEqual(body.data.map(gym => gym.name).sort(), ["Apia", "Suva"]);
+  });
+
+  test("the public directory lists public gyms without signing in", async () => {
+    const { status, body } = await api.request("GET", `/gyms/nearby?${new URLSearchParams({ latitude: 52.52, longitude: 13.405, radiusKm: 50 })}`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(gym => gym.name), ["Mitte", "Potsdam"]);
+    assert.equal(body.data[0].organizationName, "Alice Gyms");
+    assert.equal(body.data[0].manager, undefined);
+    assert.deepEqual(Object.keys(body.data[0]).sort(), [...PUBLIC_GYM_FIELDS, "organizationName", "distanceKm"].sort());
+  });
+
+  test("latitude and longitude are set together", async () => {
+    const { status, body } = await api.request("POST", `/organizations/${orgId}/gyms`, {
+      as: "alice",
+      body: { name: "Half", address: "1 Main St", phone: "555 0100", email: "gym@example.com", capacity: 50, manager: "Sam", latitude: 52.5 }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].field, "longitude");
+  });
+});
+
+describe("distanceKm", () => {
+  test("measures great-circle kilometres", () => {
+    const berlin = { latitude: 52.52, longitude: 13.405 };
+    const paris = { latitude: 48.8566, longitude: 2.3522 };
+
+    assert.equal(Math.round(distanceKm(berlin, paris)), 877);
+    assert.equal(distanceKm(berlin, berlin), 0);
+  });
+});
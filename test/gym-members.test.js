@@ -0,0 +1,121 @@
+// test/gym-members.test.js
+import { createOrganization, startApi } from "./helpers.js";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import * as db from "../db/index.js";
+import gymMembersRoutes from "../routes/gym-members.js";
+import gymsRoutes from "../routes/gyms-routes.js";
+import organizationsRoutes from "../routes/organizations.js";
+import { effectiveStatus, expireMemberships, today } from "../services/gym-members.js";
+
+const daysFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe("gym members", () => {
+  let api;
+  let orgId;
+  let plan;
+
+  const createGym = async (name) => {
+    const { status, body } = await api.request("POST", `/organizations/${orgId}/gyms`, {
+      as: "alice",
+      body: { name, address: "1 Main St", phone: "555 0100", email: "gym@example.com", capacity: 50, manager: "Sam" }
+    });
+    assert.equal(status, 201);
+    return body.data;
+  };
+
+  const addMember = async (gymId, fields = {}) => {
+    const { status, body } = await api.request("POST", `/organizations/${orgId}/gyms/${gymId}/members`, {
+      as: "alice",
+      body: { name: "Pat", planId: plan.id, startDate: daysFromToday(-30), ...fields }
+    });
+    assert.equal(status, 201, JSON.stringify(body));
+    return body.data;
+  };
+
+  const memberCount = async (gymId) => (await db.gyms.get(orgId, gymId, { includeDeleted: true })).members;
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, gymsRoutes, gymMembersRoutes);
+    orgId = (await createOrganization(api, "alice")).id;
+    plan = await db.plans.create(orgId, { name: "Monthly", price: 49.9, billingInterval: "monthly", active: true, gymIds: [] });
+  });
+
+  after(() => api.close());
+
+  test("a gym counts its active members", async () => {
+    const gym = await createGym("Downtown");
+    const first = await addMember(gym.id);
+    await addMember(gym.id);
+    await addMember(gym.id, { status: "paused" });
+    assert.equal(await memberCount(gym.id), 2);
+
+    await api.request("PUT", `/organizations/${orgId}/gyms/${gym.id}/members/${first.id}`, { as: "alice", body: { status: "paused" } });
+    assert.equal(await memberCount(gym.id), 1);
+
+    await api.request("DELETE", `/organizations/${orgId}/gyms/${gym.id}/members/${first.id}`, { as: "alice" });
+    assert.equal(await memberCount(gym.id), 1);
+  });
+
+  test("moving a member recounts both gyms", async () => {
+    const from = await createGym("Eastside");
+    const to = await createGym("Westside");
+    const member = await addMember(from.id);
+
+    const { status } = await api.request("PUT", `/organizations/${orgId}/gyms/${from.id}/members/${member.id}`, {
+      as: "alice",
+      body: { homeGymId: to.id }
+    });
+    assert.equal(status, 200);
+    assert.equal(await memberCount(from.id), 0);
+    assert.equal(await memberCount(to.id), 1);
+  });
+
+  test("a membership that already ended is stored as expired", async () => {
+    const gym = await createGym("Northside");
+    const member = await addMember(gym.id, { startDate: daysFromToday(-60), endDate: daysFromToday(-1) });
+
+    assert.equal(member.status, "expired");
+    assert.equal(await memberCount(gym.id), 0);
+  });
+
+  test("memberships past their endDate expire and stop counting", async () => {
+    const gym = await createGym("Southside");
+    const ending = await addMember(gym.id, { endDate: today() });
+    await addMember(gym.id, { endDate: daysFromToday(30) });
+    assert.equal(await memberCount(gym.id), 2);
+
+    // The day after the endDate
+    const expired = await expireMemberships(orgId, daysFromToday(1), { actorType: "system", performedBy: "test" });
+
+    assert.deepEqual(expired.map(member => member.id), [ending.id]);
+    assert.equal((await db.gymMembers.get(orgId, ending.id)).status, "expired");
+    assert.equal(await memberCount(gym.id), 1);
+  });
+
+  test("a gym with active members can't be deleted", async () => {
+    const gym = await createGym("Harbor");
+    const member = await addMember(gym.id);
+
+    const refused = await api.request("DELETE", `/organizations/${orgId}/gyms/${gym.id}`, { as: "alice" });
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.memberCount, 1);
+
+    await api.request("PUT", `/organizations/${orgId}/gyms/${gym.id}/members/${member.id}`, { as: "alice", body: { status: "cancelled" } });
+
+    const deleted = await api.request("DELETE", `/organizations/${orgId}/gyms/${gym.id}`, { as: "alice" });
+    assert.equal(deleted.status, 200);
+  });
+});
+
+describe("effectiveStatus", () => {
+  test("active memberships expire the day after their endDate", () => {
+    assert.equal(effectiveStatus({ status: "active", endDate: "2024-03-31" }, "2024-03-31"), "active");
+    assert.equal(effectiveStatus({ status: "active", endDate: "2024-03-31" }, "2024-04-01"), "expired");
+    assert.equal(effectiveStatus({ status: "active", endDate: null }, "2024-04-01"), "active");
+  });
+
+  test("leaves other statuses alone", () => {
+    assert.equal(effectiveStatus({ status: "paused", endDate: "2024-03-31" }, "2024-04-01"), "paused");
+  });
+});
@@ -0,0 +1,56 @@
+// test/helpers.js
+// Serves routers the way server.js does, for tests that go through the HTTP API. Test files
+// import it first, so test/env.js applies before the app loads.
+import "./env.js";
+import express from "express";
+import { signLocalToken } from "../auth/providers/local.js";
+
+export const tokenFor = (uid, claims = {}) => signLocalToken({ uid, email: `${uid}@example.com`, ...claims });
+
+// Mounts the routers under /api on a free port. request() sends `body` as JSON (or no body at
+// all) with the token of `as` (a uid) or the given headers and resolves to { status, body };
+// baseUrl is there for requests that don't send or expect JSON.
+export const startApi = async (...routers) => {
+  const app = express();
+  app.use(express.json());
+  for (const router of routers) {
+    app.use("/api", router);
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  return {
+    baseUrl,
+
+    request: async (method, path, { as, token = as && tokenFor(as), headers = {}, body } = {}) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined && { "Content-Type": "application/json" }),
+          ...(token && { Authorization: `Bearer ${token}` }),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+};
+
+// Creates an organization through the API; its creator becomes the owner
+export const createOrganization = async (api, owner, name = "Test Gym Group") => {
+  const { status, body } = await api.request("POST", "/organizations", {
+    as: owner,
+    body: { name, email: `${name.toLowerCase().replace(/\W+/g, "-")}@example.com` }
+  });
+  if (status !== 201) throw new Error(`Creating organization failed with ${status}: ${JSON.stringify(body)}`);
+  return body.data;
+};
@@ -0,0 +1,124 @@
+// test/import-export.test.js
+import { createOrganization, startApi, tokenFor } from "./helpers.js";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import gymsRoutes from "../routes/gyms-routes.js";
+import organizationsRoutes from "../routes/organizations.js";
+import { parseCsv, toCsvRow } from "../utils/csv.js";
+
+const ROUND_TRIP_FIELDS = ["name", "address", "phone", "email", "capacity", "manager", "amenities"];
+
+describe("CSV cells", () => {
+  test("formula-like text is quoted with a leading '", () => {
+    assert.equal(toCsvRow(["=SUM(A1:A2)", "+1 555 0100", "-5", "@home", "plain"]), "'=SUM(A1:A2),'+1 555 0100,'-5,'@home,plain\r\n");
+  });
+
+  test("numbers aren't quoted", () => {
+    assert.equal(toCsvRow([-5, 0]), "-5,0\r\n");
+  });
+
+  test("parse back to what was written", () => {
+    const values = ["=HYPERLINK(\"http://x\")", "'=already quoted", "'plain quote", "line\nbreak", "comma, \"quotes\"", ""];
+    const csv = toCsvRow(values.map((value, index) => `c${index}`)) + toCsvRow(values);
+
+    assert.deepEqual(Object.values(parseCsv(csv)[0]), values);
+  });
+});
+
+describe("gym export and import", () => {
+  let api;
+  let source;
+  let target;
+
+  const gyms = [
+    {
+      name: "=Downtown",
+      address: "1 Main St, Springfield",
+      phone: "+1 555 0100",
+      email: "downtown@example.com",
+      capacity: 120,
+      manager: "@sam",
+      amenities: ["pool", "=sauna"]
+    },
+    {
+      name: "Uptown \"North\"",
+      address: "2 High St",
+      phone: "555 0101",
+      email: "uptown@example.com",
+      capacity: 80,
+      manager: "-Jo",
+      amenities: []
+    }
+  ];
+
+  const exportCsv = async (orgId) => {
+    const response = await fetch(`${api.baseUrl}/organizations/${orgId}/gyms/export?format=csv`, {
+      headers: { Authorization: `Bearer ${tokenFor("alice")}` }
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/csv/);
+    return response.text();
+  };
+
+  const pick = (gym) => Object.fromEntries(ROUND_TRIP_FIELDS.map(field => [field, gym[field]]));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, gymsRoutes);
+    source = await createOrganization(api, "alice", "Source Gyms");
+    target = await createOrganization(api, "alice", "Target Gyms");
+
+    for (const gym of gyms) {
+      const { status } = await api.request("POST", `/organizations/${source.id}/gyms`, { as: "alice", body: gym });
+      assert.equal(status, 201);
+    }
+  });
+
+  after(() => api.close());
+
+  test("formula-like cells are exported quoted", async () => {
+    const csv = await exportCsv(source.id);
+
+    assert.match(csv, /(^|,)'=Downtown,/m);
+    assert.match(csv, /,'\+1 555 0100,/);
+    assert.match(csv, /,'@sam,/);
+    assert.match(csv, /,'-Jo,/);
+  });
+
+  test("an export imports back unchanged", async () => {
+    const csv = await exportCsv(source.id);
+
+    const response = await fetch(`${api.baseUrl}/organizations/${target.id}/gyms/import`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${tokenFor("alice")}`, "Content-Type": "text/csv" },
+      body: csv
+    });
+    const report = await response.json();
+    assert.equal(response.status, 201, JSON.stringify(report));
+    assert.equal(report.data.created, 2);
+
+    const imported = await api.request("GET", `/organizations/${target.id}/gyms`, { as: "alice" });
+    assert.deepEqual(imported.body.data.map(pick).sort(byName), gyms.map(pick).sort(byName));
+  });
+
+  test("nothing is imported when a row is invalid", async () => {
+    const { status, body } = await api.request("POST", `/organizations/${target.id}/gyms/import`, {
+      as: "alice",
+      body: { gyms: [gyms[0], { name: "No address" }] }
+    });
+    assert.equal(status, 400);
+    assert.equal(body.data.invalid, 1);
+    assert.equal(body.data.created, 0);
+    assert.equal(body.data.rows[1].status, "invalid");
+  });
+
+  test("validateOnly only reports", async () => {
+    const { status, body } = await api.request("POST", `/organizations/${target.id}/gyms/import?validateOnly=true`, {
+      as: "alice",
+      body: { gyms }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.data.valid, 2);
+    assert.equal(body.data.created, 0);
+  });
+});
@@ -0,0 +1,133 @@
+// test/opening-hours.test.js
+import { createOrganization, startApi } from "./helpers.js";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import * as db from "../db/index.js";
+import gymsRoutes from "../routes/gyms-routes.js";
+import organizationsRoutes from "../routes/organizations.js";
+import { checkSchedule, dailyHours, isOpenAt, normalizeOpeningHours } from "../services/opening-hours.js";
+
+// Monday 2026-10-19, 10:00 in Berlin (CEST)
+const MONDAY_MORNING = "2026-10-19T08:00:00Z";
+
+const weekdays = (hours) => normalizeOpeningHours({
+  monday: hours, tuesday: hours, wednesday: hours, thursday: hours, friday: hours
+});
+
+describe("isOpenAt", () => {
+  test("reads the weekday's intervals in the gym's time zone", () => {
+    const gym = { openingHours: weekdays([{ open: "09:00", close: "12:00" }]), timezone: "Europe/Berlin" };
+
+    assert.equal(isOpenAt(gym, MONDAY_MORNING), true);
+    assert.equal(isOpenAt(gym, "2026-10-19T10:00:00Z"), false);
+    assert.equal(isOpenAt({ ...gym, timezone: "UTC" }, MONDAY_MORNING), false);
+    assert.equal(isOpenAt(gym, "2026-10-18T08:00:00Z"), false);
+  });
+
+  test("holidays replace the day's hours", () => {
+    const gym = {
+      openingHours: weekdays([{ open: "06:00", close: "22:00" }]),
+      holidays: [{ date: "2026-10-19", name: "Closed for repairs", hours: [] }],
+      timezone: "Europe/Berlin"
+    };
+
+    assert.equal(isOpenAt(gym, MONDAY_MORNING), false);
+    assert.equal(isOpenAt(gym, "2026-10-20T08:00:00Z"), true);
+  });
+
+  test("openingTime / closingTime without openingHours apply every day", () => {
+    const lateNight = { openingTime: "18:00", closingTime: "02:00" };
+
+    assert.equal(isOpenAt(lateNight, "2026-10-18T01:00:00Z"), true);
+    assert.equal(isOpenAt(lateNight, "2026-10-18T12:00:00Z"), false);
+    assert.equal(isOpenAt({ openingTime: "", closingTime: "" }, MONDAY_MORNING), false);
+    assert.deepEqual(dailyHours("06:00", "06:00").sunday, [{ open: "00:00", close: "24:00" }]);
+  });
+});
+
+describe("checkSchedule", () => {
+  test("reports reversed and overlapping intervals, duplicate holidays and unknown zones", () => {
+    const errors = checkSchedule({
+      openingHours: {
+        monday: [{ open: "22:00", close: "02:00" }],
+        tuesday: [{ open: "06:00", close: "12:00" }, { open: "11:00", close: "20:00" }]
+      },
+      holidays: [{ date: "2026-12-25" }, { date: "2026-12-25" }],
+      timezone: "Mars/Olympus_Mons"
+    });
+
+    assert.deepEqual(errors.map(error => [error.field, error.code]), [
+      ["timezone", "invalid_value"],
+      ["openingHours.monday[0]", "invalid_interval"],
+      ["openingHours.tuesday[1]", "overlapping_intervals"],
+      ["holidays[1].date", "duplicate"]
+    ]);
+  });
+});
+
+describe("gyms open at a time", () => {
+  let api;
+  let orgId;
+  const openIds = [];
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, gymsRoutes);
+    orgId = (await createOrganization(api, "alice")).id;
+
+    // Every other gym is open on Monday morning, so pages have to read past the closed ones
+    for (let index = 0; index < 8; index++) {
+      const createdAt = new Date(Date.UTC(2024, 0, 1 + index)).toISOString();
+      const open = index % 2 === 0;
+      const gym = await db.gyms.create(orgId, {
+        name: `Gym ${index}`,
+        openingHours: weekdays(open ? [{ open: "06:00", close: "22:00" }] : []),
+        holidays: [],
+        timezone: "Europe/Berlin",
+        createdAt,
+        updatedAt: createdAt
+      });
+      if (open) openIds.unshift(gym.id);
+    }
+  });
+
+  after(() => api.close());
+
+  test("?openAt pages through the open gyms only, each once", async () => {
+    const seen = [];
+    let cursor = "";
+
+    do {
+      const { status, body } = await api.request("GET", `/organizations/${orgId}/gyms?limit=3&openAt=${MONDAY_MORNING}${cursor && `&cursor=${cursor}`}`, { as: "alice" });
+      assert.equal(status, 200);
+      seen.push(...body.data.map(gym => gym.id));
+      cursor = body.pagination.nextCursor;
+    } while (cursor);
+
+    assert.deepEqual(seen, openIds);
+  });
+
+  test("rejects an openAt that isn't a timestamp", async () => {
+    const { status, body } = await api.request("GET", `/organizations/${orgId}/gyms?openAt=monday`, { as: "alice" });
+
+    assert.equal(status, 400);
+    assert.match(body.message, /openAt/);
+  });
+
+  test("openingHours are validated on create", async () => {
+    const { status, body } = await api.request("POST", `/organizations/${orgId}/gyms`, {
+      as: "alice",
+      body: {
+        name: "Night Owl",
+        address: "1 Main St",
+        phone: "555 0100",
+        email: "gym@example.com",
+        capacity: 50,
+        manager: "Sam",
+        openingHours: { monday: [{ open: "06:00", close: "25:00" }] }
+      }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].field, "openingHours.monday[0].close");
+  });
+});
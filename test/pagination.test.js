@@ -0,0 +1,86 @@
+// test/pagination.test.js
+import { createOrganization, startApi } from "./helpers.js";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import * as db from "../db/index.js";
+import gymsRoutes from "../routes/gyms-routes.js";
+import organizationsRoutes from "../routes/organizations.js";
+import { MAX_PAGE_SIZE, parsePagination } from "../utils/pagination.js";
+
+describe("cursor pagination", () => {
+  let api;
+  let organization;
+  const gymIds = [];
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, gymsRoutes);
+    organization = await createOrganization(api, "alice");
+
+    // Pairs of gyms share a createdAt, so pages also have to break ties by id
+    for (let index = 0; index < 7; index++) {
+      const createdAt = new Date(Date.UTC(2024, 0, 1 + Math.floor(index / 2))).toISOString();
+      const gym = await db.gyms.create(organization.id, { name: `Gym ${index}`, createdAt, updatedAt: createdAt });
+      gymIds.push(gym.id);
+    }
+  });
+
+  after(() => api.close());
+
+  const listGyms = (query) => api.request("GET", `/organizations/${organization.id}/gyms?${query}`, { as: "alice" });
+
+  test("walks every record once, newest first", async () => {
+    const seen = [];
+    let cursor = "";
+    let pages = 0;
+
+    do {
+      const { status, body } = await listGyms(`limit=3${cursor && `&cursor=${cursor}`}`);
+      assert.equal(status, 200);
+      assert.ok(body.data.length <= 3);
+      assert.equal(body.pagination.hasMore, body.pagination.nextCursor !== null);
+
+      seen.push(...body.data);
+      cursor = body.pagination.nextCursor;
+      pages++;
+    } while (cursor);
+
+    assert.equal(pages, 3);
+    assert.deepEqual(seen.map(gym => gym.id).sort(), [...gymIds].sort());
+
+    const createdAts = seen.map(gym => gym.createdAt);
+    assert.deepEqual(createdAts, [...createdAts].sort().reverse());
+  });
+
+  test("includes the total on request", async () => {
+    const { body } = await listGyms("limit=2&includeTotal=true");
+    assert.equal(body.count, 2);
+    assert.equal(body.pagination.total, 7);
+
+    const { body: withoutTotal } = await listGyms("limit=2");
+    assert.equal(withoutTotal.pagination.total, undefined);
+  });
+
+  test("refuses cursors it didn't issue", async () => {
+    const { status, body } = await listGyms("cursor=not-a-cursor");
+    assert.equal(status, 400);
+    assert.equal(body.message, "Invalid cursor");
+  });
+
+  test("doesn't accept a cursor of another ordering", async () => {
+    const cursor = Buffer.from(JSON.stringify({ o: ["name:asc"], v: ["Gym 1"], id: gymIds[1] })).toString("base64url");
+    assert.equal((await listGyms(`cursor=${cursor}`)).status, 400);
+  });
+});
+
+describe("parsePagination", () => {
+  test("clamps the limit", () => {
+    assert.equal(parsePagination({ limit: "0" }).limit, 1);
+    assert.equal(parsePagination({ limit: String(MAX_PAGE_SIZE + 1) }).limit, MAX_PAGE_SIZE);
+    assert.equal(parsePagination({ limit: "abc" }).limit, 100);
+  });
+
+  test("only counts the total when asked to", () => {
+    assert.equal(parsePagination({}).includeTotal, false);
+    assert.equal(parsePagination({ includeTotal: "true" }).includeTotal, true);
+  });
+});
@@ -0,0 +1,113 @@
+// test/permissions.test.js
+import { createOrganization, startApi, tokenFor } from "./helpers.js";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+import * as db from "../db/index.js";
+import { getAccessibleOrganizationIds, hasPermission } from "../middleware/permissions.js";
+import membersRoutes from "../routes/members.js";
+import organizationsRoutes from "../routes/organizations.js";
+
+describe("organization access", () => {
+  let api;
+  let organization;
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, membersRoutes);
+    organization = await createOrganization(api, "alice");
+  });
+
+  after(() => api.close());
+
+  test("the creator becomes the owner", async () => {
+    const membership = await db.memberships.get(organization.id, "alice");
+    assert.equal(membership.role, "owner");
+
+    const { status } = await api.request("PUT", `/organizations/${organization.id}`, { as: "alice", body: { name: "Renamed" } });
+    assert.equal(status, 200);
+  });
+
+  test("users without a membership are refused", async () => {
+    const { status } = await api.request("GET", `/organizations/${organization.id}`, { as: "mallory" });
+    assert.equal(status, 403);
+
+    const list = await api.request("GET", "/organizations", { as: "mallory" });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.data, []);
+  });
+
+  test("requests without a token are refused", async () => {
+    const { status } = await api.request("GET", `/organizations/${organization.id}`);
+    assert.equal(status, 401);
+  });
+
+  test("viewers can read but not change the organization", async () => {
+    const added = await api.request("POST", `/organizations/${organization.id}/members`, {
+      as: "alice",
+      body: { userId: "victor", role: "viewer" }
+    });
+    assert.equal(added.status, 201);
+
+    assert.equal((await api.request("GET", `/organizations/${organization.id}`, { as: "victor" })).status, 200);
+    assert.equal((await api.request("PUT", `/organizations/${organization.id}`, { as: "victor", body: { name: "Mine" } })).status, 403);
+    assert.equal((await api.request("GET", `/organizations/${organization.id}/members`, { as: "victor" })).status, 403);
+  });
+
+  test("only owners can add owners", async () => {
+    await api.request("POST", `/organizations/${organization.id}/members`, { as: "alice", body: { userId: "adam", role: "admin" } });
+
+    const { status } = await api.request("POST", `/organizations/${organization.id}/members`, {
+      as: "adam",
+      body: { userId: "oscar", role: "owner" }
+    });
+    assert.equal(status, 403);
+  });
+
+  test("the last owner can't be removed", async () => {
+    const { status } = await api.request("DELETE", `/organizations/${organization.id}/members/alice`, { as: "alice" });
+    assert.equal(status, 409);
+  });
+
+  test("a removed owner loses access, even as the organization's creator", async () => {
+    const other = await createOrganization(api, "carol", "Carol Fitness");
+    await api.request("POST", `/organizations/${other.id}/members`, { as: "carol", body: { userId: "dave", role: "owner" } });
+
+    const removed = await api.request("DELETE", `/organizations/${other.id}/members/carol`, { as: "dave" });
+    assert.equal(removed.status, 200);
+
+    assert.equal((await api.request("GET", `/organizations/${other.id}`, { as: "carol" })).status, 403);
+    assert.deepEqual(await getAccessibleOrganizationIds({ uid: "carol" }), []);
+  });
+
+  test("organizations without memberships are not opened up to their creator", async () => {
+    const legacy = await db.organizations.create({ name: "Legacy", email: "legacy@example.com", createdBy: "erin" });
+
+    assert.equal((await api.request("GET", `/organizations/${legacy.id}`, { as: "erin" })).status, 403);
+  });
+
+  test("super admins can read every organization", async () => {
+    const token = tokenFor("root", { superAdmin: true });
+
+    assert.equal((await api.request("GET", `/organizations/${organization.id}`, { token })).status, 200);
+    assert.equal(await getAccessibleOrganizationIds({ uid: "root", superAdmin: true }), null);
+  });
+});
+
+describe("hasPermission", () => {
+  const manager = { role: "gym_manager", gymIds: ["gym-1"] };
+
+  test("limits gym managers to their gyms", () => {
+    assert.equal(hasPermission(manager, "gym:update", { gymId: "gym-1" }), true);
+    assert.equal(hasPermission(manager, "gym:update", { gymId: "gym-2" }), false);
+    assert.equal(hasPermission(manager, "gym:update"), false);
+  });
+
+  test("doesn't scope permissions that aren't gym-specific", () => {
+    assert.equal(hasPermission(manager, "gym:read"), true);
+    assert.equal(hasPermission(manager, "gym:delete", { gymId: "gym-1" }), false);
+  });
+
+  test("refuses without a membership or with an unknown role", () => {
+    assert.equal(hasPermission(null, "organization:read"), false);
+    assert.equal(hasPermission({ role: "guest" }, "organization:read"), false);
+  });
+});
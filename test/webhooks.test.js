@@ -0,0 +1,158 @@
+// test/webhooks.test.js
+import { createOrganization, startApi } from "./helpers.js";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { after, before, describe, test } from "node:test";
+import * as db from "../db/index.js";
+import organizationsRoutes from "../routes/organizations.js";
+import webhooksRoutes from "../routes/webhooks.js";
+import { attemptDelivery, sign, validateWebhook } from "../services/webhooks.js";
+import { checkHostname, isAllowedAddress, publicLookup } from "../utils/network.js";
+
+const SECRET = "whsec_test_secret_1234567890";
+
+// Receiver on localhost that records the requests it gets and answers with `status`
+const startReceiver = async () => {
+  const received = [];
+  let status = 200;
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ received: status === 200 }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    received,
+    respondWith: (code) => { status = code; },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+describe("sign", () => {
+  test("is the hex HMAC-SHA256 of the timestamp and body", () => {
+    const body = JSON.stringify({ id: "evt_1", type: "gym.created" });
+    const expected = crypto.createHmac("sha256", SECRET).update(`1700000000.${body}`).digest("hex");
+
+    assert.equal(sign(SECRET, "1700000000", body), `sha256=${expected}`);
+  });
+
+  test("changes with the body, the timestamp and the secret", () => {
+    const signature = sign(SECRET, "1700000000", "{}");
+
+    assert.notEqual(sign(SECRET, "1700000000", "{ }"), signature);
+    assert.notEqual(sign(SECRET, "1700000001", "{}"), signature);
+    assert.notEqual(sign(`${SECRET}x`, "1700000000", "{}"), signature);
+  });
+});
+
+describe("deliveries", () => {
+  let api;
+  let receiver;
+  let orgId;
+  let webhook;
+
+  before(async () => {
+    api = await startApi(organizationsRoutes, webhooksRoutes);
+    receiver = await startReceiver();
+    orgId = (await createOrganization(api, "wendy", "Wendy Gyms")).id;
+
+    const { body } = await api.request("POST", `/organizations/${orgId}/webhooks`, {
+      as: "wendy",
+      body: { url: receiver.url, events: ["gym.created"], secret: SECRET }
+    });
+    webhook = body.data;
+  });
+
+  after(async () => {
+    await api.close();
+    await receiver.close();
+  });
+
+  test("carry a signature the receiver can verify", async () => {
+    const { body } = await api.request("POST", `/organizations/${orgId}/webhooks/${webhook.id}/test`, { as: "wendy" });
+    assert.equal(body.data.status, "succeeded");
+
+    const { headers, body: payload } = receiver.received.at(-1);
+    assert.equal(headers["x-webhook-event"], "webhook.test");
+    assert.equal(headers["x-webhook-id"], JSON.parse(payload).id);
+    assert.equal(headers["x-webhook-signature"], sign(SECRET, headers["x-webhook-timestamp"], payload));
+  });
+
+  test("store a hash of the response, not the response", async () => {
+    const { body } = await api.request("POST", `/organizations/${orgId}/webhooks/${webhook.id}/test`, { as: "wendy" });
+    const delivery = await db.webhookDeliveries.get(body.data.id);
+
+    const responseHash = crypto.createHash("sha256").update(JSON.stringify({ received: true })).digest("hex");
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(delivery.responseBodyHash, responseHash);
+    assert.equal(delivery.responseBody, undefined);
+  });
+
+  test("fail on error responses", async () => {
+    receiver.respondWith(500);
+    const { body } = await api.request("POST", `/organizations/${orgId}/webhooks/${webhook.id}/test`, { as: "wendy" });
+    receiver.respondWith(200);
+
+    assert.equal(body.success, false);
+    assert.equal(body.data.status, "failed");
+    assert.equal(body.data.responseStatus, 500);
+  });
+
+  test("are attempted once when two processes pick up the same retry", async () => {
+    const now = new Date().toISOString();
+    const due = await db.webhookDeliveries.create({
+      webhookId: webhook.id,
+      organizationId: orgId,
+      event: "gym.created",
+      payload: { id: "evt_retry", type: "gym.created", organizationId: orgId, data: {} },
+      status: "pending",
+      attempts: 1,
+      maxAttempts: 5,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now
+    });
+    const receivedBefore = receiver.received.length;
+
+    const results = await Promise.all([attemptDelivery(due), attemptDelivery(due)]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(receiver.received.length, receivedBefore + 1);
+    assert.equal((await db.webhookDeliveries.get(due.id)).attempts, 2);
+  });
+});
+
+describe("receiver addresses", () => {
+  test("webhooks can't point at private or link-local hosts", () => {
+    for (const url of ["http://169.254.169.254/latest/meta-data", "http://10.0.0.5/hook", "https://[fd00::1]/hook", "http://[::ffff:192.168.1.1]/"]) {
+      assert.equal(validateWebhook({ url, events: ["gym.created"] }).length, 1, url);
+    }
+    assert.deepEqual(validateWebhook({ url: "https://hooks.example.com/gyms", events: ["gym.created"] }), []);
+  });
+
+  test("loopback is only allowed when asked for", () => {
+    assert.equal(isAllowedAddress("127.0.0.1"), false);
+    assert.equal(isAllowedAddress("127.0.0.1", { allowLoopback: true }), true);
+    assert.equal(isAllowedAddress("10.0.0.1", { allowLoopback: true }), false);
+    assert.notEqual(checkHostname("localhost"), null);
+    assert.equal(checkHostname("localhost", { allowLoopback: true }), null);
+  });
+
+  test("public addresses are allowed", () => {
+    assert.equal(isAllowedAddress("8.8.8.8"), true);
+    assert.equal(isAllowedAddress("2606:4700:4700::1111"), true);
+  });
+
+  test("hostnames are checked on the address they resolve to", async () => {
+    const error = await new Promise(resolve => publicLookup()("localhost", {}, resolve));
+    assert.equal(error?.code, "EADDRNOTPUBLIC");
+  });
+});
@@ -0,0 +1,72 @@
+// utils/csv.js
+// RFC 4180 CSV. Objects and arrays are written as JSON.
+//
+// Spreadsheets run text cells starting with =, +, -, @, tab or CR as formulas, so such cells
+// are written with a leading ' (and cells already starting with ' before one of those get one
+// more). parseCsv drops that quote again, so exports import back unchanged.
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const unescapeCell = (text) => text.startsWith("'") && FORMULA_PATTERN.test(text) ? text.slice(1) : text;
+
+export const toCsvRow = (values) => values.map(escapeCell).join(",") + "\r\n";
+
+
+// Parses CSV text into one object per data row, keyed by the header row. Quoted cells may
+// contain commas, quotes ("") and line breaks; blank lines are skipped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted cell");
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(values => values.some(value => value.trim() !== ""));
+  const columns = header.map(column => column.trim());
+
+  return records.map(values => Object.fromEntries(columns.map((column, index) => [column, unescapeCell(values[index] ?? "")])));
+};
@@ -0,0 +1,70 @@
+// utils/network.js
+// Guards for requests the server makes to user-supplied URLs (webhooks), so they can't be
+// pointed at the server's own network: loopback, private, link-local (including cloud metadata
+// at 169.254.169.254) and other non-public addresses are refused. allowLoopback lets local
+// receivers through for development.
+import dns from "dns";
+import net from "net";
+
+// Separate lists per family: a single BlockList also matches IPv4 addresses against IPv4-mapped
+// IPv6 ranges
+const blockList = (family, ranges) => {
+  const list = new net.BlockList();
+  ranges.forEach(([network, prefix]) => list.addSubnet(network, prefix, family));
+  return list;
+};
+
+const loopback = {
+  ipv4: blockList("ipv4", [["127.0.0.0", 8]]),
+  ipv6: blockList("ipv6", [["::1", 128]])
+};
+
+const nonPublic = {
+  ipv4: blockList("ipv4", [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15],
+    ["198.51.100.0", 24], ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+  ]),
+  // IPv4-compatible and IPv4-mapped addresses are blocked whole rather than unwrapped
+  ipv6: blockList("ipv6", [
+    ["::", 96], ["::ffff:0:0", 96], ["64:ff9b::", 96], ["100::", 64], ["2001:db8::", 32],
+    ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+  ])
+};
+
+export const isAllowedAddress = (address, { allowLoopback = false } = {}) => {
+  const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+  if (allowLoopback && loopback[family].check(address, family)) return true;
+  return !nonPublic[family].check(address, family);
+};
+
+// Problem with a URL's hostname that shows without resolving it (IP literals, localhost), or null
+export const checkHostname = (hostname, options = {}) => {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+  if (net.isIP(host)) {
+    return isAllowedAddress(host, options) ? null : `${host} is not a public address`;
+  }
+  if ((host === "localhost" || host.endsWith(".localhost")) && !options.allowLoopback) {
+    return `${host} is not a public address`;
+  }
+  return null;
+};
+
+// dns.lookup for http(s).request that fails on non-public addresses. The check runs on the
+// address actually connected to, so a hostname can't pass it and then resolve elsewhere.
+export const publicLookup = (options = {}) => (hostname, lookupOptions, callback) => {
+  dns.lookup(hostname, lookupOptions, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isAllowedAddress(entry.address, options));
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`);
+      refused.code = "EADDRNOTPUBLIC";
+      return callback(refused);
+    }
+
+    callback(null, address, family);
+  });
+};
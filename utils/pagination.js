@@ -0,0 +1,23 @@
+// utils/pagination.js
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 500;
+
+// Reads ?limit, ?cursor and ?includeTotal, clamping limit to 1..MAX_PAGE_SIZE
+export const parsePagination = (query = {}) => {
+  const requested = parseInt(query.limit);
+  const limit = isNaN(requested) ? DEFAULT_PAGE_SIZE : Math.min(Math.max(requested, 1), MAX_PAGE_SIZE);
+
+  return {
+    limit,
+    cursor: query.cursor || undefined,
+    includeTotal: query.includeTotal === "true"
+  };
+};
+
+// Metadata returned alongside every paginated list
+export const paginationMeta = (page, { limit }) => ({
+  limit,
+  nextCursor: page.nextCursor,
+  hasMore: !!page.nextCursor,
+  ...(page.total !== undefined && { total: page.total })
+});
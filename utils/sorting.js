@@ -0,0 +1,15 @@
+// utils/sorting.js
+// Parses ?sort=field or ?sort=field:desc into an orderBy list, allowing only the given fields
+export const parseSort = (sort, allowedFields, defaultOrderBy) => {
+  if (!sort) return defaultOrderBy;
+
+  const [field, direction = "asc"] = String(sort).split(":");
+
+  if (!allowedFields.includes(field) || !["asc", "desc"].includes(direction)) {
+    const error = new Error(`Invalid sort "${sort}". Sortable fields: ${allowedFields.join(", ")} (append :asc or :desc)`);
+    error.status = 400;
+    throw error;
+  }
+
+  return [[field, direction]];
+};
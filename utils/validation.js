@@ -0,0 +1,171 @@
+// utils/validation.js
+// Declarative validation of request bodies. A schema maps each accepted field to its rules:
+//   type                "string" | "number" | "integer" | "boolean" | "array" | "object"
+//   required            must be present (and not empty) when creating
+//   updateOnly          only accepted on partial updates
+//   nullable            null is accepted, e.g. to clear the field
+//   min / max           numeric range
+//   minLength/maxLength string or array length
+//   format              one of the FORMATS below
+//   enum                allowed values
+//   items               rules for each element of an array
+//   fields              schema of an object's fields, checked like a body (errors are reported
+//                       as e.g. openingHours.monday[0].open)
+// validate() reports every problem as { field, code, message }, including fields the schema
+// doesn't know, and returns the value with numbers coerced when asked (CSV imports).
+import net from "net";
+
+const FORMATS = {
+  email: {
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: "must be a valid email address"
+  },
+  phone: {
+    test: (value) => /^\+?[0-9\s().-]{6,24}$/.test(value) && value.replace(/\D/g, "").length >= 6,
+    message: "must be a valid phone number"
+  },
+  e164: {
+    test: (value) => /^\+[1-9]\d{6,14}$/.test(value),
+    message: "must be an international phone number such as +14155550123"
+  },
+  ip: {
+    test: (value) => net.isIP(value) !== 0,
+    message: "must be a valid IPv4 or IPv6 address"
+  },
+  mac: {
+    test: (value) => /^([0-9A-Fa-f]{2}[:-]){5}[0-9A-Fa-f]{2}$/.test(value),
+    message: "must be a MAC address such as 00:1A:2B:3C:4D:5E"
+  },
+  date: {
+    test: (value) => {
+      const date = new Date(`${value}T00:00:00Z`);
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date) && date.toISOString().startsWith(value);
+    },
+    message: "must be a date in YYYY-MM-DD format"
+  },
+  "date-time": {
+    test: (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+    message: "must be an ISO 8601 timestamp with a time zone, such as 2024-05-01T18:30:00Z"
+  },
+  time: {
+    test: (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value),
+    message: "must be a time in HH:MM (24-hour) format"
+  },
+  // The end of a time interval, which may be midnight at the end of the day
+  "end-time": {
+    test: (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value) || value === "24:00",
+    message: "must be a time in HH:MM (24-hour) format, or 24:00 for the end of the day"
+  }
+};
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+const typeMatches = (type, value) => {
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "boolean": return typeof value === "boolean";
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    default: return true;
+  }
+};
+
+const coerceValue = (type, value) => {
+  if (typeof value !== "string" || value.trim() === "") return value;
+  if (type === "number" || type === "integer") {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (type === "boolean" && ["true", "false"].includes(value)) return value === "true";
+  return value;
+};
+
+const TYPE_NAMES = { integer: "an integer", array: "an array", object: "an object" };
+
+const checkValue = (field, rules, value, errors) => {
+  const error = (code, message) => errors.push({ field, code, message: `${field} ${message}` });
+
+  if (rules.type && !typeMatches(rules.type, value)) {
+    return error("invalid_type", `must be ${TYPE_NAMES[rules.type] || `a ${rules.type}`}`);
+  }
+
+  if (rules.enum && !rules.enum.includes(value)) {
+    return error("invalid_value", `must be one of: ${rules.enum.join(", ")}`);
+  }
+
+  // Optional formatted strings may be left empty
+  if (rules.format && !(value === "" && !rules.required) && !FORMATS[rules.format].test(value)) {
+    return error("invalid_format", FORMATS[rules.format].message);
+  }
+
+  if (rules.min !== undefined && value < rules.min) return error("too_small", `must be at least ${rules.min}`);
+  if (rules.max !== undefined && value > rules.max) return error("too_large", `must be at most ${rules.max}`);
+
+  const length = typeof value === "string" || Array.isArray(value) ? value.length : undefined;
+  if (rules.minLength !== undefined && length < rules.minLength) {
+    return error("too_short", `must be at least ${rules.minLength} ${Array.isArray(value) ? "items" : "characters"} long`);
+  }
+  if (rules.maxLength !== undefined && length > rules.maxLength) {
+    return error("too_long", `must be at most ${rules.maxLength} ${Array.isArray(value) ? "items" : "characters"} long`);
+  }
+
+  if (rules.items && Array.isArray(value)) {
+    value.forEach((item, index) => checkValue(`${field}[${index}]`, rules.items, item, errors));
+  }
+
+  if (rules.fields) {
+    for (const nested of validate(rules.fields, value).errors) {
+      errors.push({ ...nested, field: `${field}.${nested.field}`, message: `${field}.${nested.message}` });
+    }
+  }
+};
+
+// partial: for updates, where required fields may be left out but not emptied
+export const validate = (schema, body, { partial = false, coerce = false } = {}) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return {
+      value: body,
+      errors: [{ field: null, code: "invalid_type", message: "Request body must be a JSON object" }]
+    };
+  }
+
+  const errors = [];
+  const value = {};
+
+  for (const field of Object.keys(body)) {
+    const rules = schema[field];
+    if (!rules || (rules.updateOnly && !partial)) {
+      errors.push({ field, code: "unknown_field", message: `${field} is not an accepted field` });
+    }
+  }
+
+  for (const [field, rules] of Object.entries(schema)) {
+    if (rules.updateOnly && !partial) continue;
+
+    const given = coerce ? coerceValue(rules.type, body[field]) : body[field];
+
+    if (given === undefined) {
+      if (rules.required && !partial) {
+        errors.push({ field, code: "required", message: `${field} is required` });
+      }
+      continue;
+    }
+
+    if (given === null && rules.nullable) {
+      value[field] = null;
+      continue;
+    }
+
+    if (rules.required && isEmpty(given)) {
+      errors.push({ field, code: "required", message: `${field} is required` });
+      continue;
+    }
+
+    checkValue(field, rules, given, errors);
+    value[field] = given;
+  }
+
+  return { value, errors };
+};